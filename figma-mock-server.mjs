@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+/**
+ * Mock Figma REST API for figma-node-report.mjs
+ *
+ * - Serves files from fixture JSON: the body of GET /v1/files/:key (document, components,
+ *   componentSets, styles, ...), optionally with extra top-level `variables` (the `meta` of
+ *   GET /v1/files/:key/variables/local)
+ * - Endpoints: /v1/files/:key, /v1/files/:key/nodes, /v1/files/:key/styles, /v1/files/:key/images,
+ *   /v1/files/:key/variables/local, /v1/images/:key, plus placeholder bytes for the asset URLs it hands out
+ * - Fault injection: fixed latency, 429/5xx on every Nth request (with Retry-After), and
+ *   "Request too large" for oversize /nodes responses
+ *
+ * Point the report at it with --api-base http://127.0.0.1:<port>/v1 (or FIGMA_API_BASE).
+ */
+
+import fs from 'node:fs/promises'
+import http from 'node:http'
+import path from 'node:path'
+
+// 1x1 transparent PNG, returned for every raster render and image fill.
+const PLACEHOLDER_PNG = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+    'base64',
+)
+
+function usage(exitCode = 0) {
+    const msg = `
+Usage:
+  node figma-mock-server.mjs [options] <fixture.json | fileKey=fixture.json>...
+
+Fixtures:
+  - The JSON body of GET /v1/files/:key; the file key defaults to the fixture's base name
+  - Optional top-level "variables" is served as the meta of /v1/files/:key/variables/local
+    (without it that endpoint answers 403, as it does outside Enterprise plans)
+
+Options:
+  --port <n>             Port to listen on (default: 8787; 0 picks a free port)
+  --latency <ms>         Delay every response by this many milliseconds (default: 0)
+  --fail-every <n>       Fail every nth API request (default: off)
+  --fail-status <code>   Status for injected failures (default: 429)
+  --retry-after <s>      Retry-After seconds sent with injected 429/503 (default: 1; 0 omits it)
+  --too-large <n>        Answer /nodes with 400 "Request too large" above n nodes (default: off)
+  --verbose              Log every request
+  --help                 Show help
+
+Examples:
+  node figma-mock-server.mjs fixtures/ABC123.json
+  node figma-mock-server.mjs --fail-every 5 --latency 200 ABC123=fixtures/landing.json
+  node figma-node-report.mjs --api-base http://127.0.0.1:8787/v1 --url "https://www.figma.com/design/ABC123/x?node-id=1-2"
+`.trim()
+    // eslint-disable-next-line no-console
+    console.log(msg)
+    process.exit(exitCode)
+}
+
+function parseArgs(argv) {
+    const args = {
+        fixtures: [],
+        port: 8787,
+        latency: 0,
+        failEvery: 0,
+        failStatus: 429,
+        retryAfter: 1,
+        tooLarge: 0,
+        verbose: false,
+    }
+
+    for (let i = 2; i < argv.length; i++) {
+        const a = argv[i]
+        if (a === '--help' || a === '-h') usage(0)
+        if (a === '--verbose') {
+            args.verbose = true
+            continue
+        }
+
+        if (a.startsWith('--')) {
+            const key = a.slice(2)
+            const v = argv[i + 1]
+            if (!v || v.startsWith('--')) {
+                // eslint-disable-next-line no-console
+                console.error(`Missing value for --${key}`)
+                usage(1)
+            }
+            i++
+            if (key === 'port') args.port = Number(v)
+            else if (key === 'latency') args.latency = Number(v)
+            else if (key === 'fail-every') args.failEvery = Number(v)
+            else if (key === 'fail-status') args.failStatus = Number(v)
+            else if (key === 'retry-after') args.retryAfter = Number(v)
+            else if (key === 'too-large') args.tooLarge = Number(v)
+            else {
+                // eslint-disable-next-line no-console
+                console.error(`Unknown flag: --${key}`)
+                usage(1)
+            }
+            continue
+        }
+
+        const eq = a.indexOf('=')
+        if (eq > 0) args.fixtures.push({ fileKey: a.slice(0, eq), file: a.slice(eq + 1) })
+        else args.fixtures.push({ fileKey: path.basename(a, path.extname(a)), file: a })
+    }
+
+    if (!args.fixtures.length) {
+        // eslint-disable-next-line no-console
+        console.error('Pass at least one fixture JSON file')
+        usage(1)
+    }
+    for (const key of ['port', 'latency', 'failEvery', 'retryAfter', 'tooLarge']) {
+        if (!Number.isInteger(args[key]) || args[key] < 0) {
+            // eslint-disable-next-line no-console
+            console.error(`Invalid --${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}: ${args[key]}`)
+            process.exit(1)
+        }
+    }
+    if (!Number.isInteger(args.failStatus) || args.failStatus < 400 || args.failStatus > 599) {
+        // eslint-disable-next-line no-console
+        console.error(`Invalid --fail-status: ${args.failStatus} (expected 4xx or 5xx)`)
+        process.exit(1)
+    }
+
+    return args
+}
+
+function log(verbose, ...parts) {
+    if (!verbose) return
+    // eslint-disable-next-line no-console
+    console.log(...parts)
+}
+
+function sleep(ms) {
+    return new Promise((r) => setTimeout(r, ms))
+}
+
+async function loadFixtures(fixtures) {
+    const files = new Map()
+    for (const { fileKey, file } of fixtures) {
+        const data = JSON.parse(await fs.readFile(path.resolve(process.cwd(), file), 'utf8'))
+        if (!data?.document) throw new Error(`Fixture has no document (expected a GET /v1/files/:key body): ${file}`)
+        files.set(fileKey, { data, index: indexNodes(data.document) })
+    }
+    return files
+}
+
+function indexNodes(document) {
+    const index = new Map()
+    const stack = [document]
+    while (stack.length) {
+        const n = stack.pop()
+        if (n?.id) index.set(n.id, n)
+        for (const c of n?.children || []) stack.push(c)
+    }
+    return index
+}
+
+function truncate(node, depth) {
+    // Same shape as the API's ?depth=n: nodes at the boundary come back without `children`.
+    const { children, ...rest } = node
+    if (!Array.isArray(children) || depth <= 0) return rest
+    return { ...rest, children: children.map((c) => truncate(c, depth - 1)) }
+}
+
+function countNodes(node) {
+    return 1 + (node.children || []).reduce((sum, c) => sum + countNodes(c), 0)
+}
+
+function parseDepth(params) {
+    const raw = params.get('depth')
+    return raw == null ? Infinity : Number(raw)
+}
+
+function imageRefs(document) {
+    const refs = new Set()
+    const stack = [document]
+    while (stack.length) {
+        const n = stack.pop()
+        for (const p of n?.fills || []) if (p?.imageRef) refs.add(p.imageRef)
+        for (const c of n?.children || []) stack.push(c)
+    }
+    return [...refs].sort()
+}
+
+function send(res, status, body, headers = {}) {
+    const isBuffer = Buffer.isBuffer(body)
+    const payload = isBuffer || typeof body === 'string' ? body : JSON.stringify(body)
+    res.writeHead(status, { 'content-type': isBuffer ? 'image/png' : typeof body === 'string' ? 'image/svg+xml' : 'application/json', ...headers })
+    res.end(payload)
+}
+
+function apiError(status, err) {
+    return { status, error: true, err }
+}
+
+function routeApi({ files, origin, url, tooLarge }) {
+    // Returns [status, body] for /v1/* requests.
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent)
+    const params = url.searchParams
+
+    if (parts[1] === 'images' && parts.length === 3) {
+        const file = files.get(parts[2])
+        if (!file) return [404, apiError(404, 'Not found')]
+        const format = params.get('format') || 'png'
+        const scale = params.get('scale') || '1'
+        const images = {}
+        for (const id of (params.get('ids') || '').split(',').filter(Boolean)) {
+            images[id] = file.index.has(id) ? `${origin}/assets/render/${encodeURIComponent(id)}.${format}?scale=${scale}` : null
+        }
+        return [200, { err: null, images }]
+    }
+
+    if (parts[1] !== 'files' || parts.length < 3) return [404, apiError(404, 'Not found')]
+    const file = files.get(parts[2])
+    if (!file) return [404, apiError(404, 'Not found')]
+    const { data, index } = file
+    const rest = parts.slice(3).join('/')
+
+    if (rest === '') {
+        // The fixture's `variables` belong to /variables/local, not to the file body.
+        const body = Object.fromEntries(Object.entries(data).filter(([key]) => key !== 'variables'))
+        return [200, { ...body, document: truncate(data.document, parseDepth(params)) }]
+    }
+
+    if (rest === 'nodes') {
+        const depth = parseDepth(params)
+        const nodes = {}
+        let total = 0
+        for (const id of (params.get('ids') || '').split(',').filter(Boolean)) {
+            const node = index.get(id)
+            if (!node) {
+                nodes[id] = null
+                continue
+            }
+            const document = truncate(node, depth)
+            total += countNodes(document)
+            nodes[id] = { document, components: data.components || {}, componentSets: data.componentSets || {}, styles: data.styles || {} }
+        }
+        if (tooLarge && total > tooLarge) return [400, apiError(400, 'Request too large. If applicable, try requesting specific node ids')]
+        return [200, { name: data.name, lastModified: data.lastModified, version: data.version, thumbnailUrl: data.thumbnailUrl, nodes }]
+    }
+
+    if (rest === 'styles') {
+        const styles = Object.entries(data.styles || {}).map(([nodeId, s]) => ({
+            key: s.key,
+            file_key: parts[2],
+            node_id: nodeId,
+            style_type: s.styleType,
+            name: s.name,
+            description: s.description ?? '',
+        }))
+        return [200, { status: 200, error: false, meta: { styles } }]
+    }
+
+    if (rest === 'images') {
+        const images = {}
+        for (const ref of imageRefs(data.document)) images[ref] = `${origin}/assets/fill/${encodeURIComponent(ref)}`
+        return [200, { status: 200, error: false, meta: { images } }]
+    }
+
+    if (rest === 'variables/local') {
+        if (!data.variables) return [403, apiError(403, 'Forbidden')]
+        return [200, { status: 200, error: false, meta: data.variables }]
+    }
+
+    return [404, apiError(404, 'Not found')]
+}
+
+function assetBody(url) {
+    if (url.pathname.startsWith('/assets/render/') && url.pathname.endsWith('.svg')) {
+        return '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24"><rect width="24" height="24" fill="#ccc"/></svg>\n'
+    }
+    return PLACEHOLDER_PNG
+}
+
+async function main() {
+    const args = parseArgs(process.argv)
+    const files = await loadFixtures(args.fixtures)
+    let apiRequests = 0
+
+    const server = http.createServer(async (req, res) => {
+        const origin = `http://${req.headers.host}`
+        const url = new URL(req.url, origin)
+        if (args.latency) await sleep(args.latency)
+
+        if (url.pathname.startsWith('/assets/')) {
+            log(args.verbose, `200 ${req.method} ${url.pathname}`)
+            return send(res, 200, assetBody(url))
+        }
+
+        if (req.method !== 'GET' || !url.pathname.startsWith('/v1/')) {
+            log(args.verbose, `404 ${req.method} ${url.pathname}`)
+            return send(res, 404, apiError(404, 'Not found'))
+        }
+
+        apiRequests++
+        if (!req.headers['x-figma-token']) {
+            log(args.verbose, `403 ${url.pathname}${url.search} (no X-Figma-Token)`)
+            return send(res, 403, apiError(403, 'Invalid token'))
+        }
+
+        if (args.failEvery && apiRequests % args.failEvery === 0) {
+            const headers = args.retryAfter && (args.failStatus === 429 || args.failStatus === 503) ? { 'retry-after': String(args.retryAfter) } : {}
+            log(args.verbose, `${args.failStatus} ${url.pathname}${url.search} (injected)`)
+            return send(res, args.failStatus, apiError(args.failStatus, 'Injected failure'), headers)
+        }
+
+        const [status, body] = routeApi({ files, origin, url, tooLarge: args.tooLarge })
+        log(args.verbose, `${status} ${url.pathname}${url.search}`)
+        return send(res, status, body)
+    })
+
+    await new Promise((resolve) => server.listen(args.port, '127.0.0.1', resolve))
+    const { port } = server.address()
+
+    // eslint-disable-next-line no-console
+    console.log(`Mock Figma API listening on http://127.0.0.1:${port}/v1 (files: ${[...files.keys()].join(', ')})`)
+
+    process.on('SIGINT', () => server.close(() => process.exit(0)))
+    process.on('SIGTERM', () => server.close(() => process.exit(0)))
+}
+
+main().catch((err) => {
+    // eslint-disable-next-line no-console
+    console.error(err?.stack || String(err))
+    process.exit(1)
+})
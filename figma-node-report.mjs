@@ -3,26 +3,80 @@
  * Figma Node Analyzer -> Markdown
  *
  * - Token + URL via .env (FIGMA_TOKEN + FIGMA_URL)
- * - Input URL must contain node-id
- * - Output: figma-report/figma-node-report.md + one section per top-level child
+ * - Input URL must contain node-id (comma-separated lists allowed); --url/--node/--page add more targets
+ * - Output: figma-report/figma-node-report.md + one section per top-level child; with several
+ *   targets each one gets its own sub-report directory under one combined index
+ * - Catalogue mode (--catalogue): one section per component set / component instead, with variant
+ *   axes, property definitions, documentation links and a generated props interface
+ * - Optional JSON output (--format json|both): figma-report/figma-node-report.json,
+ *   validated by figma-node-report.schema.json
+ * - API responses can be recorded to a directory (--record) and replayed offline (--replay)
+ * - Optional React + TS + twin.macro scaffolds (--emit react): figma-report/components/*.tsx
+ * - Optional design tokens from the inventories (--tokens): figma-report/tokens/
+ * - boundVariables resolve to variable names and per-mode values (GET /files/:key/variables/local,
+ *   skipped with a log line on 403); --tokens adds one DTCG set per collection mode and
+ *   [data-<collection>="<mode>"] CSS overrides
+ * - Implementation hints per node come from a generator (--hints): twin.macro classes by default,
+ *   CSS Modules rules, styled-components or a custom generator module
+ * - Gradients render as CSS linear/radial/conic-gradient strings, image fills with their object-fit /
+ *   background-size, and stacked fills as layered backgrounds (paint opacity and blend modes kept);
+ *   image url()s point at the --assets download, or at an image-fill-placeholder-<imageRef> name
+ * - Each node gets a guessed HTML element (headings by relative font size, buttons, links, inputs,
+ *   repeated siblings as lists, images, header/footer/nav landmarks) with a confidence and a reason;
+ *   --semantics-config adds name patterns and turns rules off
+ * - Mixed-style text is decoded into spans (text slice + merged style) that feed the typography
+ *   inventory and hints (nested <span>s); lineTypes / lineIndentations become ordered/unordered lists
+ * - Tailwind hints can snap to a theme scale (--tw-theme); unmatched values are flagged off-scale
+ * - Accessibility audit per section (text contrast against the nearest solid ancestor fill up to the
+ *   target root, flagged unchecked over gradients/images, minimum font size, target size of nodes
+ *   with reactions); --fail-on makes CI runs fail on findings
+ * - Prototype reactions are listed per node (trigger -> action -> destination) and drawn as a
+ *   Mermaid screen-to-screen flow graph in the index
+ * - Optional design lint (--lint, --lint-config): detached fills/text, off-grid spacing,
+ *   near-duplicate colors, mixed absolute children, plus plugin rules
+ * - Optional asset export (--assets): SVGs for vectors, export-setting renders and image fills
+ *   into figma-report/assets/, linked from the section files
+ * - A manifest (figma-node-report.manifest.json) makes re-runs incremental: unchanged file versions
+ *   are skipped, unchanged sections are not rewritten, and stale section files are removed (--force)
+ * - `diff <before> <after>` compares two JSON reports (or two --record dirs) of the same node
  *
  * Notes:
  * - Hidden nodes (visible=false) are skipped entirely.
+ * - Subtrees are requested several levels deep (--depth, adaptive by default); the report is the
+ *   same whatever depth was used.
+ * - All API requests go through one scheduler: an optional requests/minute budget (--rpm), a global
+ *   pause on 429 (honoring Retry-After) and a per-request timeout (--timeout).
+ * - --api-base (or FIGMA_API_BASE) points the tool at another endpoint, e.g. figma-mock-server.mjs.
  * - Vector geometry is intentionally omitted (vectorPaths/vectorNetwork/etc).
- * - Instances are described in resolved form (what exists in the instance subtree).
+ * - Node headings, layer tree lines, findings and inventory "where used" lists link to the node in
+ *   Figma (same /file/ or /design/ URL shape as the input URL)
+ * - Instances are described in resolved form (what exists in the instance subtree), plus their main
+ *   component / variant, property values vs defaults and overrides; --collapse-instances keeps only that.
  */
 
+import crypto from 'node:crypto'
+import { realpathSync } from 'node:fs'
 import fs from 'node:fs/promises'
 import path from 'node:path'
+import { fileURLToPath, pathToFileURL } from 'node:url'
 
 const FIGMA_API = 'https://api.figma.com/v1'
 
-async function loadDotEnv({ cwd, verbose }) {
+// Bump when the shape of figma-node-report.json changes (see figma-node-report.schema.json).
+const REPORT_SCHEMA_VERSION = 12
+const OUTPUT_FORMATS = new Set(['md', 'json', 'both'])
+const EMIT_TARGETS = new Set(['react'])
+const TOKEN_FORMATS = new Set(['dtcg', 'css', 'tailwind'])
+// Finding severities, most severe first; --fail-on takes one of them.
+const SEVERITIES = ['error', 'warning']
+
+async function loadDotEnv({ cwd, verbose, optional = false }) {
   const envPath = path.join(cwd, '.env')
   let raw
   try {
     raw = await fs.readFile(envPath, 'utf8')
   } catch {
+    if (optional) return
     throw new Error(`Missing .env file at: ${envPath}`)
   }
 
@@ -65,27 +119,113 @@ function usage(exitCode = 0) {
   const msg = `
 Usage:
   node figma-node-report.mjs [options]
+  node figma-node-report.mjs diff <before> <after> [--out-dir <dir>] [--url <figma-node-url>] [--depth <n|auto>]
 
 Inputs:
   - Reads .env from the current directory
-  - Requires FIGMA_TOKEN and FIGMA_URL (or FIGMA_NODE_URL)
+  - Requires FIGMA_TOKEN and FIGMA_URL (or FIGMA_NODE_URL); FIGMA_TOKEN is not needed with --replay
+  - Optional FIGMA_API_BASE points the tool at another REST endpoint (same as --api-base)
 
 Figma URL requirements:
   - Must contain /file/<FILEKEY>/ or /design/<FILEKEY>/
-  - Must include ?node-id=...
+  - Must include ?node-id=... (comma-separated ids allowed) unless --node or --page picks the targets
+  - All targets must belong to the same file
+
+Commands:
+  diff <before> <after>  Compare two snapshots of the same root node. Each snapshot is a
+                         figma-node-report.json (--format json|both) or a --record directory
+                         (replayed offline; needs --url or FIGMA_URL). Writes figma-diff.md and
+                         figma-diff.json to --out-dir with added/removed/moved nodes and
+                         layout/paint/text/effects changes. JSON snapshots must have this
+                         script's schemaVersion; record directories always do.
 
 Options:
-  --url <figma-node-url> Override FIGMA_URL for this run
+  --url <figma-node-url> Override FIGMA_URL for this run; repeat to report on several nodes
+  --node <ids>           Target node id(s) in the URL's file (123:456 or 123-456, comma-separated);
+                         repeatable
+  --page <name|id>       Target a whole page (canvas) by name or id; repeatable
   --out-dir <dir>        Output directory (default: figma-report)
   --section-dir <dir>    Section directory under out-dir (default: sections)
   --batch-size <n>       Node ids per API request (default: 50)
   --concurrency <n>      Concurrent API requests (default: 3)
+  --depth <n|auto>       Tree levels per node request (default: auto, adapts per branch to response
+                         size). Oversize/timed-out batches are split, then retried at depth 1.
+                         --depth 1 requests every node separately (the pre-auto request pattern);
+                         replay a --record dir with the --depth it was recorded with.
+  --rpm <n>              Request budget per minute shared by all concurrent requests (default:
+                         unlimited). A 429 pauses every request for its Retry-After.
+  --timeout <s>          Abort an API request after this many seconds (default: 120)
+  --api-base <url>       Figma REST base URL (default: FIGMA_API_BASE or https://api.figma.com/v1),
+                         e.g. http://localhost:8787/v1 for figma-mock-server.mjs
+  --format <fmt>         md | json | both (default: md)
+  --record <dir>         Store every API response under <dir> for later --replay
+  --replay <dir>         Serve API responses from <dir> instead of the network (no token needed)
+  --emit <target>        Also write component scaffolds; target: react (writes <out-dir>/components)
+  --tokens <formats>     Also write design tokens to <out-dir>/tokens; comma-separated
+                         dtcg (tokens.json), css (tokens.css), tailwind (tailwind.theme.cjs) or all.
+                         Bound Figma variables add tokens.<collection>.<mode>.json sets and
+                         [data-<collection>="<mode>"] blocks in tokens.css (e.g. data-theme="dark")
+  --tw-theme <file>      Snap tw hints to a Tailwind theme (spacing, colors, fontSize, borderRadius,
+                         boxShadow) from a .json/.js/.mjs/.cjs theme or tailwind.config; "default"
+                         uses Tailwind's built-in scales. Unmatched values are flagged off-scale.
+  --tw-tolerance <px>    Max px difference that still snaps to a scale value (default: 0)
+  --hints <target>       Implementation hints under each node and in the index guidance:
+                         tw (twin.macro classes, default), css (CSS Modules rule) or styled
+                         (styled-components). A .js/.mjs/.cjs module exporting
+                         { id, label, title, language, guidance, generate({ node, element, imageUrl, usedNames }) }
+                         (returning { code, notes }) adds a custom target; imageUrl(imageRef) gives
+                         the --assets file of an image fill (or a placeholder name), usedNames is the
+                         section's Set of names taken so far (add yours to keep them unique)
+  --semantics-config <file>
+                         Element guesses (Suggested element, --emit react) from a .json/.js/.mjs/.cjs
+                         config: { "patterns": [{ "name": "<regex>", "element": "<tag>", "type"?: "<Figma type>",
+                         "confidence"?: 0..1 }], "rules": { "<rule>": "off" } }. Patterns match layer and
+                         main component names and win over the built-in rules whatever their confidence
+                         (which ranks matching patterns among themselves). Rules: image-fill, button-name,
+                         click-reaction, link, input-name, heading-size, repeated-siblings,
+                         landmark-name, landmark-position, nav-links
+  --assets               Download SVGs for vector nodes, renders for nodes with export settings
+                         and IMAGE fill sources into <out-dir>/assets and link them from sections
+  --collapse-instances   Show each instance as one reference line (main component, variant, properties,
+                         overrides) instead of expanding its subtree in section Markdown
+  --catalogue            Document a component library instead of frames: one section per component set
+                         or standalone component under each target (a page, frame or COMPONENT_SET)
+                         with variant axes, property definitions, documentation links and a
+                         TypeScript props interface
+  --min-font-size <px>   Accessibility audit: flag text smaller than this (default: 12)
+  --lint                 Run the design-lint rules and add "Lint Findings" to sections and index:
+                         detached-fill, detached-text (no shared style/variable), off-grid-spacing
+                         (4px grid), near-duplicate-colors (delta-E <= 2.3), mixed-absolute-children
+  --lint-config <file>   Lint config (.json/.js/.mjs/.cjs; implies --lint):
+                         { "rules": { "<rule>": "off" | "error" | "warning" | [severity, { options }] },
+                           "plugins": ["./my-rules.mjs"] } -- plugins export an array of
+                         { id, severity, options, check({ node, ancestors, nodeMap, options }) } rules
+  --fail-on <severity>   Exit with code 1 when the accessibility audit or lint finds anything at
+                         this severity or worse: error | warning (default: never fail)
+  --force                Ignore the manifest (figma-node-report.manifest.json) and rewrite everything.
+                         Without it, an unchanged file version skips the run, unchanged sections keep
+                         their files, and section files of removed top-level children are deleted.
   --verbose              Log progress
   --help                 Show help
 
 Examples:
   node figma-node-report.mjs
   node figma-node-report.mjs --url "https://www.figma.com/design/ABC123/Design?node-id=123-456"
+  node figma-node-report.mjs --format both
+  node figma-node-report.mjs --node 123-456,123-789
+  node figma-node-report.mjs --page "Checkout"
+  node figma-node-report.mjs --page "Components" --catalogue
+  node figma-node-report.mjs --fail-on error
+  node figma-node-report.mjs --lint-config ./figma-lint.json --fail-on warning
+  node figma-node-report.mjs --emit react
+  node figma-node-report.mjs --tokens dtcg,css
+  node figma-node-report.mjs --tw-theme ./tailwind.config.js --tw-tolerance 1
+  node figma-node-report.mjs --hints css
+  node figma-node-report.mjs --emit react --semantics-config ./figma-semantics.json
+  node figma-node-report.mjs --rpm 30 --concurrency 2
+  node figma-node-report.mjs diff old/figma-node-report.json figma-report/figma-node-report.json
+  node figma-node-report.mjs --record fixtures/landing
+  SOURCE_DATE_EPOCH=0 node figma-node-report.mjs --replay fixtures/landing
 `.trim()
     // eslint-disable-next-line no-console
     console.log(msg)
@@ -94,11 +234,34 @@ Examples:
 
 function parseArgs(argv) {
   const args = {
-    url: null,
+    urls: [],
+    nodes: [],
+    pages: [],
     outDir: 'figma-report',
     sectionDir: 'sections',
     batchSize: 50,
     concurrency: 3,
+    depth: 'auto',
+    rpm: null,
+    timeout: 120,
+    apiBase: null,
+    format: 'md',
+    record: null,
+    replay: null,
+    emit: null,
+    tokens: null,
+    twTheme: null,
+    twTolerance: 0,
+    assets: false,
+    force: false,
+    collapseInstances: false,
+    catalogue: false,
+    minFontSize: 12,
+    lint: false,
+    lintConfig: null,
+    failOn: null,
+    hints: 'tw',
+    semanticsConfig: null,
     verbose: false,
   }
 
@@ -110,6 +273,26 @@ function parseArgs(argv) {
       args.verbose = true
       continue
     }
+    if (a === '--assets') {
+      args.assets = true
+      continue
+    }
+    if (a === '--force') {
+      args.force = true
+      continue
+    }
+    if (a === '--collapse-instances') {
+      args.collapseInstances = true
+      continue
+    }
+    if (a === '--catalogue') {
+      args.catalogue = true
+      continue
+    }
+    if (a === '--lint') {
+      args.lint = true
+      continue
+    }
 
     if (a.startsWith('--')) {
       const key = a.slice(2)
@@ -120,11 +303,32 @@ function parseArgs(argv) {
         usage(1)
       }
       i++
-      if (key === 'url') args.url = v
+      if (key === 'url') args.urls.push(v)
+      else if (key === 'node') args.nodes.push(...parseNodeIdList(v))
+      else if (key === 'page') args.pages.push(v)
       else if (key === 'out-dir') args.outDir = v
       else if (key === 'section-dir') args.sectionDir = v
       else if (key === 'batch-size') args.batchSize = Number(v)
       else if (key === 'concurrency') args.concurrency = Number(v)
+      else if (key === 'depth') args.depth = v === 'auto' ? v : Number(v)
+      else if (key === 'rpm') args.rpm = Number(v)
+      else if (key === 'timeout') args.timeout = Number(v)
+      else if (key === 'api-base') args.apiBase = v
+      else if (key === 'format') args.format = v
+      else if (key === 'record') args.record = v
+      else if (key === 'replay') args.replay = v
+      else if (key === 'emit') args.emit = v
+      else if (key === 'tw-theme') args.twTheme = v
+      else if (key === 'tw-tolerance') args.twTolerance = Number(v)
+      else if (key === 'min-font-size') args.minFontSize = Number(v)
+      else if (key === 'fail-on') args.failOn = v
+      else if (key === 'hints') args.hints = v
+      else if (key === 'semantics-config') args.semanticsConfig = v
+      else if (key === 'lint-config') {
+        args.lintConfig = v
+        args.lint = true
+      }
+      else if (key === 'tokens') args.tokens = v === 'all' ? new Set(TOKEN_FORMATS) : new Set(v.split(',').map((f) => f.trim()))
       else {
         // eslint-disable-next-line no-console
         console.error(`Unknown flag: --${key}`)
@@ -152,6 +356,64 @@ function parseArgs(argv) {
     console.error(`Invalid --concurrency: ${args.concurrency}`)
     process.exit(1)
   }
+  if (args.depth !== 'auto' && (!Number.isInteger(args.depth) || args.depth <= 0)) {
+    // eslint-disable-next-line no-console
+    console.error(`Invalid --depth: ${args.depth} (expected a positive integer or auto)`)
+    process.exit(1)
+  }
+  if (args.rpm != null && (!Number.isFinite(args.rpm) || args.rpm <= 0)) {
+    // eslint-disable-next-line no-console
+    console.error(`Invalid --rpm: ${args.rpm}`)
+    process.exit(1)
+  }
+  if (!Number.isFinite(args.timeout) || args.timeout <= 0) {
+    // eslint-disable-next-line no-console
+    console.error(`Invalid --timeout: ${args.timeout}`)
+    process.exit(1)
+  }
+  if (!OUTPUT_FORMATS.has(args.format)) {
+    // eslint-disable-next-line no-console
+    console.error(`Invalid --format: ${args.format} (expected md, json or both)`)
+    process.exit(1)
+  }
+  if (args.emit && !EMIT_TARGETS.has(args.emit)) {
+    // eslint-disable-next-line no-console
+    console.error(`Invalid --emit: ${args.emit} (expected react)`)
+    process.exit(1)
+  }
+  if (args.tokens) {
+    const unknown = [...args.tokens].filter((f) => !TOKEN_FORMATS.has(f))
+    if (unknown.length) {
+      // eslint-disable-next-line no-console
+      console.error(`Invalid --tokens: ${unknown.join(', ')} (expected dtcg, css, tailwind or all)`)
+      process.exit(1)
+    }
+  }
+  if (!Number.isFinite(args.twTolerance) || args.twTolerance < 0) {
+    // eslint-disable-next-line no-console
+    console.error(`Invalid --tw-tolerance: ${args.twTolerance}`)
+    process.exit(1)
+  }
+  if (!Number.isFinite(args.minFontSize) || args.minFontSize <= 0) {
+    // eslint-disable-next-line no-console
+    console.error(`Invalid --min-font-size: ${args.minFontSize}`)
+    process.exit(1)
+  }
+  if (args.failOn && !SEVERITIES.includes(args.failOn)) {
+    // eslint-disable-next-line no-console
+    console.error(`Invalid --fail-on: ${args.failOn} (expected error or warning)`)
+    process.exit(1)
+  }
+  if (!HINT_GENERATORS.some((g) => g.id === args.hints) && !/\.(m|c)?js$/i.test(args.hints)) {
+    // eslint-disable-next-line no-console
+    console.error(`Invalid --hints: ${args.hints} (expected ${HINT_GENERATORS.map((g) => g.id).join(', ')} or a .js/.mjs/.cjs generator module)`)
+    process.exit(1)
+  }
+  if (args.record && args.replay) {
+    // eslint-disable-next-line no-console
+    console.error('--record and --replay cannot be used together')
+    process.exit(1)
+  }
 
   return args
 }
@@ -174,7 +436,31 @@ function sanitizeFileName(input) {
     return s.length ? s.slice(0, 80) : 'unnamed'
 }
 
-function parseFigmaNodeUrl(urlStr) {
+function normalizeNodeId(id) {
+    // node-id may be dash-separated (e.g. 123-456) as in URLs, or colon-separated as in the API.
+    const trimmed = String(id).trim()
+    if (!trimmed.includes(':') && /^\d+-\d+$/.test(trimmed)) return trimmed.replace('-', ':')
+    return trimmed
+}
+
+function decodeNodeIdParam(raw) {
+    // A URL's node-id may still be urlencoded (123%3A456 in a double-encoded link); a stray % stays as is.
+    try {
+        return decodeURIComponent(raw)
+    } catch {
+        return raw
+    }
+}
+
+function parseNodeIdList(raw) {
+    return raw
+        .split(',')
+        .map((id) => id.trim())
+        .filter(Boolean)
+        .map(normalizeNodeId)
+}
+
+function parseFigmaNodeUrl(urlStr, { requireNodeId = true } = {}) {
     let url
     try {
         url = new URL(urlStr)
@@ -182,9 +468,11 @@ function parseFigmaNodeUrl(urlStr) {
         throw new Error(`Invalid URL: ${urlStr}`)
     }
 
-  const m = url.pathname.match(/\/(?:file|design)\/([^/]+)/)
+  const m = url.pathname.match(/\/(file|design)\/([^/]+)/)
   if (!m) throw new Error(`Could not find file key in URL path: ${url.pathname}`)
-  const fileKey = m[1]
+  // Deep links in the report keep the URL's shape (legacy /file/ or /design/).
+  const urlKind = m[1]
+  const fileKey = m[2]
 
   let nodeIdParam = url.searchParams.get('node-id') || url.searchParams.get('node_id')
 
@@ -196,18 +484,17 @@ function parseFigmaNodeUrl(urlStr) {
     nodeIdParam = more.get('node-id') || more.get('node_id')
   }
 
-  if (!nodeIdParam) {
+  if (!nodeIdParam && requireNodeId) {
     throw new Error(
       'URL missing required query param: node-id\n' +
-        'Tip: ensure FIGMA_URL includes something like ?node-id=123-456 (or ?node-id=123%3A456).',
+        'Tip: ensure FIGMA_URL includes something like ?node-id=123-456 (or ?node-id=123%3A456),\n' +
+        'or pick the targets with --node / --page.',
     )
   }
 
-  // node-id may be urlencoded (e.g. 123%3A456) or dash-separated (e.g. 123-456)
-  let nodeId = decodeURIComponent(nodeIdParam)
-  if (!nodeId.includes(':') && /^\d+-\d+$/.test(nodeId)) nodeId = nodeId.replace('-', ':')
-
-  return { fileKey, nodeId }
+  // Several frames can be targeted at once: ?node-id=1-2,1-3
+  const nodeIds = nodeIdParam ? parseNodeIdList(decodeNodeIdParam(nodeIdParam)) : []
+  return { fileKey, nodeIds, urlKind }
 }
 
 function sleep(ms) {
@@ -220,880 +507,5361 @@ function shouldRetry(status) {
     return false
 }
 
-async function figmaFetchJson({ token, url, verbose }) {
+function createApiCache({ record, replay }) {
+    if (record) return { mode: 'record', dir: path.resolve(process.cwd(), record) }
+    if (replay) return { mode: 'replay', dir: path.resolve(process.cwd(), replay) }
+    return null
+}
+
+function cacheFilePath(cache, url) {
+    // Key by path + query only, so a recording does not depend on the API host.
+    const u = new URL(url)
+    const request = `${u.pathname}${u.search}`
+    const hash = crypto.createHash('sha1').update(request).digest('hex').slice(0, 16)
+    const label = sanitizeFileName(u.pathname.replace(/\//g, '-')).slice(0, 60)
+    return { request, file: path.join(cache.dir, `${label}-${hash}.json`) }
+}
+
+async function readCachedResponse({ cache, url, verbose }) {
+    const { request, file } = cacheFilePath(cache, url)
+    let raw
+    try {
+        raw = await fs.readFile(file, 'utf8')
+    } catch {
+        throw new Error(`No recorded response for ${request}\nExpected: ${file}\nRe-record with --record ${cache.dir}`)
+    }
+    log(verbose, `Replaying ${request}`)
+    const cached = JSON.parse(raw)
+    if (cached.error) {
+        const err = new Error(cached.error.message)
+        if (cached.error.name) err.name = cached.error.name
+        if (cached.error.status) err.status = cached.error.status
+        throw err
+    }
+    return cached.response
+}
+
+async function writeCachedResponse({ cache, url, response, error }) {
+    const { request, file } = cacheFilePath(cache, url)
+    await fs.mkdir(cache.dir, { recursive: true })
+    const entry = error ? { request, error } : { request, response }
+    await fs.writeFile(file, `${JSON.stringify(entry, null, 2)}\n`, 'utf8')
+}
+
+async function figmaFetchJson({ token, url, verbose, cache, scheduler }) {
+    if (cache?.mode === 'replay') return await readCachedResponse({ cache, url, verbose })
+
+    let data
+    try {
+        data = await figmaFetchJsonNetwork({ token, url, verbose, scheduler })
+    } catch (err) {
+        // Record API errors and timeouts too: the crawler reacts to them, and a replay has to take the same path.
+        if (cache?.mode === 'record' && (err.status || err.name === 'TimeoutError')) {
+            await writeCachedResponse({ cache, url, error: { name: err.name, status: err.status ?? null, message: err.message } })
+        }
+        throw err
+    }
+    if (cache?.mode === 'record') await writeCachedResponse({ cache, url, response: data })
+    return data
+}
+
+function figmaApiBase() {
+    // --api-base is copied into FIGMA_API_BASE, so .env, the environment and the flag all work.
+    return (process.env.FIGMA_API_BASE || FIGMA_API).replace(/\/+$/, '')
+}
+
+function createRequestScheduler({ rpm = null, timeoutMs = 120000 } = {}) {
+    // One per run and shared by every request: a token bucket refilled at `rpm` requests/minute
+    // (unlimited without --rpm) plus a global pause that any throttled request extends.
+    const capacity = rpm ? Math.max(1, Math.ceil(rpm / 10)) : 0
+    return {
+        rpm,
+        timeoutMs,
+        capacity,
+        tokens: capacity,
+        refilledAt: Date.now(),
+        pausedUntil: 0,
+        stats: { requests: 0, retries: 0, throttled: 0, timeouts: 0, budgetWaitMs: 0, pauseWaitMs: 0, backoffWaitMs: 0 },
+    }
+}
+
+async function acquireRequestSlot(scheduler) {
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+        const now = Date.now()
+        if (scheduler.pausedUntil > now) {
+            // pauseRequests already counted this window; every waiter sits out the same one.
+            await sleep(scheduler.pausedUntil - now)
+            continue
+        }
+        if (!scheduler.rpm) return
+
+        const perMs = scheduler.rpm / 60000
+        scheduler.tokens = Math.min(scheduler.capacity, scheduler.tokens + (now - scheduler.refilledAt) * perMs)
+        scheduler.refilledAt = now
+        if (scheduler.tokens >= 1) {
+            scheduler.tokens -= 1
+            return
+        }
+
+        const waitMs = Math.ceil((1 - scheduler.tokens) / perMs)
+        scheduler.stats.budgetWaitMs += waitMs
+        await sleep(waitMs)
+    }
+}
+
+function pauseRequests(scheduler, ms) {
+    // Everyone waits out a throttle, then restarts from an empty bucket instead of bursting again.
+    // Overlapping pauses extend the window, and only the extension adds to the pause time.
+    const now = Date.now()
+    const until = Math.max(scheduler.pausedUntil, now + ms)
+    scheduler.stats.pauseWaitMs += until - Math.max(scheduler.pausedUntil, now)
+    scheduler.pausedUntil = until
+    scheduler.tokens = 0
+}
+
+function retryAfterMs(header) {
+    if (!header) return null
+    const seconds = Number(header)
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+    const at = Date.parse(header)
+    return Number.isNaN(at) ? null : Math.max(0, at - Date.now())
+}
+
+function requestSummary(scheduler) {
+    const { stats } = scheduler
+    const secs = (ms) => `${(ms / 1000).toFixed(1)}s`
+    const waited = stats.budgetWaitMs + stats.pauseWaitMs + stats.backoffWaitMs
+    return (
+        `API: ${stats.requests} request(s), ${stats.retries} retried (${stats.throttled} throttled), ` +
+        `${stats.timeouts} timed out, ${secs(waited)} waiting ` +
+        `(rate budget ${secs(stats.budgetWaitMs)}, throttle pauses ${secs(stats.pauseWaitMs)}, backoff ${secs(stats.backoffWaitMs)})`
+    )
+}
+
+async function scheduledFetch({ url, headers = {}, label = 'Figma API', read = (res) => res.text(), verbose, scheduler }) {
+    // Every request of a run goes through here: rate budget, per-request timeout (body included),
+    // retries of 429/5xx honoring Retry-After. Returns read(res) of the first OK response.
     const maxAttempts = 6
     let attempt = 0
 
     // eslint-disable-next-line no-constant-condition
     while (true) {
-        const res = await fetch(url, {
-            headers: {
-                'X-Figma-Token': token,
-            },
-        })
-
-        if (res.ok) return await res.json()
+        await acquireRequestSlot(scheduler)
+        scheduler.stats.requests++
+
+        const controller = new AbortController()
+        const timer = setTimeout(() => controller.abort(), scheduler.timeoutMs)
+        let res
+        let body
+        try {
+            res = await fetch(url, { headers, signal: controller.signal })
+            body = res.ok ? await read(res) : await res.text()
+        } catch (err) {
+            if (!controller.signal.aborted) throw err
+            scheduler.stats.timeouts++
+            const timeout = new Error(`${label} request timed out after ${scheduler.timeoutMs}ms\nURL: ${url}`)
+            timeout.name = 'TimeoutError'
+            throw timeout
+        } finally {
+            clearTimeout(timer)
+        }
 
-        const text = await res.text().catch(() => '')
+        if (res.ok) return body
 
         if (attempt < maxAttempts - 1 && shouldRetry(res.status)) {
             const base = 500
             const backoff = base * Math.pow(2, attempt)
             const jitter = Math.floor(Math.random() * 250)
-            const waitMs = backoff + jitter
-            log(verbose, `Retrying (${res.status}) in ${waitMs}ms: ${url}`)
+            const waitMs = retryAfterMs(res.headers.get('retry-after')) ?? backoff + jitter
             attempt++
-            await sleep(waitMs)
+            scheduler.stats.retries++
+
+            if (res.status === 429) {
+                scheduler.stats.throttled++
+                log(verbose, `Throttled (429); pausing all requests for ${waitMs}ms: ${url}`)
+                pauseRequests(scheduler, waitMs)
+            } else {
+                log(verbose, `Retrying (${res.status}) in ${waitMs}ms: ${url}`)
+                scheduler.stats.backoffWaitMs += waitMs
+                await sleep(waitMs)
+            }
             continue
         }
 
-        throw new Error(
-            `Figma API error ${res.status} ${res.statusText}\nURL: ${url}\nBody: ${text.slice(0, 2000)}`,
-        )
+        const err = new Error(`${label} error ${res.status} ${res.statusText}\nURL: ${url}\nBody: ${body.slice(0, 2000)}`)
+        err.status = res.status
+        throw err
     }
 }
 
-async function fetchNodes({ token, fileKey, ids, depth = 1, verbose }) {
+async function figmaFetchJsonNetwork({ token, url, verbose, scheduler }) {
+    return JSON.parse(await scheduledFetch({ url, headers: { 'X-Figma-Token': token }, verbose, scheduler }))
+}
+
+async function fetchNodes({ token, fileKey, ids, depth = 1, verbose, cache, scheduler }) {
     const params = new URLSearchParams()
     params.set('ids', ids.join(','))
     params.set('depth', String(depth))
 
-    const url = `${FIGMA_API}/files/${encodeURIComponent(fileKey)}/nodes?${params}`
-    return await figmaFetchJson({ token, url, verbose })
+    const url = `${figmaApiBase()}/files/${encodeURIComponent(fileKey)}/nodes?${params}`
+    return await figmaFetchJson({ token, url, verbose, cache, scheduler })
 }
 
-function isVisibleNode(node) {
-    // Per Figma, visible defaults to true when omitted
-    return node?.visible !== false
+async function fetchPages({ token, fileKey, verbose, cache, scheduler }) {
+    // depth=1 stops at the canvases, so this stays cheap even for large files.
+    const url = `${figmaApiBase()}/files/${encodeURIComponent(fileKey)}?depth=1`
+    const data = await figmaFetchJson({ token, url, verbose, cache, scheduler })
+    return (data?.document?.children || []).filter((c) => c?.type === 'CANVAS')
 }
 
-function isVectorLikeType(type) {
-    return (
-        type === 'VECTOR' ||
-        type === 'BOOLEAN_OPERATION' ||
-        type === 'LINE' ||
-        type === 'ELLIPSE' ||
-        type === 'REGULAR_POLYGON' ||
-        type === 'STAR'
-    )
+async function resolveReportTargets({ token, urls, urlTargets = true, nodes, pages, verbose, cache, scheduler }) {
+    // An explicit --node/--page picks the targets, so the URL then only has to supply the file key.
+    const requireNodeId = nodes.length === 0 && pages.length === 0
+    const parsed = urls.map((u) => parseFigmaNodeUrl(u, { requireNodeId }))
+
+    const fileKeys = [...new Set(parsed.map((p) => p.fileKey))]
+    if (fileKeys.length > 1) throw new Error(`All targets must be in the same file (got ${fileKeys.join(', ')})`)
+    const fileKey = fileKeys[0]
+
+    const nodeIds = [...(urlTargets ? parsed.flatMap((p) => p.nodeIds) : []), ...nodes]
+
+    if (pages.length) {
+        const canvases = await fetchPages({ token, fileKey, verbose, cache, scheduler })
+        for (const page of pages) {
+            const id = normalizeNodeId(page)
+            const canvas =
+                canvases.find((c) => c.id === id) ||
+                canvases.find((c) => c.name === page) ||
+                canvases.find((c) => c.name?.toLowerCase() === page.toLowerCase())
+            if (!canvas) {
+                throw new Error(`Page not found: "${page}" (pages: ${canvases.map((c) => `${c.name} (${c.id})`).join(', ') || 'none'})`)
+            }
+            log(verbose, `Page "${page}" -> ${canvas.id}`)
+            nodeIds.push(canvas.id)
+        }
+    }
+
+    return { fileKey, nodeIds: [...new Set(nodeIds)], urlKind: parsed[0]?.urlKind ?? 'design' }
 }
 
-function pick(obj, keys) {
-    const out = {}
-    for (const k of keys) if (k in obj) out[k] = obj[k]
-    return out
+async function fetchPublishedStyles({ token, fileKey, verbose, cache, scheduler }) {
+    const url = `${figmaApiBase()}/files/${encodeURIComponent(fileKey)}/styles`
+    return await figmaFetchJson({ token, url, verbose, cache, scheduler })
 }
 
-function omit(obj, keysToOmit) {
-    const out = {}
-    for (const [k, v] of Object.entries(obj)) {
-        if (keysToOmit.has(k)) continue
-        out[k] = v
+async function fetchLocalVariables({ token, fileKey, verbose, cache, scheduler }) {
+    const url = `${figmaApiBase()}/files/${encodeURIComponent(fileKey)}/variables/local`
+    return await figmaFetchJson({ token, url, verbose, cache, scheduler })
+}
+
+async function fetchImageRenders({ token, fileKey, ids, format, scale, verbose, cache, scheduler }) {
+    const params = new URLSearchParams()
+    params.set('ids', ids.join(','))
+    params.set('format', format)
+    if (format !== 'svg' && format !== 'pdf') params.set('scale', String(scale))
+
+    const url = `${figmaApiBase()}/images/${encodeURIComponent(fileKey)}?${params}`
+    return await figmaFetchJson({ token, url, verbose, cache, scheduler })
+}
+
+async function fetchImageFills({ token, fileKey, verbose, cache, scheduler }) {
+    const url = `${figmaApiBase()}/files/${encodeURIComponent(fileKey)}/images`
+    return await figmaFetchJson({ token, url, verbose, cache, scheduler })
+}
+
+function referencedStyleIds(nodeMap) {
+    const ids = new Set()
+    for (const n of nodeMap.values()) {
+        for (const styleId of Object.values(n.known?.styles || {})) if (styleId) ids.add(styleId)
     }
-    return out
+    return ids
 }
 
-function stableStringify(value) {
-    const seen = new WeakSet()
+async function resolveMissingStyles({ token, fileKey, nodeMap, styleMeta, verbose, cache, scheduler, state }) {
+    // /nodes responses carry a styles block for everything they reference, so this only
+    // matters for stragglers. Ask /files/:key/styles (published styles) once per run.
+    const missing = [...referencedStyleIds(nodeMap)].filter((id) => !styleMeta.has(id))
+    if (!missing.length || state.publishedStylesTried) return
 
-    function sortRec(v) {
-        if (v === null) return v
-        if (typeof v !== 'object') return v
-        if (seen.has(v)) return '[Circular]'
-        seen.add(v)
+    state.publishedStylesTried = true
+    let data
+    try {
+        data = await fetchPublishedStyles({ token, fileKey, verbose, cache, scheduler })
+    } catch (err) {
+        log(verbose, `Could not load published styles (${missing.length} style ids stay unnamed): ${String(err?.message || err).split('\n')[0]}`)
+        return
+    }
 
-        if (Array.isArray(v)) return v.map(sortRec)
+    for (const st of data?.meta?.styles || []) {
+        if (!st?.node_id || styleMeta.has(st.node_id)) continue
+        styleMeta.set(st.node_id, { key: st.key, name: st.name, styleType: st.style_type, description: st.description })
+    }
+}
 
-        const out = {}
-        for (const k of Object.keys(v).sort()) out[k] = sortRec(v[k])
-        return out
+function styleLabel(styleMeta, styleId) {
+    if (!styleId) return null
+    const meta = styleMeta?.get(styleId)
+    return meta?.name ? `"${meta.name}"` : `unresolved ${styleId}`
+}
+
+function boundVariableRefs(node) {
+    // boundVariables maps a field to an alias, a list of aliases (fills, strokes, effects) or,
+    // for nested fields, an object of aliases; flatten to "fills[0]" / "componentProperties.x".
+    const out = []
+    const walk = (value, field) => {
+        if (value?.type === 'VARIABLE_ALIAS' && value.id) out.push({ field, id: value.id })
+        else if (Array.isArray(value)) value.forEach((v, i) => walk(v, `${field}[${i}]`))
+        else if (value && typeof value === 'object') for (const [k, v] of Object.entries(value)) walk(v, field ? `${field}.${k}` : k)
     }
+    walk(node.known?.boundVariables, '')
+    return out.sort((a, b) => a.field.localeCompare(b.field))
+}
 
-    return JSON.stringify(sortRec(value), null, 2)
+async function resolveVariables({ token, fileKey, nodeMap, variables, verbose, cache, scheduler }) {
+    // Local variables and collections come from a separate endpoint that needs an Enterprise plan
+    // (403 otherwise); ask once per run, and only when something is bound to a variable.
+    for (const n of nodeMap.values()) for (const ref of boundVariableRefs(n)) variables.used.add(ref.id)
+    if (!variables.used.size || variables.tried) return
+
+    variables.tried = true
+    let data
+    try {
+        data = await fetchLocalVariables({ token, fileKey, verbose, cache, scheduler })
+    } catch (err) {
+        log(verbose, `Could not load local variables (bound variables stay unnamed): ${String(err?.message || err).split('\n')[0]}`)
+        return
+    }
+
+    for (const [id, v] of Object.entries(data?.meta?.variables || {})) variables.variables.set(id, v)
+    for (const [id, c] of Object.entries(data?.meta?.variableCollections || {})) variables.collections.set(id, c)
 }
 
-function fenceForText(s) {
-    const text = String(s)
-    if (!text.includes('```')) return '```'
-    if (!text.includes('````')) return '````'
-    // Extremely unlikely; fall back to 5
-    return '`````'
+function usedVariableIds(variables) {
+    // Bound variables plus everything their values alias, so tokens can keep the references.
+    const out = new Set()
+    const stack = [...variables.used]
+    while (stack.length) {
+        const id = stack.pop()
+        const v = variables.variables.get(id)
+        if (!v || out.has(id)) continue
+        out.add(id)
+        for (const value of Object.values(v.valuesByMode || {})) if (value?.type === 'VARIABLE_ALIAS') stack.push(value.id)
+    }
+    return [...out].sort()
 }
 
-function hexFromColor(color) {
-    if (!color || typeof color !== 'object') return null
-    const r = Math.round((color.r ?? 0) * 255)
-    const g = Math.round((color.g ?? 0) * 255)
-    const b = Math.round((color.b ?? 0) * 255)
-    const a = color.a
-    const hex = `#${[r, g, b].map((n) => n.toString(16).padStart(2, '0')).join('')}`
-    if (typeof a === 'number' && a >= 0 && a < 1) return `${hex} @ ${a.toFixed(3)}`
-    return hex
+function variableModes(variables, variable) {
+    const collection = variables.collections.get(variable?.variableCollectionId)
+    return collection?.modes?.length ? collection.modes : Object.keys(variable?.valuesByMode || {}).map((modeId) => ({ modeId, name: modeId }))
 }
 
-function twSize(px) {
-    if (!Number.isFinite(px)) return null
-    return `${Math.round(px * 1000) / 1000}px`
+function variableModeValue(variables, variable, modeId, seen = new Set()) {
+    // Aliases resolve in the target collection's default mode; mode mapping across collections
+    // depends on the frame the node sits in, which the REST API does not expose.
+    const value = variable?.valuesByMode?.[modeId]
+    if (value?.type !== 'VARIABLE_ALIAS') return value
+    const target = variables.variables.get(value.id)
+    if (!target || seen.has(value.id)) return undefined
+    seen.add(value.id)
+    const targetMode = variables.collections.get(target.variableCollectionId)?.defaultModeId ?? Object.keys(target.valuesByMode || {})[0]
+    return variableModeValue(variables, target, targetMode, seen)
 }
 
-function twArbitrary(prefix, px) {
-    if (!Number.isFinite(px)) return null
-    return `${prefix}-[${twSize(px)}]`
+function formatVariableValue(variable, value) {
+    if (value === undefined) return '?'
+    if (variable?.resolvedType === 'COLOR' && value && typeof value === 'object') return cssHexFromColor(value) ?? stableStringify(value)
+    if (typeof value === 'number') return String(Math.round(value * 1000) / 1000)
+    if (typeof value === 'string') return JSON.stringify(value)
+    return String(value)
 }
 
-function inferTw(node) {
-    const tw = []
+function variableLabel(variables, variableId) {
+    const v = variables?.variables.get(variableId)
+    if (!v) return `unresolved ${variableId}`
+    const collection = variables.collections.get(v.variableCollectionId)
+    const modes = variableModes(variables, v)
+    const values = modes.map((m) => {
+        const text = formatVariableValue(v, variableModeValue(variables, v, m.modeId))
+        const alias = v.valuesByMode?.[m.modeId]?.type === 'VARIABLE_ALIAS' ? variables.variables.get(v.valuesByMode[m.modeId].id)?.name : null
+        const shown = alias ? `${text} via "${alias}"` : text
+        return modes.length > 1 ? `${m.name}: ${shown}` : shown
+    })
+    return `"${v.name}"${collection ? ` (${collection.name})` : ''} = ${values.join(', ')}`
+}
 
-    const lm = node.layoutMode
-    if (lm === 'HORIZONTAL') tw.push('flex', 'flex-row')
-    if (lm === 'VERTICAL') tw.push('flex', 'flex-col')
+const PAINT_VARIABLE_FIELDS = /^(fills|strokes|effects|opacity|strokeWeight|strokeTopWeight|strokeRightWeight|strokeBottomWeight|strokeLeftWeight)\b/
 
-    if (Number.isFinite(node.itemSpacing)) {
-        const cls = twArbitrary('gap', node.itemSpacing)
-        if (cls) tw.push(cls)
-    }
+function boundVariableLines(node, variables, paint) {
+    // Paint fields go with Paint / Effects, everything else (spacing, sizes, radii, ...) with Layout.
+    return boundVariableRefs(node)
+        .filter((ref) => PAINT_VARIABLE_FIELDS.test(ref.field) === paint)
+        .map((ref) => `  - ${ref.field}: ${variableLabel(variables, ref.id)}`)
+}
 
-    const pads = {
-        pt: node.paddingTop,
-        pr: node.paddingRight,
-        pb: node.paddingBottom,
-        pl: node.paddingLeft,
-    }
-    const padVals = Object.values(pads).filter((v) => Number.isFinite(v))
-    if (padVals.length === 4 && padVals.every((v) => v === padVals[0])) {
-        const cls = twArbitrary('p', padVals[0])
-        if (cls) tw.push(cls)
-    } else {
-        if (Number.isFinite(pads.pt)) tw.push(twArbitrary('pt', pads.pt))
-        if (Number.isFinite(pads.pr)) tw.push(twArbitrary('pr', pads.pr))
-        if (Number.isFinite(pads.pb)) tw.push(twArbitrary('pb', pads.pb))
-        if (Number.isFinite(pads.pl)) tw.push(twArbitrary('pl', pads.pl))
+function componentDefinitionId(componentMeta, componentId) {
+    // Property definitions live on the component set for variants, on the component otherwise.
+    return componentMeta.components.get(componentId)?.componentSetId || componentId
+}
+
+async function resolveComponentDefinitions({ token, fileKey, nodeMap, componentMeta, batchSize, verbose, cache, scheduler }) {
+    // Instances only carry property values; types, defaults and variant options sit on the main
+    // component or its set. Fetch each local one once per run (library components are skipped).
+    const wanted = []
+    for (const n of nodeMap.values()) {
+        const componentId = n.type === 'INSTANCE' ? n.known?.componentId : null
+        if (!componentId || componentMeta.components.get(componentId)?.remote) continue
+        const id = componentDefinitionId(componentMeta, componentId)
+        if (componentMeta.definitions.has(id)) continue
+
+        const local = nodeMap.get(id)?.known?.componentPropertyDefinitions
+        componentMeta.definitions.set(id, local || null)
+        if (!local) wanted.push(id)
     }
 
-    // Basic color hint: first visible solid fill
-    if (Array.isArray(node.fills)) {
-        const solid = node.fills.find((f) => f?.visible !== false && f?.type === 'SOLID' && f?.color)
-        if (solid) {
-            const hex = hexFromColor(solid.color)
-            if (hex) tw.push(`bg-[${hex.replace(' @ ', '/')} ]`.replace(/\s+/g, ''))
+    for (let i = 0; i < wanted.length; i += batchSize) {
+        const ids = wanted.slice(i, i + batchSize)
+        let data
+        try {
+            data = await fetchNodes({ token, fileKey, ids, depth: 1, verbose, cache, scheduler })
+        } catch (err) {
+            log(verbose, `Could not load component definitions for ${ids.join(', ')}: ${String(err?.message || err).split('\n')[0]}`)
+            continue
+        }
+        for (const id of ids) {
+            const defs = data?.nodes?.[id]?.document?.componentPropertyDefinitions
+            if (defs) componentMeta.definitions.set(id, defs)
         }
     }
+}
 
-    // Corners
-    if (typeof node.cornerRadius === 'number') {
-        const cls = twArbitrary('rounded', node.cornerRadius)
-        if (cls) tw.push(cls)
-    }
+function componentLabel(componentMeta, componentId) {
+    if (!componentId) return null
+    const component = componentMeta?.components.get(componentId)
+    if (!component) return `unresolved ${componentId}`
+    const set = component.componentSetId ? componentMeta.componentSets.get(component.componentSetId) : null
+    return set ? `"${set.name}" / ${component.name}` : `"${component.name}"`
+}
 
-    return [...new Set(tw.filter(Boolean))]
+function propertyDisplayName(key) {
+    // Non-variant property keys carry a "#<id>" suffix: "Label#12:0" -> "Label".
+    return key.replace(/#[^#]*$/, '')
 }
 
-function inferElement(node) {
-    const t = node.type
-    if (t === 'TEXT') return 'p'
-    if (t === 'FRAME' || t === 'GROUP' || t === 'SECTION') return 'div'
-    if (t === 'RECTANGLE') return 'div'
-    if (t === 'ELLIPSE') return 'div'
-    if (t === 'INSTANCE') return 'div'
-    if (t === 'COMPONENT') return 'div'
-    if (t === 'COMPONENT_SET') return 'div'
-    if (t === 'LINE') return 'div'
-    if (t === 'VECTOR' || t === 'BOOLEAN_OPERATION' || t === 'STAR' || t === 'REGULAR_POLYGON') return 'svg'
-    return 'div'
+function componentPropertyValue(prop, componentMeta) {
+    if (prop?.value === undefined) return '—'
+    if (prop.type === 'INSTANCE_SWAP') return componentLabel(componentMeta, prop.value)
+    if (prop.type === 'TEXT') return JSON.stringify(prop.value)
+    return String(prop.value)
 }
 
-function nodeTitle(node) {
-    const name = node.name ?? 'Unnamed'
-    return `${node.type} "${name}"`
+function markdownCell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ')
 }
 
-function bboxSummary(bb) {
-    if (!bb) return null
-    const parts = ['x', 'y', 'width', 'height']
-    if (!parts.every((k) => Number.isFinite(bb[k]))) return null
-    return `${bb.width}x${bb.height} at (${bb.x}, ${bb.y})`
+function countDescendants(nodeMap, id) {
+    const n = nodeMap.get(id)
+    return (n?.childIds || []).reduce((sum, childId) => sum + (nodeMap.has(childId) ? 1 + countDescendants(nodeMap, childId) : 0), 0)
 }
 
-function formatPaintArray(paints) {
-    if (!Array.isArray(paints) || paints.length === 0) return 'none'
-    const lines = []
-    for (const p of paints) {
-        if (!p || typeof p !== 'object') continue
-        const base = `${p.visible === false ? '(hidden) ' : ''}${p.type || 'UNKNOWN'}`
-        if (p.type === 'SOLID' && p.color) {
-            const hex = hexFromColor(p.color)
-            lines.push(`${base} ${hex || ''}`.trim())
-        } else if (p.type && (p.type === 'GRADIENT_LINEAR' || p.type === 'GRADIENT_RADIAL' || p.type === 'GRADIENT_ANGULAR' || p.type === 'GRADIENT_DIAMOND')) {
-            lines.push(`${base} (stops=${Array.isArray(p.gradientStops) ? p.gradientStops.length : 0})`)
-        } else if (p.type === 'IMAGE') {
-            lines.push(`${base} (imageRef=${p.imageRef ? String(p.imageRef).slice(0, 16) : 'n/a'}...)`)
-        } else {
-            lines.push(base)
+function instanceMarkdown({ node, nodeMap, componentMeta, collapseInstances }) {
+    const out = []
+    const componentId = node.known?.componentId
+    const component = componentMeta?.components.get(componentId)
+    const setId = component?.componentSetId
+    const set = setId ? componentMeta.componentSets.get(setId) : null
+
+    out.push('')
+    out.push('**Component Instance**')
+    out.push('')
+    out.push(`- Main component: ${component ? `"${component.name}"` : 'unresolved'} (id: ${componentId ?? 'unknown'}${component?.key ? `, key: ${component.key}` : ''})`)
+    if (set) out.push(`- Component set: "${set.name}" (id: ${setId})`)
+    if (component?.remote) out.push('- Source: library (remote) component')
+    const description = component?.description || set?.description
+    if (description) out.push(`- Description: ${description.replace(/\s+/g, ' ').trim()}`)
+    for (const link of component?.documentationLinks || []) if (link?.uri) out.push(`- Documentation: ${link.uri}`)
+
+    const props = node.known?.componentProperties || {}
+    const variant = Object.entries(props).filter(([, p]) => p?.type === 'VARIANT')
+    const variantPairs = variant.length
+        ? variant.map(([k, p]) => `${k}=${p.value}`)
+        : Object.entries(node.known?.variantProperties || {}).map(([k, v]) => `${k}=${v}`)
+    if (variantPairs.length) out.push(`- Variant: ${variantPairs.join(', ')}`)
+
+    if (Object.keys(props).length) {
+        // Changed = differs from the definition's default (variants: from the set's default variant).
+        const defs = componentMeta?.definitions.get(componentDefinitionId(componentMeta, componentId)) || null
+        out.push('')
+        out.push('| Property | Type | Value | Default | Changed |')
+        out.push('| --- | --- | --- | --- | --- |')
+        for (const key of Object.keys(props).sort()) {
+            const p = props[key]
+            const def = defs?.[key]
+            const defaultValue = def ? componentPropertyValue({ type: p.type, value: def.defaultValue }, componentMeta) : '?'
+            const changed = def ? (stableStringify(def.defaultValue) === stableStringify(p.value) ? 'no' : 'yes') : '?'
+            const cells = [propertyDisplayName(key), p.type, componentPropertyValue(p, componentMeta), defaultValue, changed]
+            out.push(`| ${cells.map(markdownCell).join(' | ')} |`)
         }
     }
-    return lines.length ? lines.join('\n') : 'none'
+
+    const overrides = (node.known?.overrides || []).filter((o) => o?.overriddenFields?.length)
+    if (overrides.length) {
+        out.push('')
+        out.push('- Overrides (differ from the main component):')
+        for (const o of overrides) {
+            const target = o.id === node.id ? 'this instance' : nodeMap.get(o.id) ? `"${nodeMap.get(o.id).name ?? 'Unnamed'}" (${o.id})` : `hidden layer ${o.id}`
+            out.push(`  - ${target}: ${[...o.overriddenFields].sort().join(', ')}`)
+        }
+    }
+
+    if (collapseInstances && node.childIds.length) {
+        out.push('')
+        out.push(`- Subtree: collapsed (${countDescendants(nodeMap, node.id)} nested layer(s); see the main component)`)
+    }
+    return out
 }
 
-function formatEffects(effects) {
-    if (!Array.isArray(effects) || effects.length === 0) return 'none'
-    const lines = []
-    for (const e of effects) {
-        if (!e || typeof e !== 'object') continue
-        const base = `${e.visible === false ? '(hidden) ' : ''}${e.type || 'UNKNOWN'}`
-        if ((e.type === 'DROP_SHADOW' || e.type === 'INNER_SHADOW') && e.color) {
+const PROTOTYPE_NAVIGATION_LABELS = {
+    NAVIGATE: 'Navigate to',
+    OVERLAY: 'Open overlay',
+    SWAP: 'Swap overlay with',
+    SCROLL_TO: 'Scroll to',
+    CHANGE_TO: 'Change to',
+}
+
+// Navigations that lead to another screen; scroll-to and variant changes stay on the same one.
+const PROTOTYPE_FLOW_NAVIGATIONS = new Set(['NAVIGATE', 'OVERLAY', 'SWAP'])
+
+function humanizeEnum(value) {
+    const s = String(value).toLowerCase().replace(/_/g, ' ')
+    return `${s.charAt(0).toUpperCase()}${s.slice(1)}`
+}
+
+function nodeInteractions(node) {
+    // One entry per reaction action. The deprecated transitionNodeID is only listed when no
+    // reaction already leads there (files from before reactions existed).
+    const out = []
+    for (const reaction of node.known?.reactions || []) {
+        const actions = reaction?.actions || (reaction?.action ? [reaction.action] : [])
+        for (const action of actions) {
+            if (!action?.type) continue
+            out.push({
+                trigger: reaction.trigger || null,
+                type: action.type,
+                navigation: action.type === 'NODE' ? action.navigation || 'NAVIGATE' : null,
+                destinationId: action.type === 'NODE' ? action.destinationId || null : null,
+                url: action.type === 'URL' ? action.url || null : null,
+                transition: action.transition || null,
+            })
+        }
+    }
+    const legacyId = node.known?.transitionNodeID
+    if (legacyId && !out.some((i) => i.destinationId === legacyId)) {
+        out.push({ trigger: { type: 'ON_CLICK' }, type: 'NODE', navigation: 'NAVIGATE', destinationId: legacyId, url: null, transition: null })
+    }
+    return out
+}
+
+function triggerLabel(trigger) {
+    if (!trigger?.type) return 'Unknown trigger'
+    const details = []
+    if (Number.isFinite(trigger.timeout)) details.push(`timeout ${trigger.timeout}`)
+    if (Number.isFinite(trigger.delay) && trigger.delay > 0) details.push(`delay ${trigger.delay}`)
+    if (Array.isArray(trigger.keyCodes) && trigger.keyCodes.length) details.push(`key codes ${trigger.keyCodes.join('+')}`)
+    return details.length ? `${humanizeEnum(trigger.type)} (${details.join(', ')})` : humanizeEnum(trigger.type)
+}
+
+function interactionActionLabel(interaction) {
+    if (interaction.type === 'NODE') return PROTOTYPE_NAVIGATION_LABELS[interaction.navigation] || humanizeEnum(interaction.navigation)
+    if (interaction.type === 'URL') return 'Open link'
+    if (interaction.type === 'CLOSE') return 'Close overlay'
+    return humanizeEnum(interaction.type)
+}
+
+function transitionLabel(transition) {
+    if (!transition?.type) return null
+    const parts = [humanizeEnum(transition.type)]
+    if (Number.isFinite(transition.duration)) parts.push(`duration ${transition.duration}`)
+    if (transition.easing?.type) parts.push(humanizeEnum(transition.easing.type))
+    return parts.join(', ')
+}
+
+function nodeNamePath(nodeMap, parents, id) {
+    const names = []
+    for (let at = id; at; at = parents.get(at)) names.unshift(nodeMap.get(at)?.name ?? 'Unnamed')
+    return names.join(' > ')
+}
+
+async function resolvePrototypeDestinations({ token, fileKey, sections, prototype, batchSize, verbose, cache, scheduler }) {
+    // Destinations are mostly other top-level frames: either part of the report (named with their
+    // layer path) or elsewhere in the file, fetched once for their name and type.
+    const owners = new Map()
+    for (const s of sections) for (const id of s.nodeMap.keys()) if (!owners.has(id)) owners.set(id, s)
+    const parentsBySection = new Map()
+    const wanted = []
+    for (const s of sections) {
+        for (const n of s.nodeMap.values()) {
+            for (const { destinationId: id } of nodeInteractions(n)) {
+                if (!id || prototype.destinations.has(id)) continue
+                const owner = owners.get(id)
+                if (!owner) {
+                    prototype.destinations.set(id, null)
+                    wanted.push(id)
+                    continue
+                }
+                if (!parentsBySection.has(owner)) parentsBySection.set(owner, parentIdMap(owner.nodeMap))
+                const node = owner.nodeMap.get(id)
+                const nodePath = nodeNamePath(owner.nodeMap, parentsBySection.get(owner), id)
+                prototype.destinations.set(id, { id, name: node.name ?? 'Unnamed', type: node.type, path: nodePath, sectionId: owner.id })
+            }
+        }
+    }
+
+    for (let i = 0; i < wanted.length; i += batchSize) {
+        const ids = wanted.slice(i, i + batchSize)
+        let data
+        try {
+            data = await fetchNodes({ token, fileKey, ids, depth: 1, verbose, cache, scheduler })
+        } catch (err) {
+            log(verbose, `Could not load prototype destinations ${ids.join(', ')}: ${String(err?.message || err).split('\n')[0]}`)
+            continue
+        }
+        for (const id of ids) {
+            const doc = data?.nodes?.[id]?.document
+            if (doc) prototype.destinations.set(id, { id, name: doc.name ?? 'Unnamed', type: doc.type, path: null, sectionId: null })
+        }
+    }
+}
+
+function destinationMarkdown(prototype, id, nodeLink) {
+    const dest = prototype?.destinations.get(id)
+    if (!dest) return `\`${id}\` (not found in the file)`
+    return `${markdownNodeLink(dest, nodeLink)} (${dest.path ? `path: ${markdownCell(dest.path)}` : 'outside the report'})`
+}
+
+function interactionLines({ node, prototype, nodeLink = null }) {
+    // Trigger -> action -> destination, one line per reaction action.
+    return nodeInteractions(node).map((i) => {
+        let line = `- ${triggerLabel(i.trigger)} → ${interactionActionLabel(i)}`
+        if (i.destinationId) line += ` → ${destinationMarkdown(prototype, i.destinationId, nodeLink)}`
+        else if (i.url) line += ` → <${i.url}>`
+        const transition = transitionLabel(i.transition)
+        if (transition) line += ` (transition: ${transition})`
+        return line
+    })
+}
+
+function prototypeStartPoints(rootNorm) {
+    // Only pages (CANVAS) carry prototype starting points.
+    const starts = (rootNorm.known?.flowStartingPoints || []).filter((p) => p?.nodeId).map((p) => ({ nodeId: p.nodeId, name: p.name ?? null }))
+    const legacyId = rootNorm.known?.prototypeStartNodeID
+    if (legacyId && !starts.some((p) => p.nodeId === legacyId)) starts.push({ nodeId: legacyId, name: null })
+    return starts
+}
+
+function mermaidLabel(text) {
+    return `"${String(text).replace(/"/g, '#quot;')}"`
+}
+
+function prototypeFlowMarkdown({ targets, prototype, nodeLink = null }) {
+    // Screen-to-screen navigation across sections: a section is a screen, and so is every
+    // destination frame outside the report. Links open as rounded nodes, overlays as dashed edges.
+    const sections = targets.flatMap((t) => t.sections)
+    const sectionById = new Map(sections.map((s) => [s.id, s]))
+    const screens = new Map()
+    const screenId = (id) => `n${id.replace(/[^A-Za-z0-9]/g, '_')}`
+    const addScreen = (id, label) => {
+        if (!screens.has(screenId(id))) screens.set(screenId(id), `${screenId(id)}[${mermaidLabel(label)}]`)
+        return screenId(id)
+    }
+    const urls = new Map()
+    const addUrl = (url) => {
+        if (!urls.has(url)) urls.set(url, `url${urls.size + 1}`)
+        const id = urls.get(url)
+        screens.set(id, `${id}([${mermaidLabel(url)}])`)
+        return id
+    }
+
+    const edges = new Map()
+    const rows = []
+    for (const s of sections) {
+        for (const n of nodesInTreeOrder({ nodeMap: s.nodeMap, rootId: s.id })) {
+            for (const i of nodeInteractions(n)) {
+                const url = i.type === 'URL' ? i.url : null
+                if (!url && !(i.destinationId && PROTOTYPE_FLOW_NAVIGATIONS.has(i.navigation))) continue
+
+                const from = addScreen(s.id, s.name)
+                let to
+                if (url) to = addUrl(url)
+                else {
+                    const dest = prototype.destinations.get(i.destinationId)
+                    if (dest?.sectionId) to = addScreen(dest.sectionId, sectionById.get(dest.sectionId).name)
+                    else to = addScreen(i.destinationId, dest ? `${dest.name} (outside the report)` : `${i.destinationId} (not found)`)
+                }
+                if (from === to) continue
+                const label = `${humanizeEnum(i.trigger?.type ?? 'unknown')}: ${interactionActionLabel(i)}`
+                const arrow = i.navigation === 'OVERLAY' || i.navigation === 'SWAP' ? '-.->' : '-->'
+                edges.set(`${from} ${arrow} ${to} ${label}`, `${from} ${arrow}|${mermaidLabel(label)}| ${to}`)
+                const destination = url ? `<${url}>` : destinationMarkdown(prototype, i.destinationId, nodeLink)
+                rows.push(`| ${markdownCell(s.name)} | ${markdownNodeLink(n, nodeLink)} | ${markdownCell(triggerLabel(i.trigger))} | ${interactionActionLabel(i)} | ${destination} |`)
+            }
+        }
+    }
+
+    const starts = targets.flatMap((t) => prototypeStartPoints(t.rootNorm))
+    if (!edges.size && !starts.length) return null
+    for (const p of starts) addScreen(p.nodeId, sectionById.get(p.nodeId)?.name ?? p.nodeId)
+
+    const out = []
+    out.push('## Prototype Flow')
+    out.push('')
+    out.push(`- Screens: ${screens.size}, transitions: ${edges.size} (dashed: overlays; rounded: external links)`)
+    for (const p of starts) {
+        const section = sectionById.get(p.nodeId)
+        out.push(`- Flow starting point${p.name ? ` "${p.name}"` : ''}: ${markdownNodeLink({ id: p.nodeId, name: section?.name ?? p.nodeId }, nodeLink)}`)
+    }
+    out.push('')
+    out.push('```mermaid')
+    out.push('flowchart LR')
+    for (const line of screens.values()) out.push(`    ${line}`)
+    for (const line of edges.values()) out.push(`    ${line}`)
+    if (starts.length) {
+        out.push('    classDef start stroke-width:3px')
+        out.push(`    class ${[...new Set(starts.map((p) => screenId(p.nodeId)))].join(',')} start`)
+    }
+    out.push('```')
+    out.push('')
+    if (rows.length) {
+        out.push('| From | Element | Trigger | Action | Destination |')
+        out.push('| --- | --- | --- | --- | --- |')
+        out.push(...rows)
+        out.push('')
+    }
+    return out.join('\n')
+}
+
+const CATALOGUE_NODE_TYPES = new Set(['COMPONENT_SET', 'COMPONENT'])
+
+function catalogueRootIds(nodeMap, rootId) {
+    // Component sets and standalone components, outermost first; variants stay inside their set.
+    const out = []
+    const walk = (id) => {
+        const n = nodeMap.get(id)
+        if (!n) return
+        if (CATALOGUE_NODE_TYPES.has(n.type)) {
+            out.push(id)
+            return
+        }
+        if (n.type === 'INSTANCE') return
+        for (const childId of n.childIds) walk(childId)
+    }
+    walk(rootId)
+    return out
+}
+
+function subtreeNodeMap(nodeMap, rootId) {
+    const out = new Map()
+    const stack = [rootId]
+    while (stack.length) {
+        const n = nodeMap.get(stack.shift())
+        if (!n) continue
+        out.set(n.id, n)
+        stack.push(...n.childIds)
+    }
+    return out
+}
+
+function parseVariantName(name) {
+    // Variant components are named "Size=md, State=hover".
+    const values = {}
+    for (const part of String(name ?? '').split(',')) {
+        const eq = part.indexOf('=')
+        if (eq > 0) values[part.slice(0, eq).trim()] = part.slice(eq + 1).trim()
+    }
+    return values
+}
+
+function tsPropName(displayName, used) {
+    const words = String(displayName).split(/[^A-Za-z0-9]+/).filter(Boolean)
+    let name = words.map((w, i) => (i ? w[0].toUpperCase() + w.slice(1) : w[0].toLowerCase() + w.slice(1))).join('') || 'prop'
+    if (/^[0-9]/.test(name)) name = `prop${name}`
+    let unique = name
+    for (let n = 2; used.has(unique); n++) unique = `${name}${n}`
+    used.add(unique)
+    return unique
+}
+
+function catalogueEntry({ nodeMap, rootId, componentMeta }) {
+    const n = nodeMap.get(rootId)
+    const isSet = n.type === 'COMPONENT_SET'
+    const meta = (isSet ? componentMeta.componentSets.get(rootId) : componentMeta.components.get(rootId)) || {}
+    const defs = n.known?.componentPropertyDefinitions || componentMeta.definitions.get(rootId) || {}
+
+    const variants = isSet
+        ? n.childIds
+              .map((id) => nodeMap.get(id))
+              .filter((c) => c?.type === 'COMPONENT')
+              .map((c) => ({ id: c.id, name: c.name ?? 'Unnamed', values: c.known?.variantProperties || parseVariantName(c.name) }))
+        : []
+
+    // Axes come from the VARIANT definitions; older files without definitions fall back to the variant names.
+    const axes = Object.entries(defs)
+        .filter(([, d]) => d?.type === 'VARIANT')
+        .map(([key, d]) => ({ name: key, values: d.variantOptions || [], defaultValue: d.defaultValue ?? null }))
+    for (const v of variants) {
+        for (const [axis, value] of Object.entries(v.values)) {
+            let a = axes.find((x) => x.name === axis)
+            if (!a) axes.push((a = { name: axis, values: [], defaultValue: null }))
+            if (!a.values.includes(value)) a.values.push(value)
+        }
+    }
+
+    const properties = Object.entries(defs)
+        .filter(([, d]) => d?.type && d.type !== 'VARIANT')
+        .map(([key, d]) => ({
+            key,
+            name: propertyDisplayName(key),
+            type: d.type,
+            defaultValue: d.defaultValue ?? null,
+            preferredValues: d.preferredValues || [],
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+
+    return {
+        kind: n.type,
+        id: rootId,
+        name: n.name ?? 'Unnamed',
+        key: meta.key ?? null,
+        description: meta.description || null,
+        documentationLinks: (meta.documentationLinks || n.known?.documentationLinks || []).map((l) => l?.uri).filter(Boolean),
+        axes,
+        variants,
+        properties,
+    }
+}
+
+function catalogueInterface(entry, componentMeta) {
+    // One optional prop per variant axis and component property, defaults as @default.
+    // "Icon/Star" -> IconStarProps: slash-separated library paths become word breaks.
+    const interfaceName = `${componentNameFromSection(entry.name.replace(/\//g, ' '))}Props`
+    const tsString = (v) => `'${String(v).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+    const used = new Set()
+    const members = []
+    const defaultDoc = (text) => `  /** @default ${text.replace(/\*\//g, '*\\/')} */`
+
+    for (const a of entry.axes) {
+        const union = a.values.length ? a.values.map(tsString).join(' | ') : 'string'
+        if (a.defaultValue != null) members.push(defaultDoc(tsString(a.defaultValue)))
+        members.push(`  ${tsPropName(a.name, used)}?: ${union}`)
+    }
+    for (const p of entry.properties) {
+        const type = p.type === 'BOOLEAN' ? 'boolean' : p.type === 'TEXT' ? 'string' : p.type === 'INSTANCE_SWAP' ? 'ReactNode' : 'unknown'
+        if (p.defaultValue != null && p.type === 'INSTANCE_SWAP') {
+            members.push(`  /** Default instance: ${componentLabel(componentMeta, p.defaultValue).replace(/\*\//g, '*\\/')} */`)
+        } else if (p.defaultValue != null) {
+            members.push(defaultDoc(typeof p.defaultValue === 'string' ? tsString(p.defaultValue) : JSON.stringify(p.defaultValue)))
+        }
+        members.push(`  ${tsPropName(p.name, used)}?: ${type}`)
+    }
+
+    const lines = []
+    if (entry.properties.some((p) => p.type === 'INSTANCE_SWAP')) lines.push("import type { ReactNode } from 'react'", '')
+    if (members.length) lines.push(`export interface ${interfaceName} {`, ...members, '}')
+    else lines.push(`export interface ${interfaceName} {}`)
+    return lines.join('\n')
+}
+
+function componentNameByKey(componentMeta, { type, key }) {
+    // Preferred values reference components by key, not node id.
+    const pool = type === 'COMPONENT_SET' ? componentMeta.componentSets : componentMeta.components
+    for (const [id, meta] of pool) {
+        if (meta?.key !== key) continue
+        return type === 'COMPONENT_SET' ? `"${meta.name}"` : componentLabel(componentMeta, id)
+    }
+    return `key ${key}`
+}
+
+function catalogueMarkdown(entry, componentMeta) {
+    const out = []
+    out.push(`## Component: ${entry.name}`)
+    out.push('')
+    out.push(`- Kind: ${entry.kind === 'COMPONENT_SET' ? 'component set' : 'component'} (id: ${entry.id}${entry.key ? `, key: ${entry.key}` : ''})`)
+    if (entry.description) out.push(`- Description: ${entry.description.replace(/\s+/g, ' ').trim()}`)
+    for (const uri of entry.documentationLinks) out.push(`- Documentation: ${uri}`)
+    if (entry.kind === 'COMPONENT_SET') out.push(`- Variants: ${entry.variants.length}`)
+    out.push('')
+
+    if (entry.axes.length) {
+        out.push('**Variant Axes**')
+        out.push('')
+        out.push('| Axis | Values | Default |')
+        out.push('| --- | --- | --- |')
+        for (const a of entry.axes) out.push(`| ${[a.name, a.values.join(', '), a.defaultValue ?? '—'].map(markdownCell).join(' | ')} |`)
+        out.push('')
+    }
+    if (entry.variants.length) {
+        out.push('**Variants**')
+        out.push('')
+        for (const v of entry.variants) out.push(`- ${v.name} (id: ${v.id})`)
+        out.push('')
+    }
+
+    out.push('**Properties**')
+    out.push('')
+    if (!entry.properties.length) {
+        out.push(entry.axes.length ? '- None besides the variant axes.' : '- None.')
+    } else {
+        out.push('| Property | Type | Default | Preferred values |')
+        out.push('| --- | --- | --- | --- |')
+        for (const p of entry.properties) {
+            const value = { type: p.type, value: p.defaultValue ?? undefined }
+            const preferred = p.preferredValues.map((v) => componentNameByKey(componentMeta, v)).join(', ')
+            out.push(`| ${[p.name, p.type, componentPropertyValue(value, componentMeta), preferred || '—'].map(markdownCell).join(' | ')} |`)
+        }
+    }
+    out.push('')
+
+    out.push('**Props Interface (TypeScript)**')
+    out.push('')
+    out.push('```ts')
+    out.push(catalogueInterface(entry, componentMeta))
+    out.push('```')
+    out.push('')
+    return out
+}
+
+function isVisibleNode(node) {
+    // Per Figma, visible defaults to true when omitted
+    return node?.visible !== false
+}
+
+function isVectorLikeType(type) {
+    return (
+        type === 'VECTOR' ||
+        type === 'BOOLEAN_OPERATION' ||
+        type === 'LINE' ||
+        type === 'ELLIPSE' ||
+        type === 'REGULAR_POLYGON' ||
+        type === 'STAR'
+    )
+}
+
+function pick(obj, keys) {
+    const out = {}
+    for (const k of keys) if (k in obj) out[k] = obj[k]
+    return out
+}
+
+function omit(obj, keysToOmit) {
+    const out = {}
+    for (const [k, v] of Object.entries(obj)) {
+        if (keysToOmit.has(k)) continue
+        out[k] = v
+    }
+    return out
+}
+
+function stableStringify(value) {
+    const seen = new WeakSet()
+
+    function sortRec(v) {
+        if (v === null) return v
+        if (typeof v !== 'object') return v
+        if (seen.has(v)) return '[Circular]'
+        seen.add(v)
+
+        if (Array.isArray(v)) return v.map(sortRec)
+
+        const out = {}
+        for (const k of Object.keys(v).sort()) out[k] = sortRec(v[k])
+        return out
+    }
+
+    return JSON.stringify(sortRec(value), null, 2)
+}
+
+function fenceForText(s) {
+    const text = String(s)
+    if (!text.includes('```')) return '```'
+    if (!text.includes('````')) return '````'
+    // Extremely unlikely; fall back to 5
+    return '`````'
+}
+
+function hexFromColor(color) {
+    if (!color || typeof color !== 'object') return null
+    const r = Math.round((color.r ?? 0) * 255)
+    const g = Math.round((color.g ?? 0) * 255)
+    const b = Math.round((color.b ?? 0) * 255)
+    const a = color.a
+    const hex = `#${[r, g, b].map((n) => n.toString(16).padStart(2, '0')).join('')}`
+    if (typeof a === 'number' && a >= 0 && a < 1) return `${hex} @ ${a.toFixed(3)}`
+    return hex
+}
+
+function twSize(px) {
+    if (!Number.isFinite(px)) return null
+    return `${Math.round(px * 1000) / 1000}px`
+}
+
+function twArbitrary(prefix, px) {
+    if (!Number.isFinite(px)) return null
+    return `${prefix}-[${twSize(px)}]`
+}
+
+function twNumber(n) {
+    return String(Math.round(n * 1000) / 1000)
+}
+
+// Tailwind v3 defaults for the scales --tw-theme default snaps to (colors: black/white only).
+const TAILWIND_DEFAULT_THEME = {
+    spacing: {
+        px: '1px', 0: '0px', 0.5: '0.125rem', 1: '0.25rem', 1.5: '0.375rem', 2: '0.5rem', 2.5: '0.625rem',
+        3: '0.75rem', 3.5: '0.875rem', 4: '1rem', 5: '1.25rem', 6: '1.5rem', 7: '1.75rem', 8: '2rem',
+        9: '2.25rem', 10: '2.5rem', 11: '2.75rem', 12: '3rem', 14: '3.5rem', 16: '4rem', 20: '5rem',
+        24: '6rem', 28: '7rem', 32: '8rem', 36: '9rem', 40: '10rem', 44: '11rem', 48: '12rem', 52: '13rem',
+        56: '14rem', 60: '15rem', 64: '16rem', 72: '18rem', 80: '20rem', 96: '24rem',
+    },
+    colors: { black: '#000', white: '#fff' },
+    fontSize: {
+        xs: '0.75rem', sm: '0.875rem', base: '1rem', lg: '1.125rem', xl: '1.25rem', '2xl': '1.5rem',
+        '3xl': '1.875rem', '4xl': '2.25rem', '5xl': '3rem', '6xl': '3.75rem', '7xl': '4.5rem', '8xl': '6rem', '9xl': '8rem',
+    },
+    borderRadius: {
+        none: '0px', sm: '0.125rem', DEFAULT: '0.25rem', md: '0.375rem', lg: '0.5rem', xl: '0.75rem',
+        '2xl': '1rem', '3xl': '1.5rem', full: '9999px',
+    },
+    boxShadow: {
+        sm: '0 1px 2px 0 rgb(0 0 0 / 0.05)',
+        DEFAULT: '0 1px 3px 0 rgb(0 0 0 / 0.1), 0 1px 2px -1px rgb(0 0 0 / 0.1)',
+        md: '0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1)',
+        lg: '0 10px 15px -3px rgb(0 0 0 / 0.1), 0 4px 6px -4px rgb(0 0 0 / 0.1)',
+        xl: '0 20px 25px -5px rgb(0 0 0 / 0.1), 0 8px 10px -6px rgb(0 0 0 / 0.1)',
+        '2xl': '0 25px 50px -12px rgb(0 0 0 / 0.25)',
+        inner: 'inset 0 2px 4px 0 rgb(0 0 0 / 0.05)',
+    },
+}
+
+async function loadTwTheme(source) {
+    if (source === 'default') return { label: 'Tailwind defaults (built-in)', theme: TAILWIND_DEFAULT_THEME }
+
+    const abs = path.resolve(process.cwd(), source)
+    let loaded
+    if (/\.json$/i.test(abs)) {
+        loaded = JSON.parse(await fs.readFile(abs, 'utf8'))
+    } else {
+        const mod = await import(pathToFileURL(abs).href)
+        loaded = mod.default ?? mod
+    }
+
+    // Accept a bare theme object or a whole tailwind.config ({ theme: { ..., extend } }).
+    const theme = loaded?.theme ?? loaded ?? {}
+    const merged = { ...theme }
+    for (const [k, v] of Object.entries(theme.extend || {})) merged[k] = { ...(theme[k] || {}), ...v }
+    delete merged.extend
+    return { label: source, theme: merged }
+}
+
+function parseCssLengthPx(v) {
+    if (typeof v === 'number') return v
+    const m = String(v).trim().match(/^(-?\d*\.?\d+)(px|rem|em)?$/)
+    if (!m) return null
+    const n = Number(m[1])
+    return m[2] === 'rem' || m[2] === 'em' ? n * 16 : n
+}
+
+function normalizeCssColor(v) {
+    // -> '#rrggbb' or '#rrggbbaa' (lowercase); null for keywords and color spaces we can't compare.
+    const s = String(v).trim().toLowerCase()
+    let m = s.match(/^#([0-9a-f]{3,8})$/)
+    if (m) {
+        let h = m[1]
+        if (h.length === 3 || h.length === 4) h = [...h].map((c) => c + c).join('')
+        if (h.length !== 6 && h.length !== 8) return null
+        return h.length === 8 && h.endsWith('ff') ? `#${h.slice(0, 6)}` : `#${h}`
+    }
+    m = s.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)\s*(?:[,/]\s*([\d.]+%?))?\s*\)$/)
+    if (m) {
+        const alpha = m[4] == null ? 1 : m[4].endsWith('%') ? Number(m[4].slice(0, -1)) / 100 : Number(m[4])
+        return cssHexFromColor({ r: m[1] / 255, g: m[2] / 255, b: m[3] / 255, a: alpha })
+    }
+    return null
+}
+
+function parseCssShadow(v) {
+    // "0 1px 3px 0 rgb(0 0 0 / 0.1), inset 0 2px ..." -> [{ inset, x, y, blur, spread, color }]
+    const layers = String(v).split(/,(?![^(]*\))/)
+    const out = []
+    for (const layer of layers) {
+        const tokens = layer.trim().match(/[a-z]+\([^)]*\)|\S+/gi) || []
+        const inset = tokens.includes('inset')
+        const lengths = []
+        let color = null
+        for (const t of tokens) {
+            if (t === 'inset') continue
+            const n = parseCssLengthPx(t)
+            if (n != null) lengths.push(n)
+            else color = normalizeCssColor(t)
+        }
+        if (lengths.length < 2 || !color) return null
+        const [x, y, blur = 0, spread = 0] = lengths
+        out.push({ inset, x, y, blur, spread, color })
+    }
+    return out
+}
+
+function flattenThemeColors(colors, prefix = '', out = []) {
+    for (const [k, v] of Object.entries(colors || {})) {
+        const key = k === 'DEFAULT' ? prefix : prefix ? `${prefix}-${k}` : k
+        if (v && typeof v === 'object') flattenThemeColors(v, key, out)
+        else {
+            const hex = normalizeCssColor(v)
+            if (hex && key) out.push({ key, hex })
+        }
+    }
+    return out
+}
+
+function lengthScale(values) {
+    const out = []
+    for (const [key, v] of Object.entries(values || {})) {
+        const px = parseCssLengthPx(Array.isArray(v) ? v[0] : v)
+        if (px != null) out.push({ key, px })
+    }
+    return out
+}
+
+function createTwScale({ theme, label }, tolerance = 0) {
+    return {
+        label,
+        tolerance,
+        spacing: lengthScale(theme.spacing),
+        fontSize: lengthScale(theme.fontSize),
+        borderRadius: lengthScale(theme.borderRadius),
+        colors: flattenThemeColors(theme.colors),
+        boxShadow: Object.entries(theme.boxShadow || {})
+            .map(([key, v]) => ({ key, layers: parseCssShadow(v) }))
+            .filter((s) => s.layers),
+    }
+}
+
+function nearestScaleKey(entries, px, tolerance) {
+    let best = null
+    for (const e of entries) {
+        const d = Math.abs(e.px - px)
+        if (d <= tolerance + 1e-6 && (!best || d < best.d)) best = { key: e.key, d }
+    }
+    return best?.key ?? null
+}
+
+function scaleClass(prefix, key) {
+    // Tailwind's DEFAULT key is the bare utility (rounded, shadow).
+    return key === 'DEFAULT' ? prefix : `${prefix}-${key}`
+}
+
+function createTwContext(scale, imageUrl = imageFillUrl) {
+    return { scale, imageUrl, offScale: [] }
+}
+
+function twOffScale(ctx, cls) {
+    if (ctx.scale && cls) ctx.offScale.push(cls)
+    return cls
+}
+
+function twLength(ctx, category, prefix, px) {
+    if (!Number.isFinite(px)) return null
+    if (ctx.scale) {
+        const key = nearestScaleKey(ctx.scale[category], px, ctx.scale.tolerance)
+        if (key != null) return scaleClass(prefix, key)
+    }
+    return twOffScale(ctx, twArbitrary(prefix, px))
+}
+
+function twSpacing(ctx, prefix, px) {
+    return twLength(ctx, 'spacing', prefix, px)
+}
+
+function firstVisibleSolid(paints) {
+    if (!Array.isArray(paints)) return null
+    return paints.find((p) => p?.visible !== false && p?.type === 'SOLID' && p?.color) || null
+}
+
+const GRADIENT_PAINT_TYPES = new Set(['GRADIENT_LINEAR', 'GRADIENT_RADIAL', 'GRADIENT_ANGULAR', 'GRADIENT_DIAMOND'])
+
+// Figma blend modes with a CSS counterpart; LINEAR_BURN / LINEAR_DODGE have none and stay normal.
+const CSS_BLEND_MODES = {
+    DARKEN: 'darken',
+    MULTIPLY: 'multiply',
+    COLOR_BURN: 'color-burn',
+    LIGHTEN: 'lighten',
+    SCREEN: 'screen',
+    COLOR_DODGE: 'color-dodge',
+    OVERLAY: 'overlay',
+    SOFT_LIGHT: 'soft-light',
+    HARD_LIGHT: 'hard-light',
+    DIFFERENCE: 'difference',
+    EXCLUSION: 'exclusion',
+    HUE: 'hue',
+    SATURATION: 'saturation',
+    COLOR: 'color',
+    LUMINOSITY: 'luminosity',
+}
+
+// Image paint scaleMode -> <img> object-fit and background-* equivalents.
+const IMAGE_SCALE_MODES = {
+    FILL: { objectFit: 'cover', backgroundSize: 'cover', backgroundRepeat: 'no-repeat' },
+    FIT: { objectFit: 'contain', backgroundSize: 'contain', backgroundRepeat: 'no-repeat' },
+    CROP: { objectFit: 'cover', backgroundSize: 'cover', backgroundRepeat: 'no-repeat' },
+    TILE: { objectFit: 'none', backgroundSize: 'auto', backgroundRepeat: 'repeat' },
+}
+
+function cssPercent(fraction) {
+    return `${twNumber(fraction * 100)}%`
+}
+
+function cssAngle(dx, dy) {
+    // CSS angles start at "to top" and turn clockwise; y grows downwards in Figma as in CSS.
+    const deg = (Math.atan2(dx, -dy) * 180) / Math.PI
+    return Math.round(((deg % 360) + 360) % 360 * 1000) / 1000
+}
+
+function gradientStopsCss(paint, positionOf) {
+    return (paint.gradientStops || []).map((s) => `${cssHexFromColor(s.color, paint.opacity)} ${cssPercent(positionOf(s.position))}`).join(', ')
+}
+
+function cssGradient(paint, size = null) {
+    // gradientHandlePositions are in the node's unit square: [start / center, end / first radius,
+    // width / second radius]. Without bounds the node is treated as a square.
+    const [p0, p1, p2] = paint.gradientHandlePositions || []
+    if (!p0 || !p1 || !(paint.gradientStops || []).length) return null
+    const w = size?.width > 0 ? size.width : 1
+    const h = size?.height > 0 ? size.height : 1
+
+    if (paint.type === 'GRADIENT_LINEAR') {
+        // Figma keeps the color bands perpendicular to the handle in the unit square, so on a stretched
+        // node the CSS angle follows the stretched bands rather than the handle itself.
+        const ux = p1.x - p0.x
+        const uy = p1.y - p0.y
+        const nx = ux * h
+        const ny = uy * w
+        const norm = Math.hypot(nx, ny)
+        if (!norm) return null
+        const dir = { x: nx / norm, y: ny / norm }
+        // CSS gradient line: through the center, long enough to reach the corners.
+        const length = Math.abs(w * dir.x) + Math.abs(h * dir.y)
+        const along = (p) => ((p.x - 0.5) * w * dir.x + (p.y - 0.5) * h * dir.y) / length + 0.5
+        const start = along(p0)
+        const end = along(p1)
+        return `linear-gradient(${cssAngle(dir.x, dir.y)}deg, ${gradientStopsCss(paint, (t) => start + t * (end - start))})`
+    }
+
+    const at = `at ${cssPercent(p0.x)} ${cssPercent(p0.y)}`
+    if (paint.type === 'GRADIENT_ANGULAR') {
+        return `conic-gradient(from ${cssAngle((p1.x - p0.x) * w, (p1.y - p0.y) * h)}deg ${at}, ${gradientStopsCss(paint, (t) => t)})`
+    }
+
+    // Radial, and diamond approximated as radial (CSS has no diamond gradient). The ellipse keeps
+    // the handle lengths but not their rotation.
+    const radius = (p) => (size ? px(Math.hypot((p.x - p0.x) * w, (p.y - p0.y) * h)) : cssPercent(Math.hypot(p.x - p0.x, p.y - p0.y)))
+    return `radial-gradient(ellipse ${radius(p1)} ${radius(p2 || p1)} ${at}, ${gradientStopsCss(paint, (t) => t)})`
+}
+
+function imageFit(paint) {
+    const mode = IMAGE_SCALE_MODES[paint.scaleMode] ? paint.scaleMode : 'FILL'
+    const fit = { scaleMode: mode, ...IMAGE_SCALE_MODES[mode], backgroundPosition: 'center' }
+    const t = paint.imageTransform
+    if (mode === 'CROP' && Array.isArray(t) && t.length === 2 && t.every((row) => Array.isArray(row) && row.length === 3)) {
+        // The transform maps the node box onto the visible part of the image (unit coordinates).
+        const [[a, , tx], [, d, ty]] = t
+        if (a > 0 && d > 0) {
+            fit.backgroundSize = `${cssPercent(1 / a)} ${cssPercent(1 / d)}`
+            fit.backgroundPosition = `${a < 1 ? cssPercent(tx / (1 - a)) : '0%'} ${d < 1 ? cssPercent(ty / (1 - d)) : '0%'}`
+        }
+    }
+    if (mode === 'TILE' && Number.isFinite(paint.scalingFactor) && paint.scalingFactor !== 1) fit.tileScale = paint.scalingFactor
+    return fit
+}
+
+function imageFillUrl(imageRef, assets = null) {
+    // An imageRef is a hash, not a URL: point at the --assets download (relative to the out dir) when
+    // there is one, otherwise at a placeholder name that says what belongs there.
+    return assets?.byImageRef.get(imageRef) ?? `image-fill-placeholder-${sanitizeFileName(imageRef)}`
+}
+
+function cssBackgroundLayers(node, imageUrl = imageFillUrl) {
+    // Visible fills as CSS background layers, top-most first (Figma lists paints bottom-up). A solid
+    // at the bottom stays a color; solids further up become flat gradients so they can stack.
+    const paints = (node.fills || []).filter((p) => p && p.visible !== false)
+    let colorPaint = null
+    const layers = []
+    paints.forEach((p, i) => {
+        let image
+        let fit = null
+        if (p.type === 'SOLID' && p.color) {
+            if (i === 0) {
+                colorPaint = p
+                return
+            }
+            const hex = cssHexFromColor(p.color, p.opacity)
+            image = `linear-gradient(${hex}, ${hex})`
+        } else if (GRADIENT_PAINT_TYPES.has(p.type)) {
+            image = cssGradient(p, node.absoluteBoundingBox)
+        } else if (p.type === 'IMAGE' && p.imageRef) {
+            image = `url("${imageUrl(p.imageRef)}")`
+            fit = imageFit(p)
+        }
+        if (!image) return
+        layers.unshift({
+            image,
+            size: fit?.backgroundSize ?? 'auto',
+            position: fit?.backgroundPosition ?? '0% 0%',
+            repeat: fit?.backgroundRepeat ?? 'repeat',
+            blend: CSS_BLEND_MODES[p.blendMode] ?? 'normal',
+            fit,
+        })
+    })
+    return { colorPaint, layers }
+}
+
+function paintDetails(p) {
+    const details = []
+    if (Number.isFinite(p.opacity) && p.opacity < 1) details.push(`opacity ${twNumber(p.opacity)}`)
+    if (p.blendMode && p.blendMode !== 'NORMAL' && p.blendMode !== 'PASS_THROUGH') details.push(`blend ${p.blendMode}`)
+    return details.length ? ` (${details.join(', ')})` : ''
+}
+
+function twColor(ctx, prefix, paint) {
+    const hex = cssHexFromColor(paint.color, paint.opacity)
+    if (!hex) return null
+    if (ctx.scale) {
+        const base = hex.slice(0, 7)
+        const match = ctx.scale.colors.find((c) => c.hex === hex) || ctx.scale.colors.find((c) => c.hex === base)
+        if (match?.hex === hex) return `${prefix}-${match.key}`
+        // Same color at a different alpha: use the opacity modifier.
+        if (match) return `${prefix}-${match.key}/[${twNumber(parseInt(hex.slice(7), 16) / 255)}]`
+    }
+    return twOffScale(ctx, `${prefix}-[${hex}]`)
+}
+
+function twArbitraryValue(value) {
+    // Tailwind arbitrary values use underscores for spaces; plain url() references need no quotes.
+    return String(value).replace(/url\("([^"()\s]*)"\)/g, 'url($1)').replace(/\s*,\s*/g, ',').replace(/\s+/g, '_')
+}
+
+function twBackground(ctx, node) {
+    // Text color for TEXT (gradient text clips its layers), fill color for svg, background otherwise.
+    if (inferElement(node) === 'svg') {
+        const solid = firstVisibleSolid(node.fills)
+        return solid ? [twColor(ctx, 'fill', solid)] : []
+    }
+    const { colorPaint, layers } = cssBackgroundLayers(node, ctx.imageUrl)
+    const tw = []
+    if (colorPaint && (node.type !== 'TEXT' || !layers.length)) tw.push(twColor(ctx, node.type === 'TEXT' ? 'text' : 'bg', colorPaint))
+    if (!layers.length) return tw
+
+    if (layers.length === 1) {
+        const [layer] = layers
+        tw.push(`bg-[${twArbitraryValue(layer.image)}]`)
+        if (layer.fit) {
+            tw.push({ cover: 'bg-cover', contain: 'bg-contain', auto: 'bg-auto' }[layer.size] ?? `bg-[length:${twArbitraryValue(layer.size)}]`)
+            tw.push(layer.position === 'center' ? 'bg-center' : `bg-[position:${twArbitraryValue(layer.position)}]`)
+            if (layer.repeat === 'no-repeat') tw.push('bg-no-repeat')
+        }
+        if (layer.blend !== 'normal') tw.push(`bg-blend-${layer.blend}`)
+    } else {
+        tw.push(`[background-image:${twArbitraryValue(layers.map((l) => l.image).join(','))}]`)
+        if (layers.some((l) => l.fit)) {
+            tw.push(`[background-size:${twArbitraryValue(layers.map((l) => l.size).join(','))}]`)
+            tw.push(`[background-position:${twArbitraryValue(layers.map((l) => l.position).join(','))}]`)
+            tw.push(`[background-repeat:${twArbitraryValue(layers.map((l) => l.repeat).join(','))}]`)
+        }
+        if (layers.some((l) => l.blend !== 'normal')) tw.push(`[background-blend-mode:${layers.map((l) => l.blend).join(',')}]`)
+    }
+    if (node.type === 'TEXT') tw.push('bg-clip-text', 'text-transparent')
+    return tw
+}
+
+function twShadow(ctx, layers) {
+    if (ctx.scale) {
+        const t = ctx.scale.tolerance + 1e-6
+        const same = (a, b) => a.inset === b.inset && a.color === b.color && ['x', 'y', 'blur', 'spread'].every((k) => Math.abs(a[k] - b[k]) <= t)
+        const match = ctx.scale.boxShadow.find((s) => s.layers.length === layers.length && s.layers.every((l, i) => same(l, layers[i])))
+        if (match) return scaleClass('shadow', match.key)
+    }
+    const css = layers.map((l) => `${l.inset ? 'inset_' : ''}${[l.x, l.y, l.blur, l.spread].map(twSize).join('_')}_${l.color}`)
+    return twOffScale(ctx, `shadow-[${css.join(',')}]`)
+}
+
+const TW_JUSTIFY = { MIN: null, CENTER: 'justify-center', MAX: 'justify-end', SPACE_BETWEEN: 'justify-between' }
+// Figma's counter-axis default (MIN) differs from CSS's (stretch), so items-start is always spelled out.
+const TW_ITEMS = { MIN: 'items-start', CENTER: 'items-center', MAX: 'items-end', BASELINE: 'items-baseline' }
+const TW_FONT_WEIGHT = {
+    100: 'font-thin',
+    200: 'font-extralight',
+    300: 'font-light',
+    400: 'font-normal',
+    500: 'font-medium',
+    600: 'font-semibold',
+    700: 'font-bold',
+    800: 'font-extrabold',
+    900: 'font-black',
+}
+const TW_TEXT_ALIGN = { CENTER: 'text-center', RIGHT: 'text-right', JUSTIFIED: 'text-justify' }
+const TW_TEXT_CASE = { UPPER: 'uppercase', LOWER: 'lowercase', TITLE: 'capitalize' }
+const TW_TEXT_DECORATION = { UNDERLINE: 'underline', STRIKETHROUGH: 'line-through' }
+
+function twAutoLayout(ctx, node) {
+    const tw = []
+    const lm = node.layoutMode
+    if (lm !== 'HORIZONTAL' && lm !== 'VERTICAL') return tw
+
+    tw.push('flex', lm === 'HORIZONTAL' ? 'flex-row' : 'flex-col')
+    if (node.layoutWrap === 'WRAP') tw.push('flex-wrap')
+
+    tw.push(TW_JUSTIFY[node.primaryAxisAlignItems])
+    tw.push(TW_ITEMS[node.counterAxisAlignItems])
+
+    // Wrapped rows have a separate cross-axis gap.
+    if (node.layoutWrap === 'WRAP' && Number.isFinite(node.counterAxisSpacing) && node.counterAxisSpacing !== node.itemSpacing) {
+        const [main, cross] = lm === 'HORIZONTAL' ? ['gap-x', 'gap-y'] : ['gap-y', 'gap-x']
+        tw.push(twSpacing(ctx, main, node.itemSpacing), twSpacing(ctx, cross, node.counterAxisSpacing))
+    } else if (Number.isFinite(node.itemSpacing) && node.primaryAxisAlignItems !== 'SPACE_BETWEEN') {
+        tw.push(twSpacing(ctx, 'gap', node.itemSpacing))
+    }
+
+    return tw
+}
+
+function twPadding(ctx, node) {
+    const pads = {
+        pt: node.paddingTop,
+        pr: node.paddingRight,
+        pb: node.paddingBottom,
+        pl: node.paddingLeft,
+    }
+    const padVals = Object.values(pads).filter((v) => Number.isFinite(v))
+    if (padVals.length === 4 && padVals.every((v) => v === padVals[0])) return padVals[0] ? [twSpacing(ctx, 'p', padVals[0])] : []
+    if (padVals.length === 4 && pads.pt === pads.pb && pads.pl === pads.pr) {
+        return [pads.pl !== 0 && twSpacing(ctx, 'px', pads.pl), pads.pt !== 0 && twSpacing(ctx, 'py', pads.pt)].filter(Boolean)
+    }
+    return Object.entries(pads).filter(([, v]) => Number.isFinite(v) && v !== 0).map(([k, v]) => twSpacing(ctx, k, v))
+}
+
+function axisSizingMode(axis, node) {
+    // axis: 'w' | 'h'. Prefer the explicit per-axis sizing Figma reports for auto-layout children.
+    const sizing = axis === 'w' ? node.layoutSizingHorizontal : node.layoutSizingVertical
+    if (sizing || (node.layoutMode !== 'HORIZONTAL' && node.layoutMode !== 'VERTICAL')) return sizing ?? null
+
+    // Older payloads: derive from the frame's own axis sizing modes (AUTO == hug).
+    const primary = node.layoutMode === 'HORIZONTAL' ? 'w' : 'h'
+    const axisMode = axis === primary ? node.primaryAxisSizingMode : node.counterAxisSizingMode
+    if (axisMode === 'AUTO') return 'HUG'
+    if (axisMode === 'FIXED') return 'FIXED'
+    return null
+}
+
+function twAxisSize(ctx, axis, node) {
+    const bb = node.absoluteBoundingBox
+    const px = axis === 'w' ? bb?.width : bb?.height
+    const mode = axisSizingMode(axis, node)
+
+    if (mode === 'FIXED') return twSpacing(ctx, axis, px)
+    if (mode === 'HUG') return `${axis}-fit`
+    // FILL along the parent's main axis shows up as layoutGrow, across it as layoutAlign=STRETCH;
+    // both are emitted by twSizing, so only fall back to full size when neither is present.
+    if (mode === 'FILL' && node.layoutGrow !== 1 && node.layoutAlign !== 'STRETCH') return `${axis}-full`
+    return null
+}
+
+function twSizing(ctx, node) {
+    const tw = []
+    if (node.layoutPositioning === 'ABSOLUTE') tw.push('absolute')
+    if (node.layoutGrow === 1) tw.push('flex-1')
+    if (node.layoutAlign === 'STRETCH') tw.push('self-stretch')
+    tw.push(twAxisSize(ctx, 'w', node), twAxisSize(ctx, 'h', node))
+    return tw
+}
+
+function twCorners(ctx, node) {
+    const radii = node.rectangleCornerRadii
+    if (Array.isArray(radii) && radii.length === 4 && radii.every(Number.isFinite)) {
+        if (radii.every((r) => r === radii[0])) return radii[0] ? [twLength(ctx, 'borderRadius', 'rounded', radii[0])] : []
+        // Figma order: top-left, top-right, bottom-right, bottom-left.
+        return ['tl', 'tr', 'br', 'bl'].map((corner, i) => radii[i] && twLength(ctx, 'borderRadius', `rounded-${corner}`, radii[i])).filter(Boolean)
+    }
+    if (typeof node.cornerRadius === 'number' && node.cornerRadius) return [twLength(ctx, 'borderRadius', 'rounded', node.cornerRadius)]
+    return []
+}
+
+function twBorder(ctx, node) {
+    // TEXT strokes are text outlines and vector strokes are SVG strokes; neither is a CSS border.
+    if (node.type === 'TEXT' || isVectorLikeType(node.type)) return []
+    const stroke = firstVisibleSolid(node.strokes)
+    if (!stroke) return []
+
+    const tw = []
+    const w = node.individualStrokeWeights
+    if (w && ['top', 'right', 'bottom', 'left'].every((k) => Number.isFinite(w[k])) && !(w.top === w.right && w.top === w.bottom && w.top === w.left)) {
+        for (const [side, k] of [['t', 'top'], ['r', 'right'], ['b', 'bottom'], ['l', 'left']]) if (w[k]) tw.push(twArbitrary(`border-${side}`, w[k]))
+    } else {
+        const weight = w && Number.isFinite(w.top) ? w.top : node.strokeWeight
+        tw.push(weight === 1 ? 'border' : twArbitrary('border', weight))
+    }
+    tw.push(twColor(ctx, 'border', stroke))
+    if (Array.isArray(node.strokeDashes) && node.strokeDashes.length) tw.push('border-dashed')
+    return tw
+}
+
+function twEffects(ctx, node) {
+    if (!Array.isArray(node.effects)) return []
+    const tw = []
+    const shadows = []
+    for (const e of node.effects) {
+        if (!e || e.visible === false) continue
+        if ((e.type === 'DROP_SHADOW' || e.type === 'INNER_SHADOW') && e.color) {
+            shadows.push({
+                inset: e.type === 'INNER_SHADOW',
+                x: e.offset?.x ?? 0,
+                y: e.offset?.y ?? 0,
+                blur: e.radius ?? 0,
+                spread: e.spread ?? 0,
+                color: cssHexFromColor(e.color),
+            })
+        } else if (e.type === 'LAYER_BLUR' && Number.isFinite(e.radius)) {
+            // Figma's blur radius is roughly twice the CSS blur() standard deviation.
+            tw.push(twArbitrary('blur', e.radius / 2))
+        } else if (e.type === 'BACKGROUND_BLUR' && Number.isFinite(e.radius)) {
+            tw.push(twArbitrary('backdrop-blur', e.radius / 2))
+        }
+    }
+    if (shadows.length) tw.unshift(twShadow(ctx, shadows))
+    return tw
+}
+
+function twText(ctx, node) {
+    const s = node.style
+    if (node.type !== 'TEXT' || !s) return []
+
+    const tw = []
+    if (s.fontFamily) tw.push(`font-['${String(s.fontFamily).replace(/'/g, '').replace(/\s+/g, '_')}']`)
+    if (Number.isFinite(s.fontSize)) tw.push(twLength(ctx, 'fontSize', 'text', s.fontSize))
+
+    if (s.lineHeightUnit === 'FONT_SIZE_%' && Number.isFinite(s.lineHeightPercentFontSize)) {
+        tw.push(`leading-[${twNumber(s.lineHeightPercentFontSize / 100)}]`)
+    } else if (s.lineHeightUnit !== 'INTRINSIC_%' && Number.isFinite(s.lineHeightPx)) {
+        tw.push(twArbitrary('leading', s.lineHeightPx))
+    }
+
+    // Tracking in em keeps the value correct if the font size is later tokenized.
+    if (Number.isFinite(s.letterSpacing) && s.letterSpacing !== 0 && s.fontSize) {
+        tw.push(`tracking-[${twNumber(s.letterSpacing / s.fontSize)}em]`)
+    }
+
+    tw.push(TW_FONT_WEIGHT[Math.round((s.fontWeight || 0) / 100) * 100])
+    if (s.italic) tw.push('italic')
+    tw.push(TW_TEXT_ALIGN[s.textAlignHorizontal])
+    tw.push(TW_TEXT_CASE[s.textCase])
+    tw.push(TW_TEXT_DECORATION[s.textDecoration])
+    return tw
+}
+
+function textSpans(node) {
+    // Runs of characters sharing one style override, each with the override merged into the base
+    // style. Figma drops trailing zeros from characterStyleOverrides: missing entries are the base (0).
+    const chars = String(node.characters ?? '')
+    const overrides = node.characterStyleOverrides || []
+    const table = node.styleOverrideTable || {}
+    const runs = []
+    for (let i = 0; i < chars.length; i++) {
+        const overrideId = overrides[i] ?? 0
+        const last = runs[runs.length - 1]
+        if (last?.overrideId === overrideId) last.end = i + 1
+        else runs.push({ start: i, end: i + 1, overrideId })
+    }
+    return runs.map(({ start, end, overrideId }) => {
+        const override = (overrideId && table[overrideId]) || {}
+        const { fills, ...styleOverride } = override
+        return {
+            start,
+            end,
+            text: chars.slice(start, end),
+            override,
+            style: { ...(node.style || {}), ...styleOverride },
+            fills: fills ?? node.fills,
+        }
+    })
+}
+
+function isListText(node) {
+    return (node.lineTypes || []).some((t) => t === 'ORDERED' || t === 'UNORDERED')
+}
+
+function richTextSpans(node, scale = null) {
+    // Decoded spans for mixed-style or list text (null for plain text), with the tw classes each span
+    // adds on top of the node's own text classes.
+    if (node.type !== 'TEXT') return null
+    const spans = textSpans(node)
+    if (!spans.some((s) => Object.keys(s.override).length) && !isListText(node)) return null
+    const base = new Set(inferTw({ type: 'TEXT', style: node.style, fills: node.fills }, scale))
+    return spans.map((s) => ({
+        ...s,
+        tw: Object.keys(s.override).length ? inferTw({ type: 'TEXT', style: s.style, fills: s.fills }, scale).filter((c) => !base.has(c)) : [],
+    }))
+}
+
+function textLines(node, spans) {
+    // Characters split into lines (lineTypes / lineIndentations are per line), each line a list of
+    // span segments.
+    const types = node.lineTypes || []
+    const indentations = node.lineIndentations || []
+    const lines = [{ segments: [] }]
+    for (const span of spans) {
+        span.text.split('\n').forEach((text, i) => {
+            if (i > 0) lines.push({ segments: [] })
+            if (text) lines[lines.length - 1].segments.push({ text, span })
+        })
+    }
+    return lines.map((line, i) => ({
+        type: types[i] === 'ORDERED' || types[i] === 'UNORDERED' ? types[i] : 'NONE',
+        indent: Number.isFinite(indentations[i]) ? indentations[i] : 0,
+        segments: line.segments,
+    }))
+}
+
+function textStyleLabel(style, fills) {
+    const solid = firstVisibleSolid(fills)
+    const extras = [style.italic && 'italic', style.textDecoration && style.textDecoration !== 'NONE' && style.textDecoration.toLowerCase(), style.textCase && style.textCase !== 'ORIGINAL' && style.textCase.toLowerCase()]
+    return [inventoryValueLabel('style', style), solid && hexFromColor(solid.color), ...extras].filter(Boolean).join(' ')
+}
+
+function textOverrideLabel(override) {
+    const parts = Object.entries(override).map(([key, value]) => {
+        if (key === 'fills') return `fills ${(value || []).map((p) => (p?.type === 'SOLID' ? hexFromColor(p.color) : p?.type)).join(', ')}`
+        return `${key} ${typeof value === 'object' ? stableStringify(value) : value}`
+    })
+    return parts.length ? parts.join(', ') : 'base'
+}
+
+function textSpansMarkdown(node, spans) {
+    const out = ['| # | Text | Range | Effective style | Overrides |', '| --- | --- | --- | --- | --- |']
+    spans.forEach((s, i) => {
+        out.push(`| ${i + 1} | ${markdownCell(JSON.stringify(s.text))} | ${s.start}-${s.end} | ${markdownCell(textStyleLabel(s.style, s.fills))} | ${markdownCell(textOverrideLabel(s.override))} |`)
+    })
+    return out
+}
+
+function textListMarkdown(lines) {
+    // Markdown rendering of list lines; plain lines stay paragraphs.
+    const out = []
+    let previous = null
+    for (const line of lines) {
+        const text = line.segments.map((seg) => seg.text).join('')
+        if (line.type === 'NONE') {
+            if (previous && previous !== 'NONE') out.push('')
+            out.push(text)
+        } else {
+            if (previous === 'NONE') out.push('')
+            out.push(`${'   '.repeat(Math.max(line.indent - 1, 0))}${line.type === 'ORDERED' ? '1.' : '-'} ${text}`)
+        }
+        previous = line.type
+    }
+    return out
+}
+
+function textJsx({ node, tw, indent, element = inferElement(node) }) {
+    // TEXT with spans as JSX: overridden runs become nested <span tw>, list lines <ul>/<ol> items.
+    const el = element
+    const inline = (segments) =>
+        segments.map(({ text, span }) => (span.tw.length ? `<span${jsxTwAttr(span.tw)}>${jsxText(text)}</span>` : jsxText(text))).join('')
+    const lines = textLines(node.known, node.textSpans)
+    if (!lines.some((l) => l.type !== 'NONE')) {
+        return [`${indent}<${el}${jsxTwAttr(tw)}>${inline(node.textSpans.map((span) => ({ text: span.text, span })))}</${el}>`]
+    }
+
+    const out = [`${indent}<div${jsxTwAttr(tw)}>`]
+    const lists = [] // open lists, outermost first: { type, li: index of its open <li> line or -1 }
+    const pad = (depth) => `${indent}${'  '.repeat(depth)}`
+    const closeItem = (list) => {
+        if (list.li < 0) return
+        if (list.li === out.length - 1) out[list.li] += '</li>'
+        else out.push(`${pad(lists.length * 2)}</li>`)
+        list.li = -1
+    }
+    const closeList = () => {
+        const list = lists[lists.length - 1]
+        closeItem(list)
+        lists.pop()
+        out.push(`${pad(lists.length * 2 + 1)}</${list.type === 'ORDERED' ? 'ol' : 'ul'}>`)
+    }
+    for (const line of lines) {
+        const level = line.type === 'NONE' ? 0 : Math.max(line.indent, 1)
+        while (lists.length > level || (lists.length === level && level && lists[level - 1].type !== line.type)) closeList()
+        if (!level) {
+            out.push(`${pad(1)}<p>${inline(line.segments)}</p>`)
+            continue
+        }
+        if (lists.length === level) closeItem(lists[level - 1])
+        while (lists.length < level) {
+            out.push(`${pad(lists.length * 2 + 1)}${line.type === 'ORDERED' ? '<ol tw="list-decimal pl-6">' : '<ul tw="list-disc pl-6">'}`)
+            lists.push({ type: line.type, li: -1 })
+        }
+        out.push(`${pad(level * 2)}<li>${inline(line.segments)}`)
+        lists[level - 1].li = out.length - 1
+    }
+    while (lists.length) closeList()
+    out.push(`${indent}</div>`)
+    return out
+}
+
+function cssSpanRules(node) {
+    // [suffix, declarations] for every distinct overridden span style, relative to the node's text.
+    const base = new Map(cssDeclarations({ type: 'TEXT', style: node.known?.style, fills: node.known?.fills }))
+    const rules = new Map()
+    for (const s of node.textSpans || []) {
+        if (!Object.keys(s.override).length) continue
+        const declarations = cssDeclarations({ type: 'TEXT', style: s.style, fills: s.fills }).filter(([prop, value]) => base.get(prop) !== value)
+        const key = stableStringify(declarations)
+        if (declarations.length && !rules.has(key)) rules.set(key, [`Span${rules.size + 1}`, declarations])
+    }
+    return [...rules.values()]
+}
+
+function inferTwDetailed(node, scale = null, imageUrl = imageFillUrl) {
+    // With a theme scale, values snap to theme keys; the ones that don't are returned as offScale.
+    const ctx = createTwContext(scale, imageUrl)
+    const tw = []
+
+    tw.push(...twAutoLayout(ctx, node))
+    tw.push(...twPadding(ctx, node))
+    tw.push(...twSizing(ctx, node))
+
+    tw.push(...twBackground(ctx, node))
+    tw.push(...twBorder(ctx, node))
+    tw.push(...twCorners(ctx, node))
+    if (node.clipsContent === true) tw.push('overflow-hidden')
+    tw.push(...twEffects(ctx, node))
+    if (Number.isFinite(node.opacity) && node.opacity < 1) tw.push(`opacity-[${twNumber(node.opacity)}]`)
+    if (CSS_BLEND_MODES[node.blendMode]) tw.push(`mix-blend-${CSS_BLEND_MODES[node.blendMode]}`)
+    tw.push(...twText(ctx, node))
+
+    return {
+        tw: [...new Set(tw.filter(Boolean))],
+        offScale: [...new Set(ctx.offScale)],
+    }
+}
+
+function inferTw(node, scale = null) {
+    return inferTwDetailed(node, scale).tw
+}
+
+function inferElement(node) {
+    const t = node.type
+    if (t === 'TEXT') return 'p'
+    if (t === 'FRAME' || t === 'GROUP' || t === 'SECTION') return 'div'
+    if (t === 'RECTANGLE') return 'div'
+    if (t === 'ELLIPSE') return 'div'
+    if (t === 'INSTANCE') return 'div'
+    if (t === 'COMPONENT') return 'div'
+    if (t === 'COMPONENT_SET') return 'div'
+    if (t === 'LINE') return 'div'
+    if (t === 'VECTOR' || t === 'BOOLEAN_OPERATION' || t === 'STAR' || t === 'REGULAR_POLYGON') return 'svg'
+    return 'div'
+}
+
+// Semantic element guesses (reported with a confidence and the reason). Each rule looks at one node
+// in its section and proposes an element; the most confident proposal wins, earlier rules on ties.
+// --semantics-config name patterns outrank every rule whatever their confidence (which only orders
+// patterns among themselves), and rules can be switched off there.
+const SEMANTIC_CONTAINER_TYPES = new Set(['FRAME', 'GROUP', 'SECTION', 'INSTANCE', 'COMPONENT'])
+const SEMANTIC_VECTOR_TYPES = new Set(['VECTOR', 'BOOLEAN_OPERATION', 'STAR', 'REGULAR_POLYGON', 'LINE'])
+const SEMANTIC_CLICK_TRIGGERS = new Set(['ON_CLICK', 'ON_PRESS', 'MOUSE_DOWN', 'MOUSE_UP'])
+// Elements that only take phrasing content, and ones that must not nest inside each other.
+const PHRASING_ELEMENTS = new Set(['a', 'button', 'label', 'p', 'span', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'])
+const INTERACTIVE_ELEMENTS = new Set(['a', 'button', 'input', 'select', 'textarea'])
+const SEMANTIC_BUTTON_NAME = /\b(button|btn|cta)\b/i
+const SEMANTIC_LINK_NAME = /\blinks?\b/i
+const SEMANTIC_INPUT_NAMES = [
+    [/\b(text ?area|multi-?line)\b/i, 'textarea'],
+    [/\b(select|dropdown|combo ?box|picker)\b/i, 'select'],
+    [/\b(input|text ?field|text ?box|search ?(bar|box|field)|email|password|check ?box|radio|switch|toggle)\b/i, 'input'],
+]
+const SEMANTIC_LANDMARK_NAMES = [
+    [/\b(header|top ?bar|app ?bar|masthead)\b/i, 'header'],
+    [/\bfooter\b/i, 'footer'],
+    [/\b(nav|navbar|navigation|menu|sidebar|tab ?bar|breadcrumbs?)\b/i, 'nav'],
+]
+
+function visibleChildren(node, nodeMap) {
+    return node.childIds.map((id) => nodeMap.get(id)).filter(Boolean)
+}
+
+function semanticNames(node, componentMeta) {
+    // The layer name, plus the main component and component set names for instances.
+    const names = [node.name ?? '']
+    const component = componentMeta?.components.get(node.known?.componentId)
+    if (component) names.push(component.name ?? '')
+    const set = component?.componentSetId ? componentMeta.componentSets.get(component.componentSetId) : null
+    if (set) names.push(set.name ?? '')
+    return names
+}
+
+function clickInteractions(node) {
+    return nodeInteractions(node).filter((i) => SEMANTIC_CLICK_TRIGGERS.has(i.trigger?.type))
+}
+
+function repeatedChildren(node, nodeMap, componentMeta) {
+    // Three or more visible children of one shape: instances of one component (set), or the same
+    // layer type with the same child layer types.
+    const children = visibleChildren(node, nodeMap)
+    if (children.length < 3) return null
+    const signature = (c) =>
+        c.type === 'INSTANCE' && c.known?.componentId
+            ? `instance ${componentDefinitionId(componentMeta, c.known.componentId)}`
+            : `${c.type}[${visibleChildren(c, nodeMap).map((g) => g.type).join(',')}]`
+    const first = signature(children[0])
+    if (!children.every((c) => signature(c) === first)) return null
+    const textOnly = children.every((c) => c.type === 'TEXT')
+    return { count: children.length, label: first.startsWith('instance ') ? `instances of ${componentLabel(componentMeta, children[0].known.componentId)}` : first, textOnly }
+}
+
+function semanticContext({ sections, root }) {
+    // Per-target facts the rules compare against: the body text size (the size most characters
+    // are set in), the larger heading sizes and the target root's box for landmark positions.
+    const chars = new Map()
+    const texts = sections.flatMap((s) => [...s.nodeMap.values()]).filter((n) => n.type === 'TEXT' && Number.isFinite(n.known?.style?.fontSize))
+    for (const n of texts) chars.set(n.known.style.fontSize, (chars.get(n.known.style.fontSize) || 0) + (n.known.characters || '').length)
+    const bodySize = [...chars.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0]?.[0] ?? null
+    const headingSizes = [...new Set(texts.filter((n) => headingCandidate(n, bodySize)).map((n) => n.known.style.fontSize))].sort((a, b) => b - a)
+    const sectionBoxes = sections.map((s) => ({ id: s.id, bb: s.nodeMap.get(s.id)?.known?.absoluteBoundingBox })).filter((s) => Number.isFinite(s.bb?.y))
+    sectionBoxes.sort((a, b) => a.bb.y - b.bb.y)
+    return {
+        bodySize,
+        headingSizes,
+        rootBox: root?.known?.absoluteBoundingBox ?? null,
+        topSectionId: sectionBoxes.length > 1 ? sectionBoxes[0].id : null,
+        bottomSectionId: sectionBoxes.length > 1 ? sectionBoxes[sectionBoxes.length - 1].id : null,
+    }
+}
+
+function headingCandidate(node, bodySize) {
+    // Short, single-paragraph text set larger than the body text (or bold and at least slightly larger).
+    const style = node.known?.style || {}
+    const text = (node.known?.characters || '').trim()
+    if (!bodySize || !Number.isFinite(style.fontSize) || !text || text.length > 120 || text.includes('\n')) return false
+    if (isListText(node.known)) return false
+    return style.fontSize >= bodySize * 1.2 || (style.fontSize > bodySize && style.fontWeight >= 600)
+}
+
+const SEMANTIC_RULES = [
+    {
+        id: 'image-fill',
+        description: 'Leaf layers filled with an image become <img>',
+        classify({ node, nodeMap }) {
+            if (node.type === 'TEXT' || visibleChildren(node, nodeMap).length) return null
+            const image = (node.known?.fills || []).find((p) => p?.type === 'IMAGE' && p.visible !== false)
+            return image ? { element: 'img', confidence: 0.9, reason: `image fill (${image.scaleMode ?? 'FILL'})` } : null
+        },
+    },
+    {
+        id: 'button-name',
+        description: 'Instances and frames named like a button become <button>',
+        classify({ node, componentMeta }) {
+            if (!SEMANTIC_CONTAINER_TYPES.has(node.type)) return null
+            const [own, ...component] = semanticNames(node, componentMeta)
+            if (component.some((name) => SEMANTIC_BUTTON_NAME.test(name))) {
+                return { element: 'button', confidence: 0.9, reason: `instance of ${componentLabel(componentMeta, node.known.componentId)}` }
+            }
+            return SEMANTIC_BUTTON_NAME.test(own) ? { element: 'button', confidence: 0.8, reason: `named "${own}"` } : null
+        },
+    },
+    {
+        id: 'click-reaction',
+        description: 'Layers with click reactions that do not navigate away become <button>',
+        classify({ node }) {
+            if (SEMANTIC_VECTOR_TYPES.has(node.type)) return null
+            const clicks = clickInteractions(node).filter((i) => i.type !== 'URL' && !(node.type === 'TEXT' && i.navigation === 'NAVIGATE'))
+            if (!clicks.length) return null
+            return { element: 'button', confidence: node.type === 'TEXT' ? 0.6 : 0.7, reason: `${triggerLabel(clicks[0].trigger)} -> ${interactionActionLabel(clicks[0])}` }
+        },
+    },
+    {
+        id: 'link',
+        description: 'Layers opening a URL, text navigating to another screen and layers named "Link" become <a>',
+        classify({ node }) {
+            const clicks = clickInteractions(node)
+            const url = clicks.find((i) => i.type === 'URL')
+            if (url) return { element: 'a', confidence: 0.85, reason: `opens ${url.url ?? 'a URL'}` }
+            if (node.type === 'TEXT' && clicks.some((i) => i.navigation === 'NAVIGATE')) return { element: 'a', confidence: 0.75, reason: 'text that navigates to another screen' }
+            return SEMANTIC_LINK_NAME.test(node.name ?? '') ? { element: 'a', confidence: 0.65, reason: `named "${node.name}"` } : null
+        },
+    },
+    {
+        id: 'input-name',
+        description: 'Instances and frames named like form fields become <input>, <textarea> or <select>',
+        classify({ node, componentMeta }) {
+            if (!SEMANTIC_CONTAINER_TYPES.has(node.type)) return null
+            for (const name of semanticNames(node, componentMeta)) {
+                const match = SEMANTIC_INPUT_NAMES.find(([re]) => re.test(name))
+                if (match) return { element: match[1], confidence: node.type === 'INSTANCE' ? 0.85 : 0.75, reason: `named "${name}"` }
+            }
+            return null
+        },
+    },
+    {
+        id: 'heading-size',
+        description: 'Short text set larger than the body text becomes <h1>-<h6>, largest size first',
+        classify({ node, context }) {
+            if (node.type !== 'TEXT' || !headingCandidate(node, context.bodySize)) return null
+            const { fontSize, fontWeight } = node.known.style
+            const level = Math.min(context.headingSizes.indexOf(fontSize) + 1, 6)
+            const ratio = fontSize / context.bodySize
+            const weight = fontWeight >= 600 ? ` / ${fontWeight}` : ''
+            return {
+                element: `h${level}`,
+                confidence: ratio >= 2 ? 0.9 : ratio >= 1.5 ? 0.8 : 0.65,
+                reason: `${fontSize}px${weight} vs ${context.bodySize}px body text (heading size ${level} of ${context.headingSizes.length})`,
+            }
+        },
+    },
+    {
+        id: 'repeated-siblings',
+        description: 'Containers of three or more same-shaped children become <ul>, the children <li>',
+        classify({ node, nodeMap, parents, componentMeta, parentElement }) {
+            const confidence = (list, autoLayout) => (list.textOnly ? 0.5 : autoLayout ? 0.75 : 0.6)
+            const list = SEMANTIC_CONTAINER_TYPES.has(node.type) ? repeatedChildren(node, nodeMap, componentMeta) : null
+            if (list) return { element: 'ul', confidence: confidence(list, node.known?.layoutMode), reason: `${list.count} repeated children (${list.label})` }
+            if (parentElement !== 'ul') return null
+            const parent = nodeMap.get(parents.get(node.id))
+            const siblings = repeatedChildren(parent, nodeMap, componentMeta)
+            return siblings ? { element: 'li', confidence: confidence(siblings, parent.known?.layoutMode), reason: `one of ${siblings.count} repeated siblings` } : null
+        },
+    },
+    {
+        id: 'landmark-name',
+        description: 'Containers named like a header, footer or navigation become <header>, <footer> or <nav>',
+        classify({ node, nodeMap }) {
+            if (!SEMANTIC_CONTAINER_TYPES.has(node.type) || !visibleChildren(node, nodeMap).length) return null
+            const match = SEMANTIC_LANDMARK_NAMES.find(([re]) => re.test(node.name ?? ''))
+            return match ? { element: match[1], confidence: match[1] === 'nav' ? 0.8 : 0.85, reason: `named "${node.name}"` } : null
+        },
+    },
+    {
+        id: 'landmark-position',
+        description: 'Full-width top-level sections at the top or bottom of the target become <header> or <footer>',
+        classify({ node, context }) {
+            const root = context.rootBox
+            const bb = node.known?.absoluteBoundingBox
+            if (!root || !Number.isFinite(bb?.width) || bb.width < root.width * 0.9 || bb.height > root.height * 0.25) return null
+            const tolerance = Math.max(8, root.height * 0.05)
+            if (node.id === context.topSectionId && bb.y - root.y <= tolerance) {
+                return { element: 'header', confidence: 0.6, reason: 'full-width top-level section at the top of the frame' }
+            }
+            if (node.id === context.bottomSectionId && root.y + root.height - (bb.y + bb.height) <= tolerance) {
+                return { element: 'footer', confidence: 0.6, reason: 'full-width top-level section at the bottom of the frame' }
+            }
+            return null
+        },
+    },
+    {
+        id: 'nav-links',
+        description: 'Containers with two or more children that link somewhere become <nav>',
+        classify({ node, nodeMap }) {
+            if (!SEMANTIC_CONTAINER_TYPES.has(node.type)) return null
+            const links = visibleChildren(node, nodeMap).filter(
+                (c) => SEMANTIC_LINK_NAME.test(c.name ?? '') || clickInteractions(c).some((i) => i.type === 'URL' || i.navigation === 'NAVIGATE'),
+            )
+            return links.length >= 2 ? { element: 'nav', confidence: 0.6, reason: `${links.length} children link to other screens or URLs` } : null
+        },
+    },
+]
+
+function fallbackElement(node, enclosing) {
+    // The plain layer-type mapping; inside phrasing-only elements text and boxes become <span>.
+    const element = inferElement(node)
+    if (element === 'svg') return { element, confidence: 0.9, reason: 'vector layer', rule: 'layer-type' }
+    if (enclosing && PHRASING_ELEMENTS.has(enclosing.element)) {
+        return { element: 'span', confidence: 0.5, reason: `${node.type} layer inside <${enclosing.element}>`, rule: 'layer-type' }
+    }
+    return { element, confidence: node.type === 'TEXT' ? 0.5 : 0.3, reason: `${node.type} layer`, rule: 'layer-type' }
+}
+
+function classifyElements({ section, context, componentMeta, semantics }) {
+    // id -> { element, confidence, reason, rule, alternatives }, walking down so children know what
+    // they sit in (no interactive elements inside interactive ones, no blocks inside phrasing).
+    const { nodeMap } = section
+    const parents = parentIdMap(nodeMap)
+    const out = new Map()
+
+    const walk = (id, parentElement, enclosing, interactive) => {
+        const node = nodeMap.get(id)
+        if (!node) return
+        const names = semanticNames(node, componentMeta)
+        const candidates = []
+        for (const p of semantics.patterns) {
+            if (p.type && p.type !== node.type) continue
+            if (names.some((name) => p.regex.test(name))) {
+                candidates.push({ element: p.element, confidence: p.confidence, reason: `name matches /${p.name}/`, rule: 'semantics-config' })
+            }
+        }
+        for (const rule of semantics.rules) {
+            const result = rule.classify({ node, nodeMap, parents, componentMeta, context, parentElement })
+            if (result) candidates.push({ ...result, rule: rule.id })
+        }
+        const allowed = candidates.filter(
+            (c) => !(interactive && INTERACTIVE_ELEMENTS.has(c.element)) && !(enclosing && PHRASING_ELEMENTS.has(enclosing.element) && !PHRASING_ELEMENTS.has(c.element)),
+        )
+        allowed.push(fallbackElement(node, enclosing))
+        // Config patterns first, then by confidence; the stable sort keeps earlier patterns and rules first on ties.
+        const configured = (c) => (c.rule === 'semantics-config' ? 1 : 0)
+        allowed.sort((a, b) => configured(b) - configured(a) || b.confidence - a.confidence)
+        const [best, ...rest] = allowed
+        const alternatives = []
+        for (const c of rest) {
+            if (c.rule !== 'layer-type' && c.element !== best.element && !alternatives.some((a) => a.element === c.element)) alternatives.push(c)
+        }
+        out.set(id, { ...best, alternatives: alternatives.slice(0, 2) })
+
+        const element = best.element
+        const nextEnclosing = PHRASING_ELEMENTS.has(element) ? { element } : enclosing
+        for (const childId of node.childIds) walk(childId, element, nextEnclosing, interactive || INTERACTIVE_ELEMENTS.has(element))
+    }
+    walk(section.id, null, null, false)
+    return out
+}
+
+function classifySections({ targets, componentMeta, semantics }) {
+    for (const t of targets) {
+        const context = semanticContext({ sections: t.sections, root: t.rootNorm })
+        for (const s of t.sections) s.semantics = classifyElements({ section: s, context, componentMeta, semantics })
+    }
+}
+
+async function loadSemanticsConfig(source) {
+    // Config: { patterns: [{ name: "<regex>", element: "<tag>", type?: "<Figma type>", confidence?: 0..1 }],
+    //           rules: { "<id>": "off" } } -- patterns match layer, main component and set names.
+    const config = source ? await loadModuleOrJson(path.resolve(process.cwd(), source)) : {}
+
+    const settings = config.rules || {}
+    for (const [id, setting] of Object.entries(settings)) {
+        if (!SEMANTIC_RULES.some((r) => r.id === id)) throw new Error(`Unknown semantics rule in ${source}: ${id}`)
+        if (setting !== 'off' && setting !== 'on') throw new Error(`Invalid setting for semantics rule ${id}: ${setting} (expected off or on)`)
+    }
+    const rules = SEMANTIC_RULES.filter((r) => settings[r.id] !== 'off')
+
+    const patterns = (config.patterns || []).map((p, i) => {
+        if (typeof p?.name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(p.element || '')) {
+            throw new Error(`Semantics pattern ${i + 1} in ${source} needs a name regex and a lowercase element`)
+        }
+        const confidence = p.confidence ?? 1
+        if (!Number.isFinite(confidence) || confidence <= 0 || confidence > 1) throw new Error(`Invalid confidence for semantics pattern ${p.name}: ${confidence} (expected 0 < c <= 1)`)
+        let regex
+        try {
+            regex = new RegExp(p.name, 'i')
+        } catch (err) {
+            throw new Error(`Invalid name regex in semantics pattern ${i + 1}: ${err.message}`)
+        }
+        return { name: p.name, element: p.element, type: p.type ?? null, confidence, regex }
+    })
+
+    const hash = sha1(stableStringify({ rules: rules.map((r) => r.id), patterns: patterns.map(({ name, element, type, confidence }) => ({ name, element, type, confidence })) }))
+    return { rules, patterns, hash }
+}
+
+function semanticLabel(semantic) {
+    return `\`${semantic.element}\` (confidence ${semantic.confidence}, ${semantic.rule}: ${semantic.reason})`
+}
+
+const CSS_JUSTIFY = { CENTER: 'center', MAX: 'flex-end', SPACE_BETWEEN: 'space-between' }
+const CSS_ALIGN_ITEMS = { MIN: 'flex-start', CENTER: 'center', MAX: 'flex-end', BASELINE: 'baseline' }
+const CSS_TEXT_ALIGN = { CENTER: 'center', RIGHT: 'right', JUSTIFIED: 'justify' }
+const CSS_TEXT_CASE = { UPPER: 'uppercase', LOWER: 'lowercase', TITLE: 'capitalize' }
+const CSS_TEXT_DECORATION = { UNDERLINE: 'underline', STRIKETHROUGH: 'line-through' }
+
+function cssBoxShorthand(values) {
+    // [top, right, bottom, left] -> the shortest padding / border-radius shorthand.
+    const [t, r, b, l] = values.map(px)
+    if (t === r && t === b && t === l) return t
+    if (t === b && r === l) return `${t} ${r}`
+    return `${t} ${r} ${b} ${l}`
+}
+
+function cssAxisSize(axis, node) {
+    const mode = axisSizingMode(axis, node)
+    const bb = node.absoluteBoundingBox
+    const size = axis === 'w' ? bb?.width : bb?.height
+    if (mode === 'FIXED') return Number.isFinite(size) ? px(size) : null
+    if (mode === 'HUG') return 'fit-content'
+    if (mode === 'FILL' && node.layoutGrow !== 1 && node.layoutAlign !== 'STRETCH') return '100%'
+    return null
+}
+
+function cssDeclarations(node, imageUrl = imageFillUrl) {
+    // CSS equivalent of inferTwDetailed (same Figma fields, same choices), as [property, value] pairs.
+    const out = []
+    const add = (prop, value) => {
+        if (value != null && value !== '') out.push([prop, value])
+    }
+
+    const lm = node.layoutMode
+    if (lm === 'HORIZONTAL' || lm === 'VERTICAL') {
+        add('display', 'flex')
+        add('flex-direction', lm === 'HORIZONTAL' ? 'row' : 'column')
+        if (node.layoutWrap === 'WRAP') add('flex-wrap', 'wrap')
+        add('justify-content', CSS_JUSTIFY[node.primaryAxisAlignItems])
+        add('align-items', CSS_ALIGN_ITEMS[node.counterAxisAlignItems])
+        if (node.layoutWrap === 'WRAP' && Number.isFinite(node.counterAxisSpacing) && node.counterAxisSpacing !== node.itemSpacing) {
+            const [rowGap, columnGap] = lm === 'HORIZONTAL' ? [node.counterAxisSpacing, node.itemSpacing] : [node.itemSpacing, node.counterAxisSpacing]
+            add('row-gap', px(rowGap))
+            add('column-gap', px(columnGap))
+        } else if (Number.isFinite(node.itemSpacing) && node.primaryAxisAlignItems !== 'SPACE_BETWEEN') {
+            add('gap', px(node.itemSpacing))
+        }
+    }
+
+    const pads = [node.paddingTop, node.paddingRight, node.paddingBottom, node.paddingLeft]
+    if (pads.some((v) => Number.isFinite(v) && v !== 0)) add('padding', cssBoxShorthand(pads.map((v) => v || 0)))
+
+    if (node.layoutPositioning === 'ABSOLUTE') add('position', 'absolute')
+    if (node.layoutGrow === 1) add('flex', '1 1 0%')
+    if (node.layoutAlign === 'STRETCH') add('align-self', 'stretch')
+    add('width', cssAxisSize('w', node))
+    add('height', cssAxisSize('h', node))
+
+    if (inferElement(node) === 'svg') {
+        const solid = firstVisibleSolid(node.fills)
+        if (solid) add('fill', cssHexFromColor(solid.color, solid.opacity))
+    } else {
+        const { colorPaint, layers } = cssBackgroundLayers(node, imageUrl)
+        if (colorPaint && (node.type !== 'TEXT' || !layers.length)) add(node.type === 'TEXT' ? 'color' : 'background-color', cssHexFromColor(colorPaint.color, colorPaint.opacity))
+        if (layers.length) {
+            add('background-image', layers.map((l) => l.image).join(', '))
+            if (layers.some((l) => l.fit)) {
+                add('background-size', layers.map((l) => l.size).join(', '))
+                add('background-position', layers.map((l) => l.position).join(', '))
+                add('background-repeat', layers.map((l) => l.repeat).join(', '))
+            }
+            if (layers.some((l) => l.blend !== 'normal')) add('background-blend-mode', layers.map((l) => l.blend).join(', '))
+            if (node.type === 'TEXT') {
+                add('background-clip', 'text')
+                add('color', 'transparent')
+            }
+        }
+    }
+
+    // Same exclusions as twBorder: text outlines and SVG strokes are not CSS borders.
+    const stroke = node.type === 'TEXT' || isVectorLikeType(node.type) ? null : firstVisibleSolid(node.strokes)
+    if (stroke) {
+        const style = Array.isArray(node.strokeDashes) && node.strokeDashes.length ? 'dashed' : 'solid'
+        const color = cssHexFromColor(stroke.color, stroke.opacity)
+        const w = node.individualStrokeWeights
+        if (w && ['top', 'right', 'bottom', 'left'].every((k) => Number.isFinite(w[k])) && !(w.top === w.right && w.top === w.bottom && w.top === w.left)) {
+            for (const side of ['top', 'right', 'bottom', 'left']) if (w[side]) add(`border-${side}`, `${px(w[side])} ${style} ${color}`)
+        } else {
+            add('border', `${px(w && Number.isFinite(w.top) ? w.top : node.strokeWeight)} ${style} ${color}`)
+        }
+    }
+
+    const radii = node.rectangleCornerRadii
+    if (Array.isArray(radii) && radii.length === 4 && radii.every(Number.isFinite)) {
+        if (radii.some((r) => r)) add('border-radius', cssBoxShorthand(radii))
+    } else if (typeof node.cornerRadius === 'number' && node.cornerRadius) {
+        add('border-radius', px(node.cornerRadius))
+    }
+    if (node.clipsContent === true) add('overflow', 'hidden')
+
+    const shadows = []
+    for (const e of node.effects || []) {
+        if (!e || e.visible === false) continue
+        if ((e.type === 'DROP_SHADOW' || e.type === 'INNER_SHADOW') && e.color) {
+            const offsets = [e.offset?.x ?? 0, e.offset?.y ?? 0, e.radius ?? 0, e.spread ?? 0].map(px).join(' ')
+            shadows.push(`${e.type === 'INNER_SHADOW' ? 'inset ' : ''}${offsets} ${cssHexFromColor(e.color)}`)
+        } else if (e.type === 'LAYER_BLUR' && Number.isFinite(e.radius)) {
+            add('filter', `blur(${px(e.radius / 2)})`)
+        } else if (e.type === 'BACKGROUND_BLUR' && Number.isFinite(e.radius)) {
+            add('backdrop-filter', `blur(${px(e.radius / 2)})`)
+        }
+    }
+    if (shadows.length) add('box-shadow', shadows.join(', '))
+    if (Number.isFinite(node.opacity) && node.opacity < 1) add('opacity', twNumber(node.opacity))
+    add('mix-blend-mode', CSS_BLEND_MODES[node.blendMode])
+
+    const s = node.type === 'TEXT' ? node.style : null
+    if (s) {
+        if (s.fontFamily) add('font-family', `'${String(s.fontFamily).replace(/'/g, '')}'`)
+        if (Number.isFinite(s.fontSize)) add('font-size', px(s.fontSize))
+        if (s.lineHeightUnit === 'FONT_SIZE_%' && Number.isFinite(s.lineHeightPercentFontSize)) add('line-height', twNumber(s.lineHeightPercentFontSize / 100))
+        else if (s.lineHeightUnit !== 'INTRINSIC_%' && Number.isFinite(s.lineHeightPx)) add('line-height', px(s.lineHeightPx))
+        if (Number.isFinite(s.letterSpacing) && s.letterSpacing !== 0 && s.fontSize) add('letter-spacing', `${twNumber(s.letterSpacing / s.fontSize)}em`)
+        if (Number.isFinite(s.fontWeight)) add('font-weight', String(s.fontWeight))
+        if (s.italic) add('font-style', 'italic')
+        add('text-align', CSS_TEXT_ALIGN[s.textAlignHorizontal])
+        add('text-transform', CSS_TEXT_CASE[s.textCase])
+        add('text-decoration', CSS_TEXT_DECORATION[s.textDecoration])
+    }
+    return out
+}
+
+function cssBlock(declarations, indent = '  ') {
+    return declarations.map(([prop, value]) => `${indent}${prop}: ${value};`).join('\n')
+}
+
+// Implementation hint targets (--hints). A generator turns one report node into a code snippet;
+// custom ones come from a module exporting the same shape (default export or `generator`).
+// usedNames is shared by the nodes of one section, so class / component names stay unique in it.
+const HINT_GENERATORS = [
+    {
+        id: 'tw',
+        label: 'React + TS + twin.macro',
+        title: 'Suggested tw',
+        language: 'ts',
+        guidance: [
+            'Treat each section file as a candidate top-level React component or sub-tree to compose into a page component.',
+            'Prefer reproducing auto-layout nodes as `flex` containers; use arbitrary values when spacing/sizing do not match Tailwind scale (`gap-[12px]`, `p-[20px]`).',
+            'For absolute positioning / constraints, translate to `relative` parent + `absolute` children and preserve numeric offsets using arbitrary values.',
+            'Keep typography numeric and explicit (`text-[14px] leading-[20px] tracking-[0.01em]`) unless you already have a token system.',
+            'Vectors: geometry omitted in report; implement as placeholder `svg` or use exported SVGs in a later phase.',
+        ],
+        generate({ node, element }) {
+            const notes = node.twOffScale?.length ? [`Off-scale (no theme match, kept arbitrary): ${node.twOffScale.map((c) => `\`${c}\``).join(', ')}`] : []
+            // Mixed-style and list text reads better as markup with nested spans / list items.
+            if (node.textSpans) return { code: textJsx({ node, tw: node.tw, indent: '', element }).join('\n'), language: 'tsx', notes }
+            return { code: node.tw.length ? `tw\`${node.tw.join(' ')}\`` : null, notes }
+        },
+    },
+    {
+        id: 'css',
+        label: 'React + TS + CSS Modules',
+        title: 'Suggested CSS',
+        language: 'css',
+        guidance: [
+            'Treat each section file as a candidate top-level React component with its own `.module.css` file; class names below are derived from layer names.',
+            'Auto-layout nodes map to `display: flex` with `gap` and `padding`; keep the px values or swap them for your custom properties.',
+            'For absolute positioning / constraints, give the parent `position: relative` and keep the numeric offsets on the absolute children.',
+            'Typography is spelled out per text node; move repeated combinations into shared classes or the generated tokens (--tokens css).',
+            'Vectors: geometry omitted in report; implement as placeholder `svg` or use exported SVGs in a later phase.',
+        ],
+        generate({ node, imageUrl, usedNames }) {
+            const declarations = cssDeclarations(node.known || {}, imageUrl)
+            if (!declarations.length) return { code: null }
+            const className = tsPropName(node.name ?? 'node', usedNames)
+            const spans = cssSpanRules(node).map(([suffix, spanDeclarations]) => `\n\n.${className}${suffix} {\n${cssBlock(spanDeclarations)}\n}`)
+            const notes = [`Usage: \`className={styles.${className}}\``]
+            if (spans.length) notes.push('Wrap the overridden text spans (see Spans above) in `<span>`s with the Span classes')
+            return { code: `.${className} {\n${cssBlock(declarations)}\n}${spans.join('')}`, notes }
+        },
+    },
+    {
+        id: 'styled',
+        label: 'React + TS + styled-components',
+        title: 'Suggested styled component',
+        language: 'ts',
+        guidance: [
+            'Treat each section file as a candidate top-level React component; each node below suggests one styled element named after its layer.',
+            'Auto-layout nodes map to `display: flex` with `gap` and `padding`; replace px values with theme props where they match your scale.',
+            'For absolute positioning / constraints, give the parent `position: relative` and keep the numeric offsets on the absolute children.',
+            'Typography is spelled out per text node; share repeated combinations through `css` helpers or theme typography.',
+            'Vectors: geometry omitted in report; implement as placeholder `svg` or use exported SVGs in a later phase.',
+        ],
+        generate({ node, element, imageUrl, usedNames }) {
+            const declarations = cssDeclarations(node.known || {}, imageUrl)
+            if (!declarations.length) return { code: null }
+            const baseName = componentNameFromSection(node.name ?? 'node')
+            let name = baseName
+            for (let n = 2; usedNames.has(name); n++) name = `${baseName}${n}`
+            usedNames.add(name)
+            const spans = cssSpanRules(node).map(([suffix, spanDeclarations]) => `\n\nconst ${name}${suffix} = styled.span\`\n${cssBlock(spanDeclarations)}\n\``)
+            return { code: `const ${name} = styled.${element}\`\n${cssBlock(declarations)}\n\`${spans.join('')}` }
+        },
+    },
+]
+
+async function loadHintGenerator(source) {
+    const builtIn = HINT_GENERATORS.find((g) => g.id === source)
+    if (builtIn) return { generator: builtIn, hash: source }
+
+    const abs = path.resolve(process.cwd(), source)
+    const mod = await loadModuleOrJson(abs)
+    const generator = mod?.generator ?? mod
+    if (!generator?.id || typeof generator.generate !== 'function') throw new Error(`Hint generator ${source} needs an id and a generate() function`)
+    return {
+        generator: { label: generator.id, title: `Suggested ${generator.id}`, language: '', guidance: [], ...generator },
+        hash: sha1(await fs.readFile(abs)),
+    }
+}
+
+function hintMarkdown(generator, node, { semantic = null, imageUrl = imageFillUrl, usedNames = new Set() } = {}) {
+    const element = semantic?.element ?? inferElement(node)
+    const { code, notes = [], language = generator.language } = generator.generate({ node, element, imageUrl, usedNames }) || {}
+    const out = [`- Suggested element: ${semantic ? semanticLabel(semantic) : `\`${element}\``}`]
+    if (semantic?.alternatives.length) out.push(`- Other candidates: ${semantic.alternatives.map(semanticLabel).join('; ')}`)
+    if (code) out.push(`- ${generator.title}:`, `\`\`\`${language}`, code, '```')
+    else out.push(`- ${generator.title}: (no strong guess)`)
+    for (const note of notes) out.push(`- ${note}`)
+    return out
+}
+
+function nodeTitle(node) {
+    const name = node.name ?? 'Unnamed'
+    return `${node.type} "${name}"`
+}
+
+function bboxSummary(bb) {
+    if (!bb) return null
+    const parts = ['x', 'y', 'width', 'height']
+    if (!parts.every((k) => Number.isFinite(bb[k]))) return null
+    return `${bb.width}x${bb.height} at (${bb.x}, ${bb.y})`
+}
+
+function formatPaintArray(paints, size = null) {
+    // Bottom-most paint first, as in Figma; gradients and image fits spelled out as CSS.
+    if (!Array.isArray(paints) || paints.length === 0) return 'none'
+    const lines = []
+    for (const p of paints) {
+        if (!p || typeof p !== 'object') continue
+        const base = `${p.visible === false ? '(hidden) ' : ''}${p.type || 'UNKNOWN'}`
+        if (p.type === 'SOLID' && p.color) {
+            const hex = hexFromColor(p.color)
+            lines.push(`${`${base} ${hex || ''}`.trim()}${paintDetails(p)}`)
+        } else if (GRADIENT_PAINT_TYPES.has(p.type)) {
+            const css = cssGradient(p, size)
+            const approx = p.type === 'GRADIENT_DIAMOND' ? ' (approximated, CSS has no diamond gradient)' : ''
+            lines.push(`${base}${paintDetails(p)} ${css ?? `(stops=${Array.isArray(p.gradientStops) ? p.gradientStops.length : 0})`}${css ? approx : ''}`)
+        } else if (p.type === 'IMAGE') {
+            const fit = imageFit(p)
+            const tile = fit.tileScale ? `, tile scale ${fit.tileScale}` : ''
+            lines.push(
+                `${base} ${fit.scaleMode}${paintDetails(p)} imageRef=${p.imageRef ?? 'n/a'} -> object-fit: ${fit.objectFit}; ` +
+                    `background-size: ${fit.backgroundSize}; background-position: ${fit.backgroundPosition}; background-repeat: ${fit.backgroundRepeat}${tile}`,
+            )
+        } else {
+            lines.push(`${base}${paintDetails(p)}`)
+        }
+    }
+    return lines.length ? lines.join('\n') : 'none'
+}
+
+function formatEffects(effects) {
+    if (!Array.isArray(effects) || effects.length === 0) return 'none'
+    const lines = []
+    for (const e of effects) {
+        if (!e || typeof e !== 'object') continue
+        const base = `${e.visible === false ? '(hidden) ' : ''}${e.type || 'UNKNOWN'}`
+        if ((e.type === 'DROP_SHADOW' || e.type === 'INNER_SHADOW') && e.color) {
             const hex = hexFromColor(e.color)
             const off = e.offset ? `offset(${e.offset.x},${e.offset.y})` : ''
             const r = Number.isFinite(e.radius) ? `blur(${e.radius})` : ''
             lines.push(`${base} ${hex || ''} ${off} ${r}`.trim())
         } else if (e.type === 'LAYER_BLUR' || e.type === 'BACKGROUND_BLUR') {
-            const r = Number.isFinite(e.radius) ? `radius(${e.radius})` : ''
-            lines.push(`${base} ${r}`.trim())
+            const r = Number.isFinite(e.radius) ? `radius(${e.radius})` : ''
+            lines.push(`${base} ${r}`.trim())
+        } else {
+            lines.push(base)
+        }
+    }
+    return lines.length ? lines.join('\n') : 'none'
+}
+
+function normalizeNode(doc, { twScale = null } = {}) {
+    // Store the exact document shape as returned (minus geometry), and compute some helpers.
+    const raw = { ...doc }
+
+    // Never store vector geometry fields.
+    delete raw.vectorPaths
+    delete raw.vectorNetwork
+    delete raw.vectorData
+
+    const childIds = Array.isArray(doc.children) ? doc.children.filter(isVisibleNode).map((c) => c.id).filter(Boolean) : []
+
+    const knownKeys = [
+        'id',
+        'name',
+        'type',
+        'visible',
+        'locked',
+        'opacity',
+        'blendMode',
+        'isMask',
+        'maskType',
+        'clipsContent',
+        'layoutMode',
+        'layoutWrap',
+        'primaryAxisSizingMode',
+        'counterAxisSizingMode',
+        'primaryAxisAlignItems',
+        'counterAxisAlignItems',
+        'primaryAxisAlignContent',
+        'counterAxisAlignContent',
+        'itemSpacing',
+        'counterAxisSpacing',
+        'paddingTop',
+        'paddingRight',
+        'paddingBottom',
+        'paddingLeft',
+        'layoutPositioning',
+        'layoutSizingHorizontal',
+        'layoutSizingVertical',
+        'layoutGrow',
+        'layoutAlign',
+        'constraints',
+        'absoluteBoundingBox',
+        'absoluteRenderBounds',
+        'size',
+        'relativeTransform',
+        'rotation',
+        'cornerRadius',
+        'rectangleCornerRadii',
+        'fills',
+        'strokes',
+        'strokeWeight',
+        'individualStrokeWeights',
+        'strokeAlign',
+        'strokeCap',
+        'strokeJoin',
+        'strokeDashes',
+        'effects',
+        'styles',
+        'boundVariables',
+        'characters',
+        'lineTypes',
+        'lineIndentations',
+        'style',
+        'characterStyleOverrides',
+        'styleOverrideTable',
+        'componentId',
+        'componentProperties',
+        'componentPropertyDefinitions',
+        'variantProperties',
+        'overrides',
+        'documentationLinks',
+        'reactions',
+        'transitionNodeID',
+        'prototypeStartNodeID',
+        'flowStartingPoints',
+        'exportSettings',
+    ]
+
+    const known = pick(raw, knownKeys)
+    const other = omit(raw, new Set([...knownKeys, 'children']))
+
+    const { tw, offScale } = inferTwDetailed(known, twScale)
+
+    return {
+        id: doc.id,
+        name: doc.name,
+        type: doc.type,
+        childIds,
+        known,
+        other,
+        tw,
+        twOffScale: offScale,
+        textSpans: richTextSpans(known, twScale),
+    }
+}
+
+function resolveImageFillTw({ sections, assets, twScale }) {
+    // tw is inferred while crawling, before --assets has downloaded anything; redo the nodes with
+    // image fills so their url()s point at the downloaded files.
+    for (const s of sections) {
+        for (const n of s.nodeMap.values()) {
+            if (!(n.known?.fills || []).some((p) => p?.type === 'IMAGE' && p.imageRef)) continue
+            const { tw, offScale } = inferTwDetailed(n.known, twScale, (ref) => imageFillUrl(ref, assets))
+            n.tw = tw
+            n.twOffScale = offScale
+        }
+    }
+}
+
+function bumpInventory(map, key, styleId, node) {
+    let entry = map.get(key)
+    if (!entry) {
+        entry = { count: 0, detachedCount: 0, styleCounts: new Map(), usedBy: new Map() }
+        map.set(key, entry)
+    }
+    entry.count++
+    entry.usedBy.set(node.id, node.name ?? 'Unnamed')
+    if (styleId) entry.styleCounts.set(styleId, (entry.styleCounts.get(styleId) || 0) + 1)
+    else entry.detachedCount++
+}
+
+function collectInventories(node, inventories) {
+    const styleRefs = node.known?.styles || {}
+
+    // Typography: every distinct span style of mixed-style text counts; overridden spans are detached.
+    if (node.type === 'TEXT' && node.known?.style) {
+        const seen = new Set()
+        for (const span of node.textSpans || [{ style: node.known.style, override: {} }]) {
+            const s = span.style
+            const key = stableStringify({
+                fontFamily: s.fontFamily,
+                fontPostScriptName: s.fontPostScriptName,
+                fontWeight: s.fontWeight,
+                fontSize: s.fontSize,
+                lineHeightPx: s.lineHeightPx,
+                lineHeightPercent: s.lineHeightPercent,
+                lineHeightPercentFontSize: s.lineHeightPercentFontSize,
+                letterSpacing: s.letterSpacing,
+                paragraphSpacing: s.paragraphSpacing,
+                textCase: s.textCase,
+                textDecoration: s.textDecoration,
+            })
+            if (seen.has(key)) continue
+            seen.add(key)
+            bumpInventory(inventories.typography, key, Object.keys(span.override).length ? null : styleRefs.text, node)
+        }
+    }
+
+    // Colors: fills + strokes (SOLID only), plus span fill overrides of mixed-style text
+    const spanFills = (node.textSpans || []).filter((span) => span.override.fills).map((span) => [span.override.fills, null])
+    for (const [arr, styleId] of [
+        [node.known?.fills, styleRefs.fill],
+        [node.known?.strokes, styleRefs.stroke],
+        ...spanFills,
+    ]) {
+        if (!Array.isArray(arr)) continue
+        for (const p of arr) {
+            if (!p || p.visible === false) continue
+            if (p.type !== 'SOLID' || !p.color) continue
+            const hex = hexFromColor(p.color)
+            if (!hex) continue
+            bumpInventory(inventories.colors, hex, styleId, node)
+        }
+    }
+
+    // Effects
+    if (Array.isArray(node.known?.effects)) {
+        for (const e of node.known.effects) {
+            if (!e || e.visible === false) continue
+            const key = stableStringify({
+                type: e.type,
+                radius: e.radius,
+                spread: e.spread,
+                offset: e.offset,
+                color: e.color,
+                blendMode: e.blendMode,
+                showShadowBehindNode: e.showShadowBehindNode,
+            })
+            bumpInventory(inventories.effects, key, styleRefs.effect, node)
+        }
+    }
+}
+
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length)
+    let idx = 0
+
+    async function worker() {
+        while (idx < items.length) {
+            const current = idx++
+            results[current] = await fn(items[current], current)
+        }
+    }
+
+    const workers = []
+    for (let i = 0; i < Math.min(limit, items.length); i++) workers.push(worker())
+    await Promise.all(workers)
+    return results
+}
+
+// Node types that never have children, so a copy nested in a deeper response is already complete.
+const LEAF_NODE_TYPES = new Set(['TEXT', 'RECTANGLE', 'ELLIPSE', 'LINE', 'VECTOR', 'STAR', 'REGULAR_POLYGON', 'SLICE'])
+
+// --depth auto: first request depth, ceiling, and the per-branch response size that halves the depth.
+const CRAWL_AUTO_DEPTH = 4
+const CRAWL_MAX_DEPTH = 16
+const CRAWL_BRANCH_BYTES = 4 * 1024 * 1024
+
+function isOversizeError(err) {
+    // Figma answers over-large node requests with 400 "Request too large" or 413, or never finishes
+    // them in time. Other 5xx are outages the scheduler already retried; splitting would only multiply them.
+    if (err?.name === 'TimeoutError' || err?.name === 'AbortError') return true
+    const status = err?.status
+    return status === 413 || (status === 400 && /too large/i.test(err.message))
+}
+
+function createCrawlStats() {
+    return { strategies: new Map(), splits: 0, fallbacks: 0 }
+}
+
+function bumpCrawlStats(stats, strategy, { requests = 0, bytes = 0, nodes = 0, failed = 0 }) {
+    let entry = stats.strategies.get(strategy)
+    if (!entry) {
+        entry = { requests: 0, bytes: 0, nodes: 0, failed: 0 }
+        stats.strategies.set(strategy, entry)
+    }
+    entry.requests += requests
+    entry.bytes += bytes
+    entry.nodes += nodes
+    entry.failed += failed
+}
+
+function crawlStatsLines(stats) {
+    const lines = []
+    const byDepth = [...stats.strategies.entries()].sort((a, b) => a[0] - b[0])
+    for (const [depth, e] of byDepth) {
+        const failed = e.failed ? `, ${e.failed} failed` : ''
+        lines.push(`depth=${depth}: ${e.requests} request(s)${failed}, ${(e.bytes / 1024).toFixed(1)} KiB, ${e.nodes} node(s)`)
+    }
+    if (stats.splits) lines.push(`batches split after oversize/timeout errors: ${stats.splits}`)
+    if (stats.fallbacks) lines.push(`branches retried at depth=1: ${stats.fallbacks}`)
+    return lines
+}
+
+async function crawlSubtree({
+    token,
+    fileKey,
+    rootId,
+    batchSize,
+    concurrency,
+    verbose,
+    cache,
+    scheduler,
+    twScale,
+    depth = 'auto',
+    stats = createCrawlStats(),
+}) {
+    // Requests subtrees `depth` levels deep and keeps every node nested in the response, only
+    // re-requesting nodes at the depth boundary. --depth auto starts at CRAWL_AUTO_DEPTH and
+    // halves/doubles per branch from response sizes. Oversize or timed-out batches are split,
+    // then retried at depth=1. --depth 1 fetches every node on its own, as the crawler always did.
+    const adaptive = depth === 'auto'
+    const fetchEveryNode = depth === 1
+    const docs = new Map()
+    const styles = new Map()
+    const components = new Map()
+    const componentSets = new Map()
+    const toExpand = []
+    const queued = new Set()
+
+    function enqueue(id, d, maxBatch = batchSize) {
+        if (!id) return
+        if (docs.has(id)) return
+        if (queued.has(id)) return
+        queued.add(id)
+        toExpand.push({ id, depth: d, maxBatch })
+    }
+
+    function takeBatch() {
+        // Ids in one request share a depth and batch cap (split batches stay split); keep queue order otherwise.
+        const { depth: d, maxBatch } = toExpand[0]
+        const batch = []
+        for (let i = 0; i < toExpand.length && batch.length < maxBatch; ) {
+            if (toExpand[i].depth === d && toExpand[i].maxBatch === maxBatch) batch.push(toExpand.splice(i, 1)[0].id)
+            else i++
+        }
+        return { ids: batch, depth: d }
+    }
+
+    function nextDepth(d, bytes) {
+        if (!adaptive) return d
+        if (bytes > CRAWL_BRANCH_BYTES) return Math.max(1, Math.floor(d / 2))
+        if (bytes < CRAWL_BRANCH_BYTES / 16) return Math.min(CRAWL_MAX_DEPTH, d * 2)
+        return d
+    }
+
+    // Walk a (possibly nested) document, keeping complete nodes and queueing the boundary.
+    function absorb(doc, branchDepth) {
+        if (!doc?.id || !isVisibleNode(doc)) return 0
+        if (!Array.isArray(doc.children) && (fetchEveryNode || !LEAF_NODE_TYPES.has(doc.type))) {
+            enqueue(doc.id, branchDepth)
+            return 0
+        }
+        if (docs.has(doc.id)) return 0
+        queued.delete(doc.id)
+        docs.set(doc.id, doc)
+        let count = 1
+        for (const child of doc.children || []) {
+            if (fetchEveryNode) {
+                if (isVisibleNode(child)) enqueue(child.id, 1)
+            } else {
+                count += absorb(child, branchDepth)
+            }
+        }
+        return count
+    }
+
+    enqueue(rootId, adaptive ? CRAWL_AUTO_DEPTH : depth)
+
+    let requestCount = 0
+
+    while (toExpand.length > 0) {
+        const batches = [takeBatch()]
+
+        // If the queue is huge, pre-split into a few batches and fetch concurrently.
+        while (toExpand.length > 0 && batches.length < concurrency) batches.push(takeBatch())
+
+        const responses = await mapLimit(batches, concurrency, async ({ ids, depth: d }) => {
+            requestCount++
+            log(verbose, `Fetching ${ids.length} nodes at depth=${d} (req=${requestCount})`)
+            try {
+                return { data: await fetchNodes({ token, fileKey, ids, depth: d, verbose, cache, scheduler }) }
+            } catch (err) {
+                return { err }
+            }
+        })
+
+        // Process responses in batch order (not arrival order) so the next batches,
+        // and therefore the recorded request keys, are the same on every run.
+        for (let b = 0; b < batches.length; b++) {
+            const { ids, depth: d } = batches[b]
+            const { data, err } = responses[b]
+
+            if (err) {
+                bumpCrawlStats(stats, d, { requests: 1, failed: 1 })
+                if (!isOversizeError(err)) throw err
+                for (const id of ids) queued.delete(id)
+                if (ids.length > 1) {
+                    stats.splits++
+                    const half = Math.ceil(ids.length / 2)
+                    log(verbose, `Splitting batch of ${ids.length} at depth=${d} after: ${err.message.split('\n')[0]}`)
+                    for (const id of ids) enqueue(id, d, half)
+                } else if (d > 1) {
+                    stats.fallbacks++
+                    log(verbose, `Falling back to depth=1 for ${ids[0]} after: ${err.message.split('\n')[0]}`)
+                    enqueue(ids[0], 1)
+                } else {
+                    throw err
+                }
+                continue
+            }
+
+            let bytes = 0
+            let nodes = 0
+            const nodesById = data?.nodes || {}
+            for (const id of ids) {
+                queued.delete(id)
+                const entry = nodesById[id]
+                if (!entry || !entry.document) continue
+                const doc = entry.document
+                if (!isVisibleNode(doc)) continue
+
+                // Shared style metadata (name, styleType) for style ids referenced in this response.
+                for (const [styleId, meta] of Object.entries(entry.styles || {})) styles.set(styleId, meta)
+                // Same for main components (name, componentSetId, ...) and their sets, used to name instances.
+                for (const [id, meta] of Object.entries(entry.components || {})) components.set(id, meta)
+                for (const [id, meta] of Object.entries(entry.componentSets || {})) componentSets.set(id, meta)
+
+                const entryBytes = Buffer.byteLength(JSON.stringify(entry))
+                bytes += entryBytes
+                // The requested node is complete even at depth=1 (its children come back shallow).
+                nodes += absorb(Array.isArray(doc.children) ? doc : { ...doc, children: [] }, nextDepth(d, entryBytes))
+            }
+            bumpCrawlStats(stats, d, { requests: 1, bytes, nodes })
+        }
+    }
+
+    // Insert in breadth-first order, the order the depth=1 crawler discovered nodes in, so
+    // inventories and every other nodeMap consumer see the same sequence whatever the depth.
+    const nodeMap = new Map()
+    const order = docs.has(rootId) ? [rootId] : []
+    for (let i = 0; i < order.length; i++) {
+        const norm = normalizeNode(docs.get(order[i]), { twScale })
+        nodeMap.set(norm.id, norm)
+        for (const childId of norm.childIds) if (docs.has(childId)) order.push(childId)
+    }
+
+    return { nodeMap, styles, components, componentSets }
+}
+
+function buildTreeLines({ nodeMap, rootId, componentMeta = null, collapseInstances = false, nodeLink = null }) {
+    // Nested Markdown list rather than a code block, so every layer links to Figma.
+    const lines = []
+
+    function walk(id, depth) {
+        const n = nodeMap.get(id)
+        if (!n) return
+
+        const indent = '  '.repeat(depth)
+        const bb = bboxSummary(n.known?.absoluteBoundingBox)
+        const layoutBits = []
+        if (n.known?.layoutMode === 'HORIZONTAL') layoutBits.push('auto-layout horizontal')
+        if (n.known?.layoutMode === 'VERTICAL') layoutBits.push('auto-layout vertical')
+        if (Number.isFinite(n.known?.itemSpacing)) layoutBits.push(`gap=${n.known.itemSpacing}`)
+        const meta = [bb, layoutBits.length ? layoutBits.join(' ') : null].filter(Boolean).join(' | ')
+
+        const instanceOf = n.type === 'INSTANCE' ? ` -> ${componentLabel(componentMeta, n.known?.componentId) ?? 'unknown component'}` : ''
+        const title = `\`${nodeTitle(n).replace(/`/g, "'")}\``
+        lines.push(`${indent}- ${title} (id: ${markdownNodeLink(n, nodeLink, n.id)})${instanceOf}${meta ? ` — ${meta}` : ''}`)
+
+        if (collapseInstances && n.type === 'INSTANCE') {
+            const nested = countDescendants(nodeMap, n.id)
+            if (nested) lines.push(`${indent}  - … ${nested} nested layer(s) collapsed`)
+            return
+        }
+        for (const childId of n.childIds) walk(childId, depth + 1)
+    }
+
+    walk(rootId, 0)
+    return lines
+}
+
+function buildNodeDetailMarkdown({
+    nodeMap,
+    rootId,
+    fileKey,
+    styleMeta,
+    variables = null,
+    componentMeta = null,
+    prototype = null,
+    collapseInstances = false,
+    hints = HINT_GENERATORS[0],
+    semantics = null,
+    assets = null,
+    assetHref = (f) => f,
+    nodeLink = null,
+}) {
+    const parts = []
+    const hintNames = new Set()
+
+    function walk(id, pathParts) {
+        const n = nodeMap.get(id)
+        if (!n) return
+
+        const currentPathParts = [...pathParts, `${n.name ?? 'Unnamed'} (${n.type})`]
+        const nodePath = currentPathParts.join(' > ')
+
+        parts.push(`## ${nodeTitle(n)} (id: ${markdownNodeLink(n, nodeLink, n.id)})`)
+        parts.push('')
+        parts.push(`- Path: ${nodePath}`)
+        parts.push(`- File key: ${fileKey}`)
+
+        if (n.type === 'INSTANCE') {
+            const label = componentLabel(componentMeta, n.known?.componentId)
+            parts.push(`- Instance: ${label ?? 'true'}${n.known?.componentId ? ` (componentId: ${n.known.componentId})` : ''}`)
+        }
+
+        const bb = n.known?.absoluteBoundingBox
+        if (bb) parts.push(`- Bounds: ${bboxSummary(bb) || stableStringify(bb)}`)
+
+        if (Number.isFinite(n.known?.rotation)) parts.push(`- Rotation: ${n.known.rotation}`)
+        if (Number.isFinite(n.known?.opacity)) parts.push(`- Opacity: ${n.known.opacity}`)
+        if (n.known?.blendMode) parts.push(`- Blend mode: ${n.known.blendMode}`)
+
+        if (n.type === 'INSTANCE') parts.push(...instanceMarkdown({ node: n, nodeMap, componentMeta, collapseInstances }))
+
+        // Layout summary
+        const layout = {
+            layoutMode: n.known?.layoutMode,
+            layoutWrap: n.known?.layoutWrap,
+            primaryAxisSizingMode: n.known?.primaryAxisSizingMode,
+            counterAxisSizingMode: n.known?.counterAxisSizingMode,
+            primaryAxisAlignItems: n.known?.primaryAxisAlignItems,
+            counterAxisAlignItems: n.known?.counterAxisAlignItems,
+            itemSpacing: n.known?.itemSpacing,
+            counterAxisSpacing: n.known?.counterAxisSpacing,
+            paddingTop: n.known?.paddingTop,
+            paddingRight: n.known?.paddingRight,
+            paddingBottom: n.known?.paddingBottom,
+            paddingLeft: n.known?.paddingLeft,
+            layoutPositioning: n.known?.layoutPositioning,
+            layoutSizingHorizontal: n.known?.layoutSizingHorizontal,
+            layoutSizingVertical: n.known?.layoutSizingVertical,
+            layoutGrow: n.known?.layoutGrow,
+            layoutAlign: n.known?.layoutAlign,
+            constraints: n.known?.constraints,
+        }
+
+        const layoutJson = stableStringify(layout)
+        parts.push('')
+        parts.push('**Layout / Constraints**')
+        parts.push('')
+        parts.push('```json')
+        parts.push(layoutJson)
+        parts.push('```')
+        const layoutVariables = boundVariableLines(n, variables, false)
+        if (layoutVariables.length) parts.push('- Bound variables:', ...layoutVariables)
+
+        // Paint summary
+        parts.push('')
+        parts.push('**Paint / Effects**')
+        parts.push('')
+
+        const styleRefs = n.known?.styles || {}
+        const withStyle = (label, styleId) => {
+            const name = styleLabel(styleMeta, styleId)
+            return name ? `- ${label} (style: ${name}):` : `- ${label}:`
+        }
+
+        parts.push(withStyle('Fills', styleRefs.fill))
+        parts.push('```text')
+        parts.push(formatPaintArray(n.known?.fills, n.known?.absoluteBoundingBox))
+        parts.push('```')
+        const fillAssets = (n.known?.fills || [])
+            .filter((p) => p?.type === 'IMAGE' && assets?.byImageRef.has(p.imageRef))
+            .map((p) => assets.byImageRef.get(p.imageRef))
+        if (fillAssets.length) parts.push(`- Image fill assets: ${fillAssets.map((f) => `[${path.basename(f)}](${assetHref(f)})`).join(', ')}`)
+
+        parts.push(withStyle('Strokes', styleRefs.stroke))
+        parts.push('```text')
+        parts.push(formatPaintArray(n.known?.strokes, n.known?.absoluteBoundingBox))
+        parts.push('```')
+
+        if (Number.isFinite(n.known?.strokeWeight)) parts.push(`- Stroke weight: ${n.known.strokeWeight}`)
+        if (n.known?.strokeAlign) parts.push(`- Stroke align: ${n.known.strokeAlign}`)
+
+        parts.push(withStyle('Effects', styleRefs.effect))
+        parts.push('```text')
+        parts.push(formatEffects(n.known?.effects))
+        parts.push('```')
+        const paintVariables = boundVariableLines(n, variables, true)
+        if (paintVariables.length) parts.push('- Bound variables:', ...paintVariables)
+
+        // Corners
+        if (typeof n.known?.cornerRadius === 'number' || Array.isArray(n.known?.rectangleCornerRadii)) {
+            parts.push('')
+            parts.push('**Corners**')
+            parts.push('')
+            parts.push('```json')
+            parts.push(
+                stableStringify({
+                    cornerRadius: n.known?.cornerRadius,
+                    rectangleCornerRadii: n.known?.rectangleCornerRadii,
+                }),
+            )
+            parts.push('```')
+        }
+
+        // Text
+        if (n.type === 'TEXT') {
+            parts.push('')
+            parts.push('**Text**')
+            parts.push('')
+            const textStyle = styleLabel(styleMeta, styleRefs.text)
+            parts.push(`- Text style: ${textStyle || 'none (detached)'}`)
+            parts.push('')
+
+            const chars = n.known?.characters ?? ''
+            const fence = fenceForText(chars)
+            parts.push(`${fence}text`)
+            parts.push(String(chars))
+            parts.push(fence)
+
+            parts.push('')
+            parts.push('```json')
+            parts.push(stableStringify({ style: n.known?.style }))
+            parts.push('```')
+
+            if (n.textSpans?.some((s) => Object.keys(s.override).length)) {
+                parts.push('')
+                parts.push('- Spans (style overrides merged into the base style):')
+                parts.push('')
+                parts.push(...textSpansMarkdown(n, n.textSpans))
+            }
+            if (n.textSpans && isListText(n.known)) {
+                parts.push('')
+                parts.push('- Lists:')
+                parts.push('')
+                parts.push(...textListMarkdown(textLines(n.known, n.textSpans)))
+            }
+        }
+
+        // Vector placeholder (or the exported SVG when --assets fetched one)
+        const nodeAssets = assets?.byNodeId.get(n.id) || []
+        const vectorAsset = nodeAssets.find((a) => a.source === 'vector')
+        if (isVectorLikeType(n.type)) {
+            parts.push('')
+            parts.push('**Vector Geometry**')
+            parts.push('')
+            if (vectorAsset) parts.push(`- Exported SVG: [${path.basename(vectorAsset.file)}](${assetHref(vectorAsset.file)})`)
+            else parts.push('- Vector geometry omitted (no path/network data emitted).')
+        }
+
+        const exportedAssets = nodeAssets.filter((a) => a.source === 'exportSettings')
+        if (exportedAssets.length) {
+            parts.push('')
+            parts.push('**Exports**')
+            parts.push('')
+            for (const a of exportedAssets) parts.push(`- ${a.format.toUpperCase()} @${a.scale}x: [${path.basename(a.file)}](${assetHref(a.file)})`)
+        }
+
+        const interactions = interactionLines({ node: n, prototype, nodeLink })
+        if (interactions.length) {
+            parts.push('')
+            parts.push('**Interactions**')
+            parts.push('')
+            parts.push(...interactions)
+        }
+
+        // Children list
+        parts.push('')
+        parts.push('**Children**')
+        parts.push('')
+        parts.push('```json')
+        parts.push(stableStringify({ childIds: n.childIds }))
+        parts.push('```')
+
+        // Implementation hints
+        parts.push('')
+        parts.push(`**Implementation Hints (${hints.label})**`)
+        parts.push('')
+        parts.push(...hintMarkdown(hints, n, { semantic: semantics?.get(n.id), imageUrl: (ref) => imageFillUrl(ref, assets), usedNames: hintNames }))
+
+        // Other fields
+        const otherKeys = Object.keys(n.other || {})
+        if (otherKeys.length) {
+            parts.push('')
+            parts.push('**Other Figma Fields (Unclassified)**')
+            parts.push('')
+            parts.push('```json')
+            parts.push(stableStringify(n.other))
+            parts.push('```')
+        }
+
+        parts.push('')
+
+        if (collapseInstances && n.type === 'INSTANCE') return
+        for (const childId of n.childIds) walk(childId, currentPathParts)
+    }
+
+    walk(rootId, [])
+    return parts.join('\n')
+}
+
+function relativeLuminance({ r, g, b }) {
+    const channel = (c) => (c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4)
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b)
+}
+
+function contrastRatio(a, b) {
+    const [hi, lo] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x)
+    return (hi + 0.05) / (lo + 0.05)
+}
+
+function blendOver(top, alpha, bottom) {
+    return {
+        r: top.r * alpha + bottom.r * (1 - alpha),
+        g: top.g * alpha + bottom.g * (1 - alpha),
+        b: top.b * alpha + bottom.b * (1 - alpha),
+    }
+}
+
+function topSolidFill(node) {
+    // Topmost visible paint (Figma paints bottom to top); { paintType } when it is not a solid color.
+    const visible = (node.known?.fills || []).filter((p) => p && p.visible !== false && (p.opacity ?? 1) > 0)
+    const top = visible[visible.length - 1]
+    if (!top) return { none: true }
+    if (top.type !== 'SOLID' || !top.color) return { paintType: top.type }
+    const alpha = (top.color.a ?? 1) * (top.opacity ?? 1) * (Number.isFinite(node.known?.opacity) ? node.known.opacity : 1)
+    return { color: top.color, alpha }
+}
+
+function backgroundBehind({ nodeMap, parents, id, backdrop = [] }) {
+    // Composites translucent ancestor fills until one is opaque: the section's ancestors, then the
+    // nodes behind the section (backdrop: the target root). Returns { reason } instead of a color
+    // when a gradient or image fill is in the way or nothing opaque is behind the node.
+    const chain = []
+    for (let p = parents.get(id); p; p = parents.get(p)) chain.push(nodeMap.get(p))
+    chain.push(...backdrop)
+
+    const layers = []
+    for (const node of chain) {
+        const fill = topSolidFill(node)
+        if (fill.paintType) return { reason: `${fill.paintType} fill on "${node.name ?? 'Unnamed'}" behind it` }
+        if (fill.none) continue
+        layers.push(fill)
+        if (fill.alpha >= 1) break
+    }
+    if (!layers.length || layers[layers.length - 1].alpha < 1) return { reason: 'no opaque fill behind it' }
+    let color = layers.pop().color
+    while (layers.length) {
+        const { color: top, alpha } = layers.pop()
+        color = blendOver(top, alpha, color)
+    }
+    return { color }
+}
+
+function isLargeText(style) {
+    // WCAG "large scale": 18pt (24px), or 14pt (18.66px) bold.
+    return style.fontSize >= 24 || (style.fontSize >= 18.66 && (style.fontWeight ?? 400) >= 700)
+}
+
+function auditAccessibility({ nodeMap, rootId, root = null, minFontSize }) {
+    const findings = []
+    const parents = parentIdMap(nodeMap)
+    // The section root sits on the target root; a catalogued or childless target is its own section.
+    const backdrop = root && !nodeMap.has(root.id) ? [root] : []
+    const add = (n, rule, severity, message) => findings.push({ category: 'a11y', rule, severity, nodeId: n.id, nodeName: n.name ?? 'Unnamed', message })
+
+    for (const n of nodesInTreeOrder({ nodeMap, rootId })) {
+        const style = n.known?.style || {}
+        if (n.type === 'TEXT' && Number.isFinite(style.fontSize)) {
+            if (style.fontSize < minFontSize) add(n, 'min-font-size', 'warning', `Font size ${style.fontSize}px is below the ${minFontSize}px minimum`)
+
+            const fill = topSolidFill(n)
+            const bg = fill.none ? null : fill.paintType ? { reason: `${fill.paintType} text fill` } : backgroundBehind({ nodeMap, parents, id: n.id, backdrop })
+            if (bg?.reason) add(n, 'contrast-unchecked', 'warning', `Contrast not checked: ${bg.reason}; verify it by hand (WCAG 1.4.3)`)
+            else if (bg) {
+                const fg = blendOver(fill.color, fill.alpha, bg.color)
+                const ratio = contrastRatio(fg, bg.color)
+                const required = isLargeText(style) ? 3 : 4.5
+                if (ratio < required) {
+                    const pair = `${hexFromColor({ ...fg, a: 1 })} on ${hexFromColor({ ...bg.color, a: 1 })}`
+                    add(n, 'contrast', 'error', `Contrast ${ratio.toFixed(2)}:1 (${pair}) is below ${required}:1 for ${required === 3 ? 'large' : 'normal'} text (WCAG 1.4.3)`)
+                }
+            }
+        }
+
+        const interactive = nodeInteractions(n).length > 0
+        const bb = n.known?.absoluteBoundingBox
+        if (interactive && Number.isFinite(bb?.width) && Number.isFinite(bb?.height)) {
+            const size = `${Math.round(bb.width * 100) / 100}x${Math.round(bb.height * 100) / 100}`
+            if (bb.width < 24 || bb.height < 24) add(n, 'target-size', 'error', `Interactive target ${size} is below 24x24 (WCAG 2.5.8)`)
+            else if (bb.width < 44 || bb.height < 44) add(n, 'target-size', 'warning', `Interactive target ${size} is below 44x44 (WCAG 2.5.5)`)
+        }
+    }
+    return findings
+}
+
+const LINT_GRID_PROPERTIES = ['itemSpacing', 'counterAxisSpacing', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft']
+const LINT_TYPOGRAPHY_VARIABLES = ['fontFamily', 'fontSize', 'fontStyle', 'fontWeight', 'lineHeight', 'letterSpacing', 'paragraphSpacing']
+
+function visibleSolidPaints(paints) {
+    return (paints || []).filter((p) => p?.type === 'SOLID' && p.visible !== false && p.color)
+}
+
+function labFromColor({ r, g, b }) {
+    // sRGB -> CIE L*a*b* (D65), for delta-E comparisons.
+    const lin = (c) => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4)
+    const [R, G, B] = [lin(r ?? 0), lin(g ?? 0), lin(b ?? 0)]
+    const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116)
+    const x = f((0.4124 * R + 0.3576 * G + 0.1805 * B) / 0.95047)
+    const y = f(0.2126 * R + 0.7152 * G + 0.0722 * B)
+    const z = f((0.0193 * R + 0.1192 * G + 0.9505 * B) / 1.08883)
+    return { L: 116 * y - 16, a: 500 * (x - y), b: 200 * (y - z) }
+}
+
+function deltaE(a, b) {
+    // CIE76: plain distance in Lab; ~2.3 is a just-noticeable difference.
+    return Math.hypot(a.L - b.L, a.a - b.a, a.b - b.b)
+}
+
+// Built-in lint rules. check() gets one node at a time and returns a message (or a list, or null);
+// prepare() runs once over every node of the report for rules that compare across nodes.
+// --lint-config can change severities/options, turn rules "off" and load more rules from plugins.
+const LINT_RULES = [
+    {
+        id: 'detached-fill',
+        description: 'Solid fills not bound to a fill style or color variable',
+        severity: 'warning',
+        options: { ignoreInstanceChildren: true },
+        check({ node, ancestors, options }) {
+            if (options.ignoreInstanceChildren && ancestors.some((a) => a.type === 'INSTANCE')) return null
+            const solids = visibleSolidPaints(node.known?.fills)
+            if (!solids.length || node.known?.styles?.fill || node.known?.boundVariables?.fills) return null
+            if (solids.every((p) => p.boundVariables?.color)) return null
+            return `Solid fill ${solids.map((p) => hexFromColor(p.color)).join(', ')} is not bound to a fill style or color variable`
+        },
+    },
+    {
+        id: 'detached-text',
+        description: 'Text not bound to a text style or typography variables',
+        severity: 'warning',
+        options: { ignoreInstanceChildren: true },
+        check({ node, ancestors, options }) {
+            if (node.type !== 'TEXT') return null
+            if (options.ignoreInstanceChildren && ancestors.some((a) => a.type === 'INSTANCE')) return null
+            const bound = node.known?.boundVariables || {}
+            if (node.known?.styles?.text || LINT_TYPOGRAPHY_VARIABLES.some((k) => bound[k])) return null
+            const st = node.known?.style || {}
+            return `Text (${[st.fontFamily, st.fontSize && `${st.fontSize}px`, st.fontWeight].filter(Boolean).join(' ')}) is not bound to a text style or typography variables`
+        },
+    },
+    {
+        id: 'off-grid-spacing',
+        description: 'Gap and padding values off the spacing grid',
+        severity: 'warning',
+        options: { grid: 4, properties: LINT_GRID_PROPERTIES },
+        check({ node, options }) {
+            const bound = node.known?.boundVariables || {}
+            const off = options.properties.filter((k) => Number.isFinite(node.known?.[k]) && !bound[k] && node.known[k] % options.grid !== 0)
+            if (!off.length) return null
+            return `Off the ${options.grid}px grid: ${off.map((k) => `${k}=${node.known[k]}`).join(', ')}`
+        },
+    },
+    {
+        id: 'near-duplicate-colors',
+        description: 'Solid colors within a small delta-E of a more common color',
+        severity: 'warning',
+        options: { maxDeltaE: 2.3 },
+        prepare({ nodes, options }) {
+            // The less used color of each close pair is the likely mistake.
+            const counts = new Map()
+            for (const n of nodes) {
+                for (const p of [...visibleSolidPaints(n.known?.fills), ...visibleSolidPaints(n.known?.strokes)]) {
+                    const key = hexFromColor(p.color)
+                    const entry = counts.get(key) || { count: 0, lab: labFromColor(p.color), alpha: p.color.a ?? 1 }
+                    entry.count++
+                    counts.set(key, entry)
+                }
+            }
+            const closest = new Map()
+            const keys = [...counts.keys()].sort()
+            for (const a of keys) {
+                for (const b of keys) {
+                    const [ea, eb] = [counts.get(a), counts.get(b)]
+                    if (a === b || ea.alpha !== eb.alpha || eb.count < ea.count || (eb.count === ea.count && b < a)) continue
+                    const d = deltaE(ea.lab, eb.lab)
+                    if (d <= options.maxDeltaE && (!closest.has(a) || d < closest.get(a).d)) closest.set(a, { other: b, d, count: eb.count })
+                }
+            }
+            return closest
+        },
+        check({ node, state }) {
+            const keys = new Set([...visibleSolidPaints(node.known?.fills), ...visibleSolidPaints(node.known?.strokes)].map((p) => hexFromColor(p.color)))
+            return [...keys]
+                .filter((k) => state.has(k))
+                .map((k) => {
+                    const { other, d, count } = state.get(k)
+                    return `Color ${k} is within delta-E ${d.toFixed(2)} of ${other} (used ${count}x)`
+                })
+        },
+    },
+    {
+        id: 'mixed-absolute-children',
+        description: 'Auto-layout frames mixing flow and absolutely positioned children',
+        severity: 'warning',
+        options: {},
+        check({ node, nodeMap }) {
+            if (node.known?.layoutMode !== 'HORIZONTAL' && node.known?.layoutMode !== 'VERTICAL') return null
+            const children = node.childIds.map((id) => nodeMap.get(id)).filter(Boolean)
+            const absolute = children.filter((c) => c.known?.layoutPositioning === 'ABSOLUTE')
+            if (!absolute.length || absolute.length === children.length) return null
+            return `Auto-layout frame mixes ${children.length - absolute.length} flow and ${absolute.length} absolutely positioned children (${absolute.map((c) => `"${c.name ?? 'Unnamed'}"`).join(', ')})`
+        },
+    },
+]
+
+async function loadModuleOrJson(abs) {
+    if (/\.json$/i.test(abs)) return JSON.parse(await fs.readFile(abs, 'utf8'))
+    const mod = await import(pathToFileURL(abs).href)
+    return mod.default ?? mod
+}
+
+async function loadLintRules(source) {
+    // Config: { rules: { "<id>": "off" | "<severity>" | ["<severity>", { ...options }] },
+    //           plugins: ["./rules.mjs"] } -- plugin modules export an array of rules (default or `rules`).
+    const config = source ? await loadModuleOrJson(path.resolve(process.cwd(), source)) : {}
+    const baseDir = source ? path.dirname(path.resolve(process.cwd(), source)) : process.cwd()
+
+    const available = [...LINT_RULES]
+    const pluginSources = []
+    for (const plugin of config.plugins || []) {
+        const abs = path.resolve(baseDir, plugin)
+        const mod = await loadModuleOrJson(abs)
+        const rules = Array.isArray(mod) ? mod : mod.rules
+        if (!Array.isArray(rules)) throw new Error(`Lint plugin ${plugin} exports no rules array`)
+        for (const rule of rules) {
+            if (!rule?.id || typeof rule.check !== 'function') throw new Error(`Lint plugin ${plugin}: every rule needs an id and a check() function`)
+            if (available.some((r) => r.id === rule.id)) throw new Error(`Lint plugin ${plugin}: duplicate rule id ${rule.id}`)
+            available.push(rule)
+        }
+        pluginSources.push(sha1(await fs.readFile(abs)))
+    }
+
+    const settings = config.rules || {}
+    for (const id of Object.keys(settings)) {
+        if (!available.some((r) => r.id === id)) throw new Error(`Unknown lint rule in ${source}: ${id}`)
+    }
+
+    const rules = []
+    for (const rule of available) {
+        const setting = settings[rule.id]
+        const [severity, options] = Array.isArray(setting) ? setting : [setting ?? rule.severity ?? 'warning', {}]
+        if (severity === 'off') continue
+        if (!SEVERITIES.includes(severity)) throw new Error(`Invalid severity for lint rule ${rule.id}: ${severity} (expected off, ${SEVERITIES.join(', ')})`)
+        rules.push({ rule, severity, options: { ...(rule.options || {}), ...(options || {}) } })
+    }
+
+    const hash = sha1(stableStringify({ rules: rules.map((r) => [r.rule.id, r.severity, r.options]), plugins: pluginSources }))
+    return { rules, hash }
+}
+
+function lintSections({ sections, rules }) {
+    const nodes = sections.flatMap((s) => [...s.nodeMap.values()])
+    const states = rules.map(({ rule, options }) => (rule.prepare ? rule.prepare({ nodes, options }) : null))
+
+    for (const s of sections) {
+        s.lint = []
+        const walk = (id, ancestors) => {
+            const node = s.nodeMap.get(id)
+            if (!node) return
+            rules.forEach(({ rule, severity, options }, i) => {
+                const result = rule.check({ node, ancestors, nodeMap: s.nodeMap, options, state: states[i] })
+                for (const message of [result].flat().filter(Boolean)) {
+                    s.lint.push({ category: 'lint', rule: rule.id, severity, nodeId: node.id, nodeName: node.name ?? 'Unnamed', message })
+                }
+            })
+            for (const childId of node.childIds) walk(childId, [...ancestors, node])
+        }
+        walk(s.id, [])
+    }
+}
+
+function figmaNodeLink(fileKey, nodeId, urlKind = 'design') {
+    // Same shape Figma's "Copy link" produces: node-id with dashes instead of colons.
+    return `https://www.figma.com/${urlKind}/${encodeURIComponent(fileKey)}/?node-id=${encodeURIComponent(String(nodeId).replace(/:/g, '-'))}`
+}
+
+function markdownNodeLink(node, nodeLink, text = `${node.name ?? 'Unnamed'} (${node.id})`) {
+    const label = markdownCell(text).replace(/[[\]]/g, '\\$&')
+    return nodeLink ? `[${label}](${nodeLink(node.id)})` : label
+}
+
+function locateFindings({ findings, nodeMap, nodeLink, root = null }) {
+    // Adds the layer path and a Figma deep link to every finding of a section. Paths start at the
+    // target root, which sits above the section root unless the target is its own section.
+    const parents = parentIdMap(nodeMap)
+    const prefix = root && !nodeMap.has(root.id) ? `${root.name ?? 'Unnamed'} > ` : ''
+    for (const f of findings) {
+        f.path = `${prefix}${nodeNamePath(nodeMap, parents, f.nodeId)}`
+        f.link = nodeLink(f.nodeId)
+    }
+    return findings
+}
+
+function failingFindings(counts, failOn) {
+    // Findings at the --fail-on severity or worse.
+    if (!failOn) return 0
+    return SEVERITIES.slice(0, SEVERITIES.indexOf(failOn) + 1).reduce((sum, sev) => sum + (counts[sev] || 0), 0)
+}
+
+function reportFailOn({ counts, failOn }) {
+    const failing = failingFindings(counts, failOn)
+    if (!failing) return
+    // eslint-disable-next-line no-console
+    console.error(`Audit/lint: ${failing} finding(s) at severity ${failOn} or worse (--fail-on ${failOn})`)
+    process.exitCode = 1
+}
+
+function findingCounts(findings) {
+    const counts = Object.fromEntries(SEVERITIES.map((sev) => [sev, 0]))
+    for (const f of findings) counts[f.severity]++
+    return counts
+}
+
+function findingsMarkdown({ title, findings, empty }) {
+    const out = []
+    out.push(`## ${title}`)
+    out.push('')
+    if (!findings.length) {
+        out.push(`- ${empty}`)
+        out.push('')
+        return out
+    }
+    const counts = findingCounts(findings)
+    out.push(`- ${SEVERITIES.map((sev) => `${sev}s: ${counts[sev]}`).join(', ')}`)
+    out.push('')
+    out.push('| Severity | Rule | Node | Path | Finding |')
+    out.push('| --- | --- | --- | --- | --- |')
+    for (const f of findings) {
+        const node = markdownNodeLink({ id: f.nodeId, name: f.nodeName }, () => f.link)
+        out.push(`| ${[f.severity, f.rule].map(markdownCell).join(' | ')} | ${node} | ${[f.path, f.message].map(markdownCell).join(' | ')} |`)
+    }
+    out.push('')
+    return out
+}
+
+function findingsSummaryMarkdown({ title, sections, key }) {
+    // Index table: one row per section with findings, linking its file.
+    const rows = sections.filter((s) => s[key].length)
+    const out = []
+    out.push(`## ${title}`)
+    out.push('')
+    if (!rows.length) {
+        out.push('- none')
+        out.push('')
+        return out.join('\n')
+    }
+    out.push(`| Section | ${SEVERITIES.map((sev) => `${sev[0].toUpperCase()}${sev.slice(1)}s`).join(' | ')} | Rules |`)
+    out.push(`| --- | ${SEVERITIES.map(() => '---').join(' | ')} | --- |`)
+    for (const s of rows) {
+        const counts = findingCounts(s[key])
+        const rules = new Map()
+        for (const f of s[key]) rules.set(f.rule, (rules.get(f.rule) || 0) + 1)
+        const label = s.file ? `[${markdownCell(s.name)}](${s.file})` : markdownCell(s.name)
+        out.push(`| ${label} | ${SEVERITIES.map((sev) => counts[sev]).join(' | ')} | ${[...rules].map(([r, c]) => `${r} x${c}`).join(', ')} |`)
+    }
+    out.push('')
+    return out.join('\n')
+}
+
+function inventoryEntries(inventories, styleMeta) {
+    const byCount = (a, b) => b[1].count - a[1].count
+    const withStyles = (entry) => ({
+        styles: [...entry.styleCounts.entries()]
+            .map(([id, count]) => ({ id, name: styleMeta?.get(id)?.name ?? null, count }))
+            .sort((a, b) => b.count - a.count || String(a.name).localeCompare(String(b.name))),
+        detachedCount: entry.detachedCount,
+        usedBy: [...entry.usedBy].map(([id, name]) => ({ id, name })),
+    })
+    return {
+        typography: [...inventories.typography.entries()].sort(byCount).map(([k, e]) => ({ count: e.count, style: JSON.parse(k), ...withStyles(e) })),
+        colors: [...inventories.colors.entries()].sort(byCount).map(([hex, e]) => ({ hex, count: e.count, ...withStyles(e) })),
+        effects: [...inventories.effects.entries()].sort(byCount).map(([k, e]) => ({ count: e.count, effect: JSON.parse(k), ...withStyles(e) })),
+    }
+}
+
+const WHERE_USED_LIMIT = 20
+
+function inventoryValueLabel(valueKey, value) {
+    if (valueKey === 'hex') return value
+    if (valueKey === 'effect') return formatEffects([value])
+    const lh = Number.isFinite(value.lineHeightPx) ? `/${Math.round(value.lineHeightPx * 100) / 100}` : ''
+    return [value.fontFamily, value.fontWeight, `${value.fontSize}px${lh}`].filter((x) => x != null).join(' ')
+}
+
+function inventorySectionMarkdown({ title, entries, noun, valueKey, nodeLink = null }) {
+    // Split each value into uses through a shared style and detached (ad-hoc) uses.
+    const out = []
+    out.push(`## ${title}`)
+    out.push('')
+    if (entries.length === 0) {
+        out.push('- none')
+        out.push('')
+        return out
+    }
+
+    const named = []
+    const detached = []
+    for (const e of entries) {
+        for (const st of e.styles) named.push({ name: st.name ?? `unresolved ${st.id}`, styleId: st.id, count: st.count, [valueKey]: e[valueKey] })
+        if (e.detachedCount > 0) detached.push({ count: e.detachedCount, [valueKey]: e[valueKey] })
+    }
+    named.sort((a, b) => a.name.localeCompare(b.name) || b.count - a.count)
+
+    out.push(`- Unique ${noun}: ${entries.length} (named style uses: ${named.length}, detached values: ${detached.length})`)
+    out.push('')
+    out.push('### Named Styles')
+    out.push('')
+    if (named.length) {
+        out.push('```json')
+        out.push(stableStringify(named))
+        out.push('```')
+    } else {
+        out.push('- none')
+    }
+    out.push('')
+    out.push('### Detached Values')
+    out.push('')
+    if (detached.length) {
+        out.push('```json')
+        out.push(stableStringify(detached))
+        out.push('```')
+    } else {
+        out.push('- none')
+    }
+    out.push('')
+    out.push('### Where Used')
+    out.push('')
+    for (const e of entries) {
+        const links = e.usedBy.slice(0, WHERE_USED_LIMIT).map((u) => markdownNodeLink(u, nodeLink))
+        const more = e.usedBy.length > WHERE_USED_LIMIT ? `, … and ${e.usedBy.length - WHERE_USED_LIMIT} more` : ''
+        out.push(`- \`${inventoryValueLabel(valueKey, e[valueKey]).replace(/`/g, "'")}\` (${e.count} use(s)): ${links.join(', ')}${more}`)
+    }
+    out.push('')
+    return out
+}
+
+function inventoryMarkdown(inventories, styleMeta, nodeLink = null) {
+    const entries = inventoryEntries(inventories, styleMeta)
+    return [
+        ...inventorySectionMarkdown({ title: 'Typography Inventory (Subtree)', entries: entries.typography, noun: 'styles', valueKey: 'style', nodeLink }),
+        ...inventorySectionMarkdown({ title: 'Color Inventory (Subtree, Solid Paints Only)', entries: entries.colors, noun: 'colors', valueKey: 'hex', nodeLink }),
+        ...inventorySectionMarkdown({ title: 'Effects Inventory (Subtree)', entries: entries.effects, noun: 'effects', valueKey: 'effect', nodeLink }),
+    ].join('\n')
+}
+
+function variableEntries(variables) {
+    // Variables bound in the report (and the ones they alias); unresolved ids keep name null.
+    if (!variables) return []
+    const resolved = usedVariableIds(variables).map((id) => {
+        const v = variables.variables.get(id)
+        return {
+            id,
+            name: v.name,
+            collection: variables.collections.get(v.variableCollectionId)?.name ?? null,
+            resolvedType: v.resolvedType ?? null,
+            bound: variables.used.has(id),
+            values: variableModes(variables, v).map((m) => {
+                const raw = v.valuesByMode?.[m.modeId]
+                return {
+                    mode: m.name,
+                    value: variableModeValue(variables, v, m.modeId) ?? null,
+                    alias: raw?.type === 'VARIABLE_ALIAS' ? variables.variables.get(raw.id)?.name ?? raw.id : null,
+                }
+            }),
+        }
+    })
+    const unresolved = [...variables.used]
+        .filter((id) => !variables.variables.has(id))
+        .sort()
+        .map((id) => ({ id, name: null, collection: null, resolvedType: null, bound: true, values: [] }))
+    return [...resolved, ...unresolved]
+}
+
+function variablesMarkdown(variables) {
+    const entries = variableEntries(variables)
+    if (!entries.length) return ''
+    const out = []
+    out.push('## Variables (Bound in Subtree)')
+    out.push('')
+    if (!variables.variables.size) out.push('- Local variables could not be loaded (the endpoint needs an Enterprise plan); ids are listed as-is.')
+    out.push(`- Variables: ${entries.length} (bound directly: ${entries.filter((e) => e.bound).length})`)
+    out.push('')
+    out.push('| Variable | Collection | Type | Values |')
+    out.push('| --- | --- | --- | --- |')
+    for (const e of entries) {
+        const v = variables.variables.get(e.id)
+        const values = e.values
+            .map((x) => `${e.values.length > 1 ? `${x.mode}: ` : ''}${formatVariableValue(v, x.value ?? undefined)}${x.alias ? ` via "${x.alias}"` : ''}`)
+            .join(', ')
+        out.push(`| ${[e.name ?? `unresolved ${e.id}`, e.collection ?? '—', e.resolvedType ?? '—', values || '—'].map(markdownCell).join(' | ')} |`)
+    }
+    out.push('')
+    return out.join('\n')
+}
+
+function rootSnapshot(rootNorm) {
+    return {
+        id: rootNorm.id,
+        name: rootNorm.name,
+        type: rootNorm.type,
+        bounds: rootNorm.known?.absoluteBoundingBox,
+        layoutMode: rootNorm.known?.layoutMode,
+        itemSpacing: rootNorm.known?.itemSpacing,
+        padding: {
+            top: rootNorm.known?.paddingTop,
+            right: rootNorm.known?.paddingRight,
+            bottom: rootNorm.known?.paddingBottom,
+            left: rootNorm.known?.paddingLeft,
+        },
+        childIds: rootNorm.childIds,
+    }
+}
+
+function nodesInTreeOrder({ nodeMap, rootId }) {
+    const out = []
+
+    function walk(id) {
+        const n = nodeMap.get(id)
+        if (!n) return
+        out.push(n)
+        for (const childId of n.childIds) walk(childId)
+    }
+
+    walk(rootId)
+    return out
+}
+
+function buildJsonReport({
+    generatedAt,
+    fileKey,
+    targets,
+    sections,
+    inventories,
+    styleMeta,
+    variables = null,
+    assets = null,
+    componentMeta = null,
+}) {
+    // Shape is described by figma-node-report.schema.json; keep the two in sync.
+    return {
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        generatedAt,
+        fileKey,
+        root: rootSnapshot(targets[0].rootNorm),
+        targets: targets.map((t) => ({ dir: t.dir, root: rootSnapshot(t.rootNorm) })),
+        sections: sections.map((s) => ({
+            idx: s.idx,
+            name: s.name,
+            id: s.id,
+            target: s.target,
+            file: s.file,
+            nodeCount: s.nodeCount,
+            findings: [...(s.a11y || []), ...(s.lint || [])],
+            component: s.catalogue ? catalogueEntry({ nodeMap: s.nodeMap, rootId: s.id, componentMeta }) : undefined,
+            nodes: nodesInTreeOrder({ nodeMap: s.nodeMap, rootId: s.id }).map((n) => ({
+                id: n.id,
+                name: n.name,
+                type: n.type,
+                childIds: n.childIds,
+                known: n.known,
+                other: n.other,
+                tw: n.tw,
+                twOffScale: n.twOffScale,
+                textSpans: n.textSpans ?? undefined,
+                semantic: s.semantics?.get(n.id),
+            })),
+        })),
+        inventories: inventoryEntries(inventories, styleMeta),
+        variables: variableEntries(variables),
+        assets: assetEntries(assets),
+    }
+}
+
+function componentNameFromSection(sectionName) {
+    const words = sanitizeFileName(sectionName).split(/[-._]+/).filter(Boolean)
+    const name = words.map((w) => w[0].toUpperCase() + w.slice(1)).join('')
+    if (!name) return 'Section'
+    return /^[0-9]/.test(name) ? `Section${name}` : name
+}
+
+function jsxComment(s) {
+    return String(s).replace(/\*\//g, '*\\/')
+}
+
+function jsxText(s) {
+    const text = String(s)
+    // Plain text is readable as-is; anything JSX would interpret goes through a string literal.
+    if (text.length && /^[^{}<>&\n\r]+$/.test(text) && text.trim() === text) return text
+    return `{${JSON.stringify(text)}}`
+}
+
+function jsxTwAttr(tw) {
+    if (!tw.length) return ''
+    const value = tw.join(' ')
+    return value.includes('"') ? ` tw={${JSON.stringify(value)}}` : ` tw="${value}"`
+}
+
+function buildReactJsx({ nodeMap, id, depth, semantics = null }) {
+    const n = nodeMap.get(id)
+    if (!n) return []
+
+    const indent = '  '.repeat(depth)
+    const lines = [`${indent}{/* ${jsxComment(`${n.type} "${n.name ?? 'Unnamed'}" (${n.id})`)} */}`]
+    const el = semantics?.get(id)?.element ?? inferElement(n)
+    const tw = jsxTwAttr(n.tw)
+
+    if (el === 'svg') {
+        // Geometry is not in the report; keep the box so layout is right until the real SVG lands.
+        const bb = n.known?.absoluteBoundingBox
+        const size = Number.isFinite(bb?.width) && Number.isFinite(bb?.height)
+            ? ` width={${bb.width}} height={${bb.height}} viewBox="0 0 ${bb.width} ${bb.height}"`
+            : ''
+        lines.push(`${indent}<svg${tw}${size} aria-hidden="true" />`)
+        return lines
+    }
+
+    if (el === 'img') {
+        lines.push(`${indent}<img${tw} src="" alt={${JSON.stringify(n.name ?? '')}} />`)
+        return lines
+    }
+
+    if (el === 'input' || el === 'textarea') {
+        // Form fields take no children; the first text inside the design becomes the placeholder.
+        const text = nodesInTreeOrder({ nodeMap, rootId: id }).find((d) => d.type === 'TEXT' && d.known?.characters)
+        const placeholder = text ? ` placeholder={${JSON.stringify(text.known.characters)}}` : ''
+        lines.push(`${indent}<${el}${tw}${placeholder} />`)
+        return lines
+    }
+
+    if (n.type === 'TEXT') {
+        if (n.textSpans) lines.push(...textJsx({ node: n, tw: n.tw, indent, element: el }))
+        else lines.push(`${indent}<${el}${tw}>${jsxText(n.known?.characters ?? '')}</${el}>`)
+        return lines
+    }
+
+    const children = n.childIds.filter((childId) => nodeMap.has(childId))
+    if (!children.length) {
+        lines.push(`${indent}<${el}${tw} />`)
+        return lines
+    }
+
+    lines.push(`${indent}<${el}${tw}>`)
+    for (const childId of children) lines.push(...buildReactJsx({ nodeMap, id: childId, depth: depth + 1, semantics }))
+    lines.push(`${indent}</${el}>`)
+    return lines
+}
+
+function buildReactComponent({ nodeMap, rootId, componentName, sectionName, fileKey, semantics = null }) {
+    const jsx = buildReactJsx({ nodeMap, id: rootId, depth: 2, semantics })
+    // Drop the root's own comment; the file header already names it.
+    if (jsx[0]?.trim().startsWith('{/*')) jsx.shift()
+
+    return [
+        `// Generated by figma-node-report.mjs from Figma file ${fileKey}, node ${rootId} ("${jsxComment(sectionName)}").`,
+        '// Scaffold only: structure and tw classes mirror the layer tree and elements are heuristic guesses',
+        '// (see "Suggested element" in the section report); rename, split and wire props by hand.',
+        '',
+        `export function ${componentName}() {`,
+        '  return (',
+        ...jsx,
+        '  )',
+        '}',
+        '',
+        `export default ${componentName}`,
+        '',
+    ].join('\n')
+}
+
+const TWIN_PROP_TYPES = [
+    '// Lets the `tw` prop used by the generated components type-check.',
+    "// twin.macro's own setup (babel-plugin-macros + its type declarations) supersedes this file.",
+    "import 'react'",
+    '',
+    "declare module 'react' {",
+    '  interface DOMAttributes<T> {',
+    '    tw?: string',
+    '  }',
+    '}',
+    '',
+].join('\n')
+
+async function writeReactComponents({ outDirAbs, sections, fileKey }) {
+    const componentDirAbs = path.join(outDirAbs, 'components')
+    await fs.mkdir(componentDirAbs, { recursive: true })
+
+    const written = []
+    const usedNames = new Set()
+    for (const s of sections) {
+        const baseName = componentNameFromSection(s.name)
+        let componentName = baseName
+        // Section idx repeats across targets, so keep counting until the name is free.
+        for (let n = s.idx; usedNames.has(componentName); n++) componentName = `${baseName}${n}`
+        usedNames.add(componentName)
+
+        const source = buildReactComponent({ nodeMap: s.nodeMap, rootId: s.id, componentName, sectionName: s.name, fileKey, semantics: s.semantics })
+        await fs.writeFile(path.join(componentDirAbs, `${componentName}.tsx`), source, 'utf8')
+        written.push(`${componentName}.tsx`)
+    }
+
+    await fs.writeFile(path.join(componentDirAbs, 'twin.d.ts'), TWIN_PROP_TYPES, 'utf8')
+    written.push('twin.d.ts')
+    return written
+}
+
+function alphaHex(a) {
+    return Math.round(Math.min(1, Math.max(0, a)) * 255).toString(16).padStart(2, '0')
+}
+
+function cssHexFromColor(color, opacity = 1) {
+    // #rrggbb, or #rrggbbaa when translucent (color alpha times paint/layer opacity).
+    const hex = hexFromColor({ r: color?.r, g: color?.g, b: color?.b })
+    if (!hex) return null
+    const a = (typeof color?.a === 'number' ? color.a : 1) * (Number.isFinite(opacity) ? opacity : 1)
+    return a < 1 ? `${hex}${alphaHex(a)}` : hex
+}
+
+function cssHexFromInventoryKey(hexKey) {
+    // Color inventory keys come from hexFromColor: "#rrggbb" or "#rrggbb @ 0.250".
+    const [hex, alpha] = String(hexKey).split(' @ ')
+    return alpha == null ? hex : `${hex}${alphaHex(Number(alpha))}`
+}
+
+function tokenSegment(part) {
+    // DTCG references join paths with '.', so a dot inside a name ("1.5", "lh19.36") becomes '_'.
+    return sanitizeFileName(part).replace(/\./g, '_')
+}
+
+function tokenPathFromStyleName(name) {
+    return String(name)
+        .split('/')
+        .map((part) => tokenSegment(part))
+        .filter((part) => part !== 'unnamed')
+}
+
+function createTokenPathAllocator(paths = []) {
+    // Collision-free paths: the first token keeps its path, later ones get -2, -3, ... on the segment
+    // that clashes. A DTCG group cannot also be a token, so besides exact duplicates a path may not
+    // run through an existing token (brand.primary below the token brand) or end on a group. CSS
+    // custom properties flatten paths with '-', so brand.primary and brand-primary clash as well.
+    const leaves = new Set()
+    const groups = new Set()
+    const flat = new Set()
+    const key = (parts) => parts.join('.')
+    const claim = (parts) => {
+        leaves.add(key(parts))
+        flat.add(parts.join('-'))
+        for (let i = 1; i < parts.length; i++) groups.add(key(parts.slice(0, i)))
+    }
+    for (const p of paths) claim(p)
+
+    return (path) => {
+        const out = [...path]
+        for (let i = 0; i < out.length; i++) {
+            const last = i === out.length - 1
+            const taken = () => leaves.has(key(out.slice(0, i + 1))) || (last && (groups.has(key(out)) || flat.has(out.join('-'))))
+            const base = out[i]
+            for (let n = 2; taken(); n++) out[i] = `${base}-${n}`
+        }
+        claim(out)
+        return out
+    }
+}
+
+function styleNameForEntry(styleCounts, styles) {
+    // Several styles can share a value; pick deterministically so names don't flip between runs.
+    const names = [...styleCounts.keys()].map((id) => styles.get(id)?.name).filter(Boolean).sort()
+    return names[0] || null
+}
+
+function generatedTypographyName(s) {
+    return tokenSegment([s.fontFamily, s.fontSize, s.fontWeight, s.lineHeightPx && `lh${Math.round(s.lineHeightPx * 100) / 100}`].filter(Boolean).join('-'))
+}
+
+function generatedEffectName(e) {
+    const nums = [e.offset?.x, e.offset?.y, e.radius, e.spread].filter(Number.isFinite).map((n) => String(Math.round(n * 100) / 100).replace('.', '_'))
+    return tokenSegment([e.type, ...nums].join('-'))
+}
+
+function px(n) {
+    return `${Math.round((n || 0) * 1000) / 1000}px`
+}
+
+function buildDesignTokens({ inventories, styles }) {
+    const tokens = []
+    const allocatePath = createTokenPathAllocator()
+    const add = (token) => tokens.push({ ...token, path: allocatePath(token.path) })
+
+    // Walk keys in sorted order (not by count) so generated names stay stable as usage shifts.
+    const sortedEntries = (map) => [...map.entries()].sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+
+    for (const [hexKey, { styleCounts }] of sortedEntries(inventories.colors)) {
+        const styleName = styleNameForEntry(styleCounts, styles)
+        const styled = styleName ? tokenPathFromStyleName(styleName) : []
+        const name = styled.length ? styled : ['generated', tokenSegment(hexKey.replace(/[#@ .]+/g, '-'))]
+        add({ group: 'color', path: ['color', ...name], type: 'color', value: cssHexFromInventoryKey(hexKey), styleName })
+    }
+
+    for (const [key, { styleCounts }] of sortedEntries(inventories.typography)) {
+        const s = JSON.parse(key)
+        const styleName = styleNameForEntry(styleCounts, styles)
+        const styled = styleName ? tokenPathFromStyleName(styleName) : []
+        const name = styled.length ? styled : ['generated', generatedTypographyName(s)]
+        const value = {
+            fontFamily: s.fontFamily,
+            fontSize: px(s.fontSize),
+            fontWeight: s.fontWeight,
+        }
+        if (Number.isFinite(s.lineHeightPx) && s.fontSize) value.lineHeight = Math.round((s.lineHeightPx / s.fontSize) * 10000) / 10000
+        if (Number.isFinite(s.letterSpacing)) value.letterSpacing = px(s.letterSpacing)
+        add({ group: 'typography', path: ['typography', ...name], type: 'typography', value, styleName })
+    }
+
+    for (const [key, { styleCounts }] of sortedEntries(inventories.effects)) {
+        const e = JSON.parse(key)
+        const styleName = styleNameForEntry(styleCounts, styles)
+        const styled = styleName ? tokenPathFromStyleName(styleName) : []
+        const name = styled.length ? styled : ['generated', generatedEffectName(e)]
+
+        if (e.type === 'DROP_SHADOW' || e.type === 'INNER_SHADOW') {
+            const value = {
+                color: cssHexFromColor(e.color) || '#000000',
+                offsetX: px(e.offset?.x),
+                offsetY: px(e.offset?.y),
+                blur: px(e.radius),
+                spread: px(e.spread),
+            }
+            if (e.type === 'INNER_SHADOW') value.inset = true
+            add({ group: 'shadow', path: ['shadow', ...name], type: 'shadow', value, styleName })
+        } else if (e.type === 'LAYER_BLUR' || e.type === 'BACKGROUND_BLUR') {
+            add({ group: 'blur', path: ['blur', ...name], type: 'dimension', value: px(e.radius), styleName })
+        }
+    }
+
+    return tokens
+}
+
+const UNITLESS_VARIABLE_SCOPES = new Set(['OPACITY', 'FONT_WEIGHT', 'TEXT_CONTENT'])
+
+function variableTokenValue(variable, value) {
+    // FLOATs are px unless every scope is unitless (opacity, font weight).
+    if (variable.resolvedType === 'COLOR') return { type: 'color', value: cssHexFromColor(value) ?? '#000000' }
+    if (variable.resolvedType === 'FLOAT') {
+        const scopes = variable.scopes || []
+        const unitless = scopes.length > 0 && scopes.every((sc) => UNITLESS_VARIABLE_SCOPES.has(sc))
+        return unitless ? { type: 'number', value } : { type: 'dimension', value: px(value) }
+    }
+    if (variable.resolvedType === 'BOOLEAN') return { type: 'boolean', value }
+    return { type: 'string', value: String(value ?? '') }
+}
+
+function buildVariableTokenSets({ variables, tokens }) {
+    // One set per collection and mode; paths share the style tokens' namespace, so collisions get -2, -3, ...
+    const allocatePath = createTokenPathAllocator(tokens.map((t) => t.path))
+    const pathById = new Map()
+    const byCollection = new Map()
+    for (const id of usedVariableIds(variables)) {
+        const v = variables.variables.get(id)
+        const styled = tokenPathFromStyleName(v.name)
+        pathById.set(id, allocatePath(styled.length ? styled : ['variable', tokenSegment(id)]))
+
+        const list = byCollection.get(v.variableCollectionId) || []
+        list.push(v)
+        byCollection.set(v.variableCollectionId, list)
+    }
+
+    const sets = []
+    for (const [collectionId, list] of [...byCollection.entries()].sort((a, b) => String(a[0]).localeCompare(String(b[0])))) {
+        const collection = variables.collections.get(collectionId)
+        const modes = variableModes(variables, list[0])
+        const defaultModeId = collection?.defaultModeId ?? modes[0]?.modeId
+        for (const mode of modes) {
+            const setTokens = list.map((v) => {
+                const raw = v.valuesByMode?.[mode.modeId]
+                const { type, value } = variableTokenValue(v, variableModeValue(variables, v, mode.modeId))
+                const ref = raw?.type === 'VARIABLE_ALIAS' ? pathById.get(raw.id) || null : null
+                return { path: pathById.get(v.id), type, value, ref, variableName: v.name, resolvedType: v.resolvedType, scopes: v.scopes || [] }
+            })
+            sets.push({
+                collection: collection?.name ?? collectionId,
+                collectionSlug: sanitizeFileName(collection?.name ?? collectionId),
+                mode: mode.name,
+                modeSlug: sanitizeFileName(mode.name),
+                isDefault: mode.modeId === defaultModeId,
+                tokens: setTokens,
+            })
+        }
+    }
+    return sets
+}
+
+function tokensToDtcg(tokens) {
+    // W3C Design Tokens Community Group format: nested groups, leaves carry $type/$value.
+    const root = {}
+    for (const t of tokens) {
+        let group = root
+        for (const part of t.path.slice(0, -1)) {
+            group[part] = group[part] || {}
+            group = group[part]
+        }
+        // Variable aliases stay references ({color.primary}) so the sets resolve against each other.
+        const leaf = { $type: t.type, $value: t.ref ? `{${t.ref.join('.')}}` : t.value }
+        if (t.styleName) leaf.$description = `Figma style: ${t.styleName}`
+        if (t.variableName) leaf.$description = `Figma variable: ${t.variableName}`
+        group[t.path[t.path.length - 1]] = leaf
+    }
+    return root
+}
+
+function cssShadowValue(v) {
+    return `${v.inset ? 'inset ' : ''}${v.offsetX} ${v.offsetY} ${v.blur} ${v.spread} ${v.color}`
+}
+
+function tokenVarName(t, suffix) {
+    return `--${[...t.path, suffix].filter(Boolean).join('-')}`
+}
+
+function tokensToCss(tokens) {
+    const lines = [':root {']
+    for (const t of tokens) {
+        if (t.type === 'typography') {
+            const v = t.value
+            lines.push(`  ${tokenVarName(t, 'font-family')}: ${JSON.stringify(v.fontFamily ?? '')};`)
+            lines.push(`  ${tokenVarName(t, 'font-size')}: ${v.fontSize};`)
+            if (v.fontWeight != null) lines.push(`  ${tokenVarName(t, 'font-weight')}: ${v.fontWeight};`)
+            if (v.lineHeight != null) lines.push(`  ${tokenVarName(t, 'line-height')}: ${v.lineHeight};`)
+            if (v.letterSpacing != null) lines.push(`  ${tokenVarName(t, 'letter-spacing')}: ${v.letterSpacing};`)
+        } else if (t.type === 'shadow') {
+            lines.push(`  ${tokenVarName(t)}: ${cssShadowValue(t.value)};`)
         } else {
-            lines.push(base)
+            lines.push(`  ${tokenVarName(t)}: ${t.value};`)
         }
     }
-    return lines.length ? lines.join('\n') : 'none'
+    lines.push('}')
+    return `${lines.join('\n')}\n`
 }
 
-function normalizeNode(doc) {
-    // Store the exact document shape as returned (minus geometry), and compute some helpers.
-    const raw = { ...doc }
+function variableSetsToCss(sets) {
+    // Default modes join :root; every other mode overrides under [data-<collection>="<mode>"],
+    // e.g. [data-theme="dark"] for a "Theme" collection.
+    const blocks = []
+    const block = (selector, setTokens) => {
+        const lines = [`${selector} {`]
+        for (const t of setTokens) {
+            const value = t.ref ? `var(--${t.ref.join('-')})` : t.type === 'string' ? JSON.stringify(t.value) : t.value
+            lines.push(`  ${tokenVarName(t)}: ${value};`)
+        }
+        lines.push('}')
+        return lines.join('\n')
+    }
+    const defaults = sets.filter((set) => set.isDefault).flatMap((set) => set.tokens)
+    if (defaults.length) blocks.push(block(':root', defaults))
+    for (const set of sets.filter((x) => !x.isDefault)) blocks.push(block(`[data-${set.collectionSlug}="${set.modeSlug}"]`, set.tokens))
+    return blocks.length ? `\n${blocks.join('\n\n')}\n` : ''
+}
 
-    // Never store vector geometry fields.
-    delete raw.vectorPaths
-    delete raw.vectorNetwork
-    delete raw.vectorData
+function tokensToTailwindTheme(tokens) {
+    // theme.extend fragment; keys drop the group prefix (colors.text-primary -> bg-text-primary).
+    const extend = { colors: {}, fontFamily: {}, fontSize: {}, boxShadow: {}, blur: {}, spacing: {}, borderRadius: {} }
+    // Style and variable keys can still meet (style Color/Primary and variable color/primary), so a
+    // taken key gets -2, -3, ... like the token paths themselves.
+    const put = (section, baseKey, value) => {
+        let k = baseKey
+        for (let n = 2; Object.hasOwn(extend[section], k); n++) k = `${baseKey}-${n}`
+        extend[section][k] = value
+    }
+    for (const t of tokens) {
+        const key = t.path.slice(1).join('-')
+        if (t.variableName) {
+            // Variables go through their CSS custom property so modes switch at runtime; keys keep the full path.
+            const cssVar = `var(${tokenVarName(t)})`
+            if (t.resolvedType === 'COLOR') put('colors', t.path.join('-'), cssVar)
+            else if (t.type === 'dimension' && t.scopes.includes('CORNER_RADIUS')) put('borderRadius', t.path.join('-'), cssVar)
+            else if (t.type === 'dimension') put('spacing', t.path.join('-'), cssVar)
+        } else if (t.type === 'color') put('colors', key, t.value)
+        else if (t.type === 'typography') {
+            const v = t.value
+            const opts = {}
+            if (v.lineHeight != null) opts.lineHeight = String(v.lineHeight)
+            if (v.letterSpacing != null) opts.letterSpacing = v.letterSpacing
+            if (v.fontWeight != null) opts.fontWeight = String(v.fontWeight)
+            put('fontSize', key, [v.fontSize, opts])
+            // One entry per family, shared by every text style using it.
+            if (v.fontFamily) extend.fontFamily[sanitizeFileName(v.fontFamily)] = [v.fontFamily]
+        } else if (t.type === 'shadow') put('boxShadow', key, cssShadowValue(t.value))
+        else if (t.group === 'blur') put('blur', key, t.value)
+    }
+    for (const k of Object.keys(extend)) if (Object.keys(extend[k]).length === 0) delete extend[k]
 
-    const childIds = Array.isArray(doc.children) ? doc.children.filter(isVisibleNode).map((c) => c.id).filter(Boolean) : []
+    return [
+        '// Generated by figma-node-report.mjs. Spread into tailwind.config: theme: { extend: require(\'./tailwind.theme.cjs\') }',
+        `module.exports = ${JSON.stringify(extend, null, 2)}`,
+        '',
+    ].join('\n')
+}
 
-    const knownKeys = [
-        'id',
-        'name',
-        'type',
-        'visible',
-        'locked',
-        'opacity',
-        'blendMode',
-        'isMask',
-        'maskType',
-        'clipsContent',
-        'layoutMode',
-        'layoutWrap',
-        'primaryAxisSizingMode',
-        'counterAxisSizingMode',
-        'primaryAxisAlignItems',
-        'counterAxisAlignItems',
-        'primaryAxisAlignContent',
-        'counterAxisAlignContent',
-        'itemSpacing',
-        'paddingTop',
-        'paddingRight',
-        'paddingBottom',
-        'paddingLeft',
-        'layoutPositioning',
-        'constraints',
-        'absoluteBoundingBox',
-        'absoluteRenderBounds',
-        'size',
-        'relativeTransform',
-        'rotation',
-        'cornerRadius',
-        'rectangleCornerRadii',
-        'fills',
-        'strokes',
-        'strokeWeight',
-        'strokeAlign',
-        'strokeCap',
-        'strokeJoin',
-        'strokeDashes',
-        'effects',
-        'styles',
-        'characters',
-        'style',
-        'characterStyleOverrides',
-        'styleOverrideTable',
-        'componentId',
-        'componentProperties',
-        'variantProperties',
-        'documentationLinks',
-        'reactions',
-        'transitionNodeID',
-        'prototypeStartNodeID',
-        'exportSettings',
-    ]
+async function writeDesignTokens({ outDirAbs, formats, inventories, styles, variables = null }) {
+    const tokenDirAbs = path.join(outDirAbs, 'tokens')
+    await fs.mkdir(tokenDirAbs, { recursive: true })
+
+    const tokens = buildDesignTokens({ inventories, styles })
+    const variableSets = variables ? buildVariableTokenSets({ variables, tokens }) : []
+    const written = []
+
+    if (formats.has('dtcg')) {
+        await fs.writeFile(path.join(tokenDirAbs, 'tokens.json'), `${JSON.stringify(tokensToDtcg(tokens), null, 2)}\n`, 'utf8')
+        written.push('tokens.json')
+        // Variables: one token set per collection and mode (tokens.theme.light.json, tokens.theme.dark.json).
+        for (const set of variableSets) {
+            const file = `tokens.${set.collectionSlug}.${set.modeSlug}.json`
+            await fs.writeFile(path.join(tokenDirAbs, file), `${JSON.stringify(tokensToDtcg(set.tokens), null, 2)}\n`, 'utf8')
+            written.push(file)
+        }
+    }
+    if (formats.has('css')) {
+        await fs.writeFile(path.join(tokenDirAbs, 'tokens.css'), tokensToCss(tokens) + variableSetsToCss(variableSets), 'utf8')
+        written.push('tokens.css')
+    }
+    if (formats.has('tailwind')) {
+        const defaults = variableSets.filter((set) => set.isDefault).flatMap((set) => set.tokens)
+        await fs.writeFile(path.join(tokenDirAbs, 'tailwind.theme.cjs'), tokensToTailwindTheme([...tokens, ...defaults]), 'utf8')
+        written.push('tailwind.theme.cjs')
+    }
+
+    return written
+}
+
+function createReportState() {
+    // Shared by every target of a run, so inventories and style lookups span all of them.
+    return {
+        inventories: {
+            typography: new Map(),
+            colors: new Map(),
+            effects: new Map(),
+        },
+        styleMeta: new Map(),
+        styleLookup: { publishedStylesTried: false },
+        componentMeta: { components: new Map(), componentSets: new Map(), definitions: new Map() },
+        variables: { tried: false, used: new Set(), variables: new Map(), collections: new Map() },
+        prototype: { destinations: new Map() },
+        crawlStats: createCrawlStats(),
+        // Overlapping targets (a frame and one of its descendants) share nodes; inventories count each once.
+        inventoriedIds: new Set(),
+    }
+}
+
+function collectNewInventories(nodeMap, state) {
+    for (const node of nodeMap.values()) {
+        if (state.inventoriedIds.has(node.id)) continue
+        state.inventoriedIds.add(node.id)
+        collectInventories(node, state.inventories)
+    }
+}
+
+async function collectReport({
+    token,
+    fileKey,
+    nodeId,
+    batchSize,
+    concurrency,
+    depth = 'auto',
+    verbose,
+    cache,
+    scheduler,
+    twScale,
+    state = createReportState(),
+    rootEntry = null,
+    catalogue = false,
+}) {
+    log(verbose, `File key: ${fileKey}`)
+    log(verbose, `Root node: ${nodeId}`)
+
+    // Fetch root (depth=1) so we can determine top-level children (split points),
+    // unless the caller already has it.
+    if (!rootEntry) {
+        const rootData = await fetchNodes({ token, fileKey, ids: [nodeId], depth: 1, verbose, cache, scheduler })
+        rootEntry = rootData?.nodes?.[nodeId]
+    }
+    if (!rootEntry?.document) throw new Error(`Root node not found: ${nodeId}`)
+
+    const rootDoc = rootEntry.document
+    if (!isVisibleNode(rootDoc)) throw new Error('Root node is not visible; nothing to analyze.')
+
+    const rootNorm = normalizeNode(rootDoc, { twScale })
+
+    // A component (set) target is catalogued as a whole rather than split into its variants.
+    const topLevelChildren = catalogue && CATALOGUE_NODE_TYPES.has(rootNorm.type) ? [rootNorm.id] : rootNorm.childIds
+    if (topLevelChildren.length === 0) {
+        // Degenerate case: the node has no children, still produce one section.
+        topLevelChildren.push(rootNorm.id)
+    }
+
+    const { inventories, styleMeta, styleLookup, componentMeta, variables } = state
+    const sections = []
+
+    // Crawl each top-level child as its own section
+    for (let i = 0; i < topLevelChildren.length; i++) {
+        const childId = topLevelChildren[i]
 
-    const known = pick(raw, knownKeys)
-    const other = omit(raw, new Set([...knownKeys, 'children']))
+        // Need the child name/type for filename; fetch it if it wasn't included.
+        let childDoc = childId === rootDoc.id ? rootDoc : null
+        const shallow = rootDoc.children?.find((c) => c?.id === childId)
+        if (shallow && isVisibleNode(shallow)) childDoc = shallow
 
-    const tw = inferTw(known)
+        if (!childDoc) {
+            const d = await fetchNodes({ token, fileKey, ids: [childId], depth: 1, verbose, cache, scheduler })
+            const e = d?.nodes?.[childId]
+            if (!e?.document) continue
+            if (!isVisibleNode(e.document)) continue
+            childDoc = e.document
+        }
 
-    return {
-        id: doc.id,
-        name: doc.name,
-        type: doc.type,
-        childIds,
-        known,
-        other,
-        tw,
-    }
-}
+        const sectionName = childDoc?.name || `section-${i + 1}`
+        const safe = sanitizeFileName(sectionName)
+        const safeId = sanitizeFileName(childId.replace(':', '-'))
+        const sectionFileName = `${String(i + 1).padStart(2, '0')}-${safe}-${safeId}.md`
 
-function collectInventories(node, inventories) {
-    // Typography
-    if (node.type === 'TEXT' && node.known?.style) {
-        const s = node.known.style
-        const key = stableStringify({
-            fontFamily: s.fontFamily,
-            fontPostScriptName: s.fontPostScriptName,
-            fontWeight: s.fontWeight,
-            fontSize: s.fontSize,
-            lineHeightPx: s.lineHeightPx,
-            lineHeightPercent: s.lineHeightPercent,
-            lineHeightPercentFontSize: s.lineHeightPercentFontSize,
-            letterSpacing: s.letterSpacing,
-            paragraphSpacing: s.paragraphSpacing,
-            textCase: s.textCase,
-            textDecoration: s.textDecoration,
+        log(verbose, `Crawling section ${i + 1}/${topLevelChildren.length}: ${sectionName} (${childId})`)
+
+        const { nodeMap, styles, components, componentSets } = await crawlSubtree({
+            token,
+            fileKey,
+            rootId: childId,
+            batchSize,
+            concurrency,
+            verbose,
+            cache,
+            scheduler,
+            twScale,
+            depth,
+            stats: state.crawlStats,
         })
-        inventories.typography.set(key, (inventories.typography.get(key) || 0) + 1)
-    }
 
-    // Colors: fills + strokes (SOLID only)
-    for (const arr of [node.known?.fills, node.known?.strokes]) {
-        if (!Array.isArray(arr)) continue
-        for (const p of arr) {
-            if (!p || p.visible === false) continue
-            if (p.type !== 'SOLID' || !p.color) continue
-            const hex = hexFromColor(p.color)
-            if (!hex) continue
-            inventories.colors.set(hex, (inventories.colors.get(hex) || 0) + 1)
+        for (const [styleId, meta] of styles) styleMeta.set(styleId, meta)
+        for (const [id, meta] of components) componentMeta.components.set(id, meta)
+        for (const [id, meta] of componentSets) componentMeta.componentSets.set(id, meta)
+
+        if (catalogue) {
+            // One section per component (set) found in the child; everything else is left out.
+            for (const entryId of catalogueRootIds(nodeMap, childId)) {
+                const entryMap = subtreeNodeMap(nodeMap, entryId)
+                const entryName = entryMap.get(entryId).name || `component-${sections.length + 1}`
+                const idx = sections.length + 1
+                collectNewInventories(entryMap, state)
+                await resolveMissingStyles({ token, fileKey, nodeMap: entryMap, styleMeta, verbose, cache, scheduler, state: styleLookup })
+                await resolveComponentDefinitions({ token, fileKey, nodeMap: entryMap, componentMeta, batchSize, verbose, cache, scheduler })
+                await resolveVariables({ token, fileKey, nodeMap: entryMap, variables, verbose, cache, scheduler })
+
+                sections.push({
+                    idx,
+                    name: entryName,
+                    id: entryId,
+                    target: rootNorm.id,
+                    fileName: `${String(idx).padStart(2, '0')}-${sanitizeFileName(entryName)}-${sanitizeFileName(entryId.replace(':', '-'))}.md`,
+                    file: null,
+                    nodeCount: entryMap.size,
+                    nodeMap: entryMap,
+                    catalogue: true,
+                })
+            }
+            continue
         }
+
+        // Collect inventories
+        collectNewInventories(nodeMap, state)
+        await resolveMissingStyles({ token, fileKey, nodeMap, styleMeta, verbose, cache, scheduler, state: styleLookup })
+        await resolveComponentDefinitions({ token, fileKey, nodeMap, componentMeta, batchSize, verbose, cache, scheduler })
+        await resolveVariables({ token, fileKey, nodeMap, variables, verbose, cache, scheduler })
+
+        sections.push({
+            idx: i + 1,
+            name: sectionName,
+            id: childId,
+            target: rootNorm.id,
+            fileName: sectionFileName,
+            file: null,
+            nodeCount: nodeMap.size,
+            nodeMap,
+        })
     }
 
-    // Effects
-    if (Array.isArray(node.known?.effects)) {
-        for (const e of node.known.effects) {
-            if (!e || e.visible === false) continue
-            const key = stableStringify({
-                type: e.type,
-                radius: e.radius,
-                spread: e.spread,
-                offset: e.offset,
-                color: e.color,
-                blendMode: e.blendMode,
-                showShadowBehindNode: e.showShadowBehindNode,
-            })
-            inventories.effects.set(key, (inventories.effects.get(key) || 0) + 1)
-        }
+    return { rootNorm, sections, inventories, styleMeta }
+}
+
+async function writeSectionMarkdown({
+    sectionDirAbs,
+    outDirAbs,
+    section,
+    fileKey,
+    nodeLink,
+    styleMeta,
+    variables,
+    componentMeta,
+    prototype,
+    collapseInstances,
+    hints,
+    assets,
+}) {
+    const { nodeMap, id: rootId, name: sectionName } = section
+
+    const treeLines = buildTreeLines({ nodeMap, rootId, componentMeta, collapseInstances, nodeLink })
+    const sectionHeader = [
+        `# Section: ${sectionName}`,
+        '',
+        `- File key: ${fileKey}`,
+        `- Root node id: ${markdownNodeLink(nodeMap.get(rootId), nodeLink, rootId)}`,
+        '',
+        ...(section.catalogue ? catalogueMarkdown(catalogueEntry({ nodeMap, rootId, componentMeta }), componentMeta) : []),
+        '## Layer Tree (Visible Only)',
+        '',
+        ...treeLines,
+        '',
+        ...findingsMarkdown({ title: 'Accessibility Findings', findings: section.a11y || [], empty: 'none' }),
+        ...(section.lint ? findingsMarkdown({ title: 'Lint Findings', findings: section.lint, empty: 'none' }) : []),
+        '## Detailed Spec (Visible Only)',
+        '',
+    ].join('\n')
+
+    // Asset paths are relative to the out dir; section files live one or more levels below it.
+    const assetHref = (file) => path.relative(sectionDirAbs, path.join(outDirAbs, file)).replace(/\\/g, '/')
+    const detailMd = buildNodeDetailMarkdown({
+        nodeMap,
+        rootId,
+        fileKey,
+        styleMeta,
+        variables,
+        componentMeta,
+        prototype,
+        collapseInstances,
+        hints,
+        semantics: section.semantics,
+        assets,
+        assetHref,
+        nodeLink,
+    })
+    await fs.writeFile(path.join(sectionDirAbs, section.fileName), sectionHeader + detailMd, 'utf8')
+}
+
+const MANIFEST_FILE = 'figma-node-report.manifest.json'
+const MANIFEST_VERSION = 1
+
+function sha1(text) {
+    return crypto.createHash('sha1').update(text).digest('hex')
+}
+
+async function fileExists(absPath) {
+    return Boolean(await fs.stat(absPath).catch(() => null))
+}
+
+async function readManifest(outDirAbs) {
+    try {
+        const manifest = JSON.parse(await fs.readFile(path.join(outDirAbs, MANIFEST_FILE), 'utf8'))
+        return manifest?.manifestVersion === MANIFEST_VERSION ? manifest : null
+    } catch {
+        return null
     }
 }
 
-async function mapLimit(items, limit, fn) {
-    const results = new Array(items.length)
-    let idx = 0
+async function reportOptionsHash({ args, nodeIds, twScale, lint, hints, semantics }) {
+    // Everything besides the Figma content that shapes the output, including this script itself,
+    // so upgrading the tool or changing flags regenerates the report.
+    const tool = sha1(await fs.readFile(new URL(import.meta.url)))
+    return sha1(
+        stableStringify({
+            tool,
+            nodeIds,
+            format: args.format,
+            sectionDir: args.sectionDir,
+            emit: args.emit,
+            tokens: args.tokens ? [...args.tokens].sort() : null,
+            twScale,
+            assets: args.assets,
+            minFontSize: args.minFontSize,
+            lint: lint?.hash ?? null,
+            hints: hints.hash,
+            semantics: semantics.hash,
+            collapseInstances: args.collapseInstances,
+            catalogue: args.catalogue,
+        }),
+    )
+}
 
-    async function worker() {
-        while (idx < items.length) {
-            const current = idx++
-            results[current] = await fn(items[current], current)
+function sectionHash({ section, fileKey, styleMeta, variables, componentMeta, prototype, assets }) {
+    // Covers what the section file renders: its nodes, the style, variable, component and prototype
+    // destination metadata they reference and their assets.
+    const nodes = nodesInTreeOrder({ nodeMap: section.nodeMap, rootId: section.id }).map((n) => ({
+        id: n.id,
+        name: n.name,
+        type: n.type,
+        childIds: n.childIds,
+        known: n.known,
+        other: n.other,
+        tw: n.tw,
+        twOffScale: n.twOffScale,
+    }))
+    const styles = [...referencedStyleIds(section.nodeMap)].sort().map((id) => [id, styleMeta.get(id)?.name ?? null])
+    const components = [...new Set([...section.nodeMap.values()].map((n) => n.known?.componentId).filter(Boolean))].sort().map((id) => {
+        const component = componentMeta.components.get(id) || null
+        const setId = component?.componentSetId
+        return [id, component, setId ? componentMeta.componentSets.get(setId) : null, componentMeta.definitions.get(componentDefinitionId(componentMeta, id)) ?? null]
+    })
+    const boundIds = new Set([...section.nodeMap.values()].flatMap((n) => boundVariableRefs(n).map((ref) => ref.id)))
+    const boundVariables = [...boundIds].sort().map((id) => [id, variableLabel(variables, id)])
+    const destinationIds = new Set([...section.nodeMap.values()].flatMap((n) => nodeInteractions(n).map((i) => i.destinationId)).filter(Boolean))
+    const destinations = [...destinationIds].sort().map((id) => [id, prototype.destinations.get(id) ?? null])
+    const imageRefs = new Set(collectAssetRequests([section]).imageRefs)
+    const sectionAssets = assetEntries(assets).filter((a) => section.nodeMap.has(a.nodeId) || imageRefs.has(a.imageRef))
+    const entry = section.catalogue ? catalogueEntry({ nodeMap: section.nodeMap, rootId: section.id, componentMeta }) : null
+    return sha1(
+        stableStringify({
+            fileKey,
+            file: section.file,
+            nodes,
+            styles,
+            boundVariables,
+            components,
+            destinations,
+            entry,
+            // Heading levels and landmarks depend on the other sections too, like lint findings.
+            semantics: section.semantics ? [...section.semantics] : null,
+            // Lint rules can compare across sections (near-duplicate colors), so findings count separately.
+            findings: [...(section.a11y || []), ...(section.lint || [])],
+            assets: sectionAssets,
+        }),
+    )
+}
+
+async function manifestUpToDate({ manifest, outDirAbs, fileKey, fileVersion, optionsHash }) {
+    if (!manifest || !fileVersion.version) return false
+    if (manifest.fileKey !== fileKey || manifest.version !== fileVersion.version || manifest.optionsHash !== optionsHash) return false
+    for (const file of manifest.files || []) if (!(await fileExists(path.join(outDirAbs, file)))) return false
+    return true
+}
+
+async function removeStaleFiles({ outDirAbs, previousFiles, currentFiles, verbose }) {
+    const keep = new Set(currentFiles)
+    const removed = []
+    for (const file of previousFiles) {
+        if (keep.has(file)) continue
+        const abs = path.join(outDirAbs, file)
+        if (!abs.startsWith(outDirAbs + path.sep)) continue
+        await fs.rm(abs, { force: true })
+        removed.push(file)
+        log(verbose, `Removed stale ${file}`)
+
+        // Drop directories the removal left empty (e.g. a target's sections dir), up to the out dir.
+        for (let dir = path.dirname(abs); dir !== outDirAbs && dir.startsWith(outDirAbs); dir = path.dirname(dir)) {
+            const ok = await fs.rmdir(dir).then(() => true, () => false)
+            if (!ok) break
         }
     }
+    return removed
+}
 
-    const workers = []
-    for (let i = 0; i < Math.min(limit, items.length); i++) workers.push(worker())
-    await Promise.all(workers)
-    return results
+function sniffAssetExt(buf) {
+    // Image fills come back without a reliable extension; name them by their bytes.
+    const b = buf.subarray(0, 12)
+    if (b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47) return 'png'
+    if (b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) return 'jpg'
+    if (b.toString('ascii', 0, 4) === 'GIF8') return 'gif'
+    if (b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP') return 'webp'
+    if (b.toString('ascii', 0, 4) === '%PDF') return 'pdf'
+    const head = buf.subarray(0, 256).toString('utf8').trimStart()
+    if (head.startsWith('<svg') || head.startsWith('<?xml')) return 'svg'
+    return 'bin'
 }
 
-async function crawlSubtree({ token, fileKey, rootId, batchSize, concurrency, verbose }) {
-    const nodeMap = new Map()
-    const toExpand = []
-    const queued = new Set()
+async function downloadAsset({ url, key, verbose, cache, scheduler }) {
+    // Rendered/image-fill URLs are short-lived S3 links, so recordings key the bytes by asset name.
+    const cached = cache ? path.join(cache.dir, 'assets', key) : null
+    if (cache?.mode === 'replay') {
+        try {
+            return await fs.readFile(cached)
+        } catch {
+            throw new Error(`No recorded asset for ${key}\nExpected: ${cached}\nRe-record with --record ${cache.dir} --assets`)
+        }
+    }
 
-    function enqueue(id) {
-        if (!id) return
-        if (nodeMap.has(id)) return
-        if (queued.has(id)) return
-        queued.add(id)
-        toExpand.push(id)
+    // Short-lived S3 links: no token, but the same budget, timeout and retries as the API calls.
+    log(verbose, `Downloading ${key}`)
+    const buf = Buffer.from(await scheduledFetch({ url, label: 'Asset download', read: (res) => res.arrayBuffer(), verbose, scheduler }))
+
+    if (cache?.mode === 'record') {
+        await fs.mkdir(path.dirname(cached), { recursive: true })
+        await fs.writeFile(cached, buf)
     }
+    return buf
+}
 
-    enqueue(rootId)
+function parentIdMap(nodeMap) {
+    const parents = new Map()
+    for (const n of nodeMap.values()) for (const childId of n.childIds) parents.set(childId, n.id)
+    return parents
+}
 
-    let fetchedCount = 0
-    let requestCount = 0
+function exportScale(setting, node) {
+    const c = setting?.constraint
+    const bb = node.known?.absoluteBoundingBox
+    let scale = 1
+    if (c?.type === 'SCALE' && Number.isFinite(c.value)) scale = c.value
+    else if (c?.type === 'WIDTH' && bb?.width) scale = c.value / bb.width
+    else if (c?.type === 'HEIGHT' && bb?.height) scale = c.value / bb.height
+    // /images accepts 0.01..4
+    return Math.min(4, Math.max(0.01, Math.round(scale * 1000) / 1000))
+}
 
-    while (toExpand.length > 0) {
-        const batch = []
-        while (batch.length < batchSize && toExpand.length > 0) batch.push(toExpand.shift())
+function renderAssetName(node, format, scale, suffix = '') {
+    const base = `${sanitizeFileName(node.name)}-${sanitizeFileName(node.id.replace(/:/g, '-'))}`
+    const scaleTag = scale === 1 ? '' : `@${scale}x`
+    return `${base}${sanitizeFileName(suffix) === 'unnamed' ? '' : `-${sanitizeFileName(suffix)}`}${scaleTag}.${format}`
+}
 
-        const batches = [batch]
+function collectAssetRequests(sections) {
+    // Renders: the outermost vector-like node of each vector group (as SVG), plus every export
+    // setting designers configured. Image fills: every IMAGE paint's imageRef. Renders are keyed by
+    // node and kind, not file: a suffix-less SVG export of a vector names the same file as its vector
+    // render, and both entries must survive so the section still shows the exported SVG.
+    const renders = new Map()
+    const imageRefs = new Set()
+
+    for (const s of sections) {
+        const parents = parentIdMap(s.nodeMap)
+        for (const n of s.nodeMap.values()) {
+            const parent = s.nodeMap.get(parents.get(n.id))
+            if (isVectorLikeType(n.type) && !(parent && isVectorLikeType(parent.type))) {
+                const file = renderAssetName(n, 'svg', 1)
+                renders.set(`${n.id} vector`, { nodeId: n.id, format: 'svg', scale: 1, file, source: 'vector' })
+            }
 
-        // If the queue is huge, pre-split into a few batches and fetch concurrently.
-        while (toExpand.length > 0 && batches.length < concurrency) {
-            const b = []
-            while (b.length < batchSize && toExpand.length > 0) b.push(toExpand.shift())
-            if (b.length) batches.push(b)
+            for (const setting of n.known?.exportSettings || []) {
+                const format = String(setting?.format || 'PNG').toLowerCase()
+                if (!['png', 'jpg', 'svg', 'pdf'].includes(format)) continue
+                const scale = format === 'svg' || format === 'pdf' ? 1 : exportScale(setting, n)
+                const file = renderAssetName(n, format, scale, setting.suffix)
+                renders.set(`${n.id} exportSettings ${file}`, { nodeId: n.id, format, scale, file, source: 'exportSettings' })
+            }
+
+            for (const p of n.known?.fills || []) {
+                if (p?.type === 'IMAGE' && p.imageRef && p.visible !== false) imageRefs.add(p.imageRef)
+            }
         }
+    }
 
-        await mapLimit(batches, concurrency, async (ids) => {
-            requestCount++
-            log(verbose, `Fetching ${ids.length} nodes (req=${requestCount})`)
-            const data = await fetchNodes({ token, fileKey, ids, depth: 1, verbose })
+    return { renders: [...renders.values()], imageRefs: [...imageRefs].sort() }
+}
 
-            const nodes = data?.nodes || {}
-            for (const id of ids) {
-                const entry = nodes[id]
-                if (!entry || !entry.document) continue
-                const doc = entry.document
-                if (!isVisibleNode(doc)) continue
+async function exportAssets({ token, fileKey, sections, outDirAbs, batchSize, concurrency, verbose, cache, scheduler }) {
+    const assetDirAbs = path.join(outDirAbs, 'assets')
+    await fs.mkdir(assetDirAbs, { recursive: true })
+
+    const { renders, imageRefs } = collectAssetRequests(sections)
+    const byNodeId = new Map()
+    const byImageRef = new Map()
+    const missing = []
+
+    // /images takes one format+scale per request.
+    const groups = new Map()
+    for (const r of renders) {
+        const k = `${r.format}@${r.scale}`
+        if (!groups.has(k)) groups.set(k, [])
+        groups.get(k).push(r)
+    }
+    const batches = []
+    for (const group of groups.values()) {
+        for (let i = 0; i < group.length; i += batchSize) batches.push(group.slice(i, i + batchSize))
+    }
 
-                const norm = normalizeNode(doc)
-                nodeMap.set(norm.id, norm)
-                fetchedCount++
+    const renderUrls = new Map()
+    await mapLimit(batches, concurrency, async (batch) => {
+        const { format, scale } = batch[0]
+        const ids = [...new Set(batch.map((r) => r.nodeId))]
+        const data = await fetchImageRenders({ token, fileKey, ids, format, scale, verbose, cache, scheduler })
+        for (const r of batch) renderUrls.set(r.file, data?.images?.[r.nodeId] || null)
+    })
+
+    let fillUrls = {}
+    if (imageRefs.length) {
+        const data = await fetchImageFills({ token, fileKey, verbose, cache, scheduler })
+        fillUrls = data?.meta?.images || {}
+    }
 
-                for (const childId of norm.childIds) enqueue(childId)
-            }
-        })
+    // One download per file; every render entry naming it is listed under its node.
+    const byFile = new Map()
+    for (const r of renders) {
+        if (!byFile.has(r.file)) byFile.set(r.file, [])
+        byFile.get(r.file).push(r)
     }
+    await mapLimit([...byFile.entries()], concurrency, async ([file, entries]) => {
+        const { nodeId } = entries[0]
+        const url = renderUrls.get(file)
+        if (!url && cache?.mode !== 'replay') {
+            missing.push(`${file} (Figma returned no render for ${nodeId})`)
+            return
+        }
+        let buf
+        try {
+            buf = await downloadAsset({ url, key: file, verbose, cache, scheduler })
+        } catch (err) {
+            missing.push(`${file} (${String(err?.message || err).split('\n')[0]})`)
+            return
+        }
+        await fs.writeFile(path.join(assetDirAbs, file), buf)
+        for (const r of entries) {
+            if (!byNodeId.has(r.nodeId)) byNodeId.set(r.nodeId, [])
+            byNodeId.get(r.nodeId).push({ ...r, file: `assets/${file}` })
+        }
+    })
 
-    return { nodeMap }
-}
+    await mapLimit(imageRefs, concurrency, async (ref) => {
+        const url = fillUrls[ref]
+        if (!url && cache?.mode !== 'replay') {
+            missing.push(`image fill ${ref} (not listed by /files/:key/images)`)
+            return
+        }
+        let buf
+        try {
+            buf = await downloadAsset({ url, key: `image-${ref}`, verbose, cache, scheduler })
+        } catch (err) {
+            missing.push(`image fill ${ref} (${String(err?.message || err).split('\n')[0]})`)
+            return
+        }
+        const file = `image-${sanitizeFileName(ref)}.${sniffAssetExt(buf)}`
+        await fs.writeFile(path.join(assetDirAbs, file), buf)
+        byImageRef.set(ref, `assets/${file}`)
+    })
 
-function buildTreeLines({ nodeMap, rootId }) {
-    const lines = []
+    for (const list of byNodeId.values()) list.sort((a, b) => a.file.localeCompare(b.file))
+    return { byNodeId, byImageRef, missing: missing.sort() }
+}
 
-    function walk(id, depth) {
-        const n = nodeMap.get(id)
-        if (!n) return
+function assetEntries(assets) {
+    if (!assets) return []
+    const out = []
+    for (const list of assets.byNodeId.values()) {
+        for (const a of list) out.push({ nodeId: a.nodeId, imageRef: null, source: a.source, format: a.format, scale: a.scale, file: a.file })
+    }
+    for (const [ref, file] of assets.byImageRef) {
+        out.push({ nodeId: null, imageRef: ref, source: 'imageFill', format: path.extname(file).slice(1), scale: 1, file })
+    }
+    return out.sort((a, b) => a.file.localeCompare(b.file))
+}
 
-        const indent = '  '.repeat(depth)
-        const bb = bboxSummary(n.known?.absoluteBoundingBox)
-        const layoutBits = []
-        if (n.known?.layoutMode === 'HORIZONTAL') layoutBits.push('auto-layout horizontal')
-        if (n.known?.layoutMode === 'VERTICAL') layoutBits.push('auto-layout vertical')
-        if (Number.isFinite(n.known?.itemSpacing)) layoutBits.push(`gap=${n.known.itemSpacing}`)
-        const meta = [bb, layoutBits.length ? layoutBits.join(' ') : null].filter(Boolean).join(' | ')
+function twScaleFitMarkdown({ twScale, sections }) {
+    const counts = new Map()
+    let nodeCount = 0
+    let offScaleNodes = 0
+    for (const s of sections) {
+        for (const n of s.nodeMap.values()) {
+            nodeCount++
+            if (!n.twOffScale?.length) continue
+            offScaleNodes++
+            for (const cls of n.twOffScale) counts.set(cls, (counts.get(cls) || 0) + 1)
+        }
+    }
 
-        lines.push(`${indent}${n.type} "${n.name ?? 'Unnamed'}" (id: ${n.id})${meta ? ` — ${meta}` : ''}`)
+    const out = []
+    out.push('## Tailwind Theme Fit')
+    out.push('')
+    out.push(`- Theme: ${twScale.label}`)
+    out.push(`- Tolerance: ${twScale.tolerance}px`)
+    out.push(`- Nodes with off-scale values: ${offScaleNodes} of ${nodeCount}`)
+    out.push('')
+    if (counts.size) {
+        out.push('| Off-scale class | Uses |')
+        out.push('| --- | ---: |')
+        for (const [cls, count] of [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))) {
+            out.push(`| \`${cls}\` | ${count} |`)
+        }
+        out.push('')
+    }
+    return out.join('\n')
+}
 
-        for (const childId of n.childIds) walk(childId, depth + 1)
+function targetIndexLines({ rootNorm, sections }, heading, { catalogue = false, componentMeta = null, nodeLink = null } = {}) {
+    const out = []
+    out.push(catalogue ? `${heading} Component Catalogue` : `${heading} Root Split (Top-Level Children)`)
+    out.push('')
+    if (sections.length === 0) {
+        out.push(catalogue ? '- No visible components or component sets under this target.' : '- No visible sections produced (unexpected).')
+    } else if (catalogue) {
+        for (const s of sections) {
+            const entry = catalogueEntry({ nodeMap: s.nodeMap, rootId: s.id, componentMeta })
+            const kind = entry.kind === 'COMPONENT_SET' ? `component set, variants: ${entry.variants.length}` : 'component'
+            out.push(`- ${String(s.idx).padStart(2, '0')}. ${s.name} (${kind}, properties: ${entry.properties.length}, id: ${markdownNodeLink(s, nodeLink, s.id)}) -> ${s.file}`)
+        }
+    } else {
+        for (const s of sections) {
+            out.push(`- ${String(s.idx).padStart(2, '0')}. ${s.name} (id: ${markdownNodeLink(s, nodeLink, s.id)}, nodes: ${s.nodeCount}) -> ${s.file}`)
+        }
     }
+    out.push('')
 
-    walk(rootId, 0)
-    return lines
+    out.push(`${heading} Root Node (Depth=1 Snapshot)`)
+    out.push('')
+    out.push('```json')
+    out.push(stableStringify(rootSnapshot(rootNorm)))
+    out.push('```')
+    out.push('')
+    return out
 }
 
-function buildNodeDetailMarkdown({ nodeMap, rootId, fileKey }) {
-    const parts = []
+function rootSummaryLines(rootNorm, nodeLink = null) {
+    const out = []
+    out.push(`- Root node id: ${markdownNodeLink(rootNorm, nodeLink, rootNorm.id)}`)
+    out.push(`- Root node name: ${rootNorm.name ?? 'Unnamed'}`)
+    out.push(`- Root node type: ${rootNorm.type}`)
+    if (rootNorm.known?.absoluteBoundingBox) out.push(`- Root bounds: ${bboxSummary(rootNorm.known.absoluteBoundingBox) || ''}`)
+    return out
+}
 
-    function walk(id, pathParts) {
-        const n = nodeMap.get(id)
-        if (!n) return
+function buildIndexMarkdown({
+    generatedAt,
+    fileKey,
+    targets,
+    inventories,
+    styleMeta,
+    variables = null,
+    assets,
+    twScale,
+    catalogue = false,
+    componentMeta = null,
+    prototype = null,
+    hints = HINT_GENERATORS[0],
+    nodeLink = null,
+}) {
+    const multi = targets.length > 1
+    const sections = targets.flatMap((t) => t.sections)
 
-        const currentPathParts = [...pathParts, `${n.name ?? 'Unnamed'} (${n.type})`]
-        const nodePath = currentPathParts.join(' > ')
+    const indexParts = []
+    indexParts.push(`# Figma Node Report`)
+    indexParts.push('')
+    indexParts.push(`- Generated: ${generatedAt}`)
+    indexParts.push(`- File key: ${fileKey}`)
+    if (multi) indexParts.push(`- Targets: ${targets.length}`)
+    else indexParts.push(...rootSummaryLines(targets[0].rootNorm, nodeLink))
+    indexParts.push('')
 
-        parts.push(`## ${nodeTitle(n)} (id: ${n.id})`)
-        parts.push('')
-        parts.push(`- Path: ${nodePath}`)
-        parts.push(`- File key: ${fileKey}`)
+    indexParts.push('## What This Report Contains')
+    indexParts.push('')
+    indexParts.push('- Visible nodes only (`visible=false` skipped entirely)')
+    indexParts.push('- No vector path/network geometry (placeholder only)')
+    indexParts.push('- Instances described as-resolved (subtree content as returned by API)')
+    const perSection = catalogue ? 'component set or standalone component (variant axes, properties, props interface)' : 'top-level child'
+    if (multi) {
+        indexParts.push(`- One sub-report directory per target node, each with one section file per ${perSection}`)
+        indexParts.push('- Inventories below are shared across all targets')
+    } else {
+        indexParts.push(`- One section file per ${perSection} of the target node`)
+    }
+    if (assets) indexParts.push(`- Exported assets: ${assetEntries(assets).length} file(s) in \`assets/\` (linked from section files)`)
+    indexParts.push('')
 
-        if (n.type === 'INSTANCE') {
-            parts.push(`- Instance: true${n.known?.componentId ? ` (componentId: ${n.known.componentId})` : ''}`)
+    if (multi) {
+        indexParts.push('## Targets')
+        indexParts.push('')
+        for (const t of targets) {
+            const nodeCount = t.sections.reduce((sum, s) => sum + s.nodeCount, 0)
+            indexParts.push(
+                `- ${String(t.idx).padStart(2, '0')}. ${t.rootNorm.name ?? 'Unnamed'} (id: ${t.rootNorm.id}, type: ${t.rootNorm.type}, sections: ${t.sections.length}, nodes: ${nodeCount}) -> ${t.dir}/`,
+            )
         }
+        indexParts.push('')
+
+        for (const t of targets) {
+            indexParts.push(`## Target ${String(t.idx).padStart(2, '0')}: ${t.rootNorm.name ?? 'Unnamed'}`)
+            indexParts.push('')
+            indexParts.push(...rootSummaryLines(t.rootNorm, nodeLink))
+            indexParts.push(`- Directory: ${t.dir}/`)
+            indexParts.push('')
+            indexParts.push(...targetIndexLines(t, '###', { catalogue, componentMeta, nodeLink }))
+        }
+    } else {
+        indexParts.push(...targetIndexLines(targets[0], '##', { catalogue, componentMeta, nodeLink }))
+    }
 
-        const bb = n.known?.absoluteBoundingBox
-        if (bb) parts.push(`- Bounds: ${bboxSummary(bb) || stableStringify(bb)}`)
+    const flowMd = prototype ? prototypeFlowMarkdown({ targets, prototype, nodeLink }) : null
+    if (flowMd) indexParts.push(flowMd)
 
-        if (Number.isFinite(n.known?.rotation)) parts.push(`- Rotation: ${n.known.rotation}`)
-        if (Number.isFinite(n.known?.opacity)) parts.push(`- Opacity: ${n.known.opacity}`)
-        if (n.known?.blendMode) parts.push(`- Blend mode: ${n.known.blendMode}`)
+    indexParts.push(findingsSummaryMarkdown({ title: 'Accessibility Findings', sections, key: 'a11y' }))
+    if (sections.some((s) => s.lint)) indexParts.push(findingsSummaryMarkdown({ title: 'Lint Findings', sections, key: 'lint' }))
 
-        // Layout summary
-        const layout = {
-            layoutMode: n.known?.layoutMode,
-            layoutWrap: n.known?.layoutWrap,
-            primaryAxisSizingMode: n.known?.primaryAxisSizingMode,
-            counterAxisSizingMode: n.known?.counterAxisSizingMode,
-            primaryAxisAlignItems: n.known?.primaryAxisAlignItems,
-            counterAxisAlignItems: n.known?.counterAxisAlignItems,
-            itemSpacing: n.known?.itemSpacing,
-            paddingTop: n.known?.paddingTop,
-            paddingRight: n.known?.paddingRight,
-            paddingBottom: n.known?.paddingBottom,
-            paddingLeft: n.known?.paddingLeft,
-            layoutPositioning: n.known?.layoutPositioning,
-            constraints: n.known?.constraints,
-        }
+    indexParts.push(`## Implementation Guidance (${hints.label})`)
+    indexParts.push('')
+    for (const line of hints.guidance) indexParts.push(`- ${line}`)
+    indexParts.push('')
 
-        const layoutJson = stableStringify(layout)
-        parts.push('')
-        parts.push('**Layout / Constraints**')
-        parts.push('')
-        parts.push('```json')
-        parts.push(layoutJson)
-        parts.push('```')
+    if (twScale) indexParts.push(twScaleFitMarkdown({ twScale, sections }))
 
-        // Paint summary
-        parts.push('')
-        parts.push('**Paint / Effects**')
-        parts.push('')
+    indexParts.push(inventoryMarkdown(inventories, styleMeta, nodeLink))
+    const variablesMd = variablesMarkdown(variables)
+    if (variablesMd) indexParts.push(variablesMd)
+    return indexParts.join('\n')
+}
 
-        parts.push('- Fills:')
-        parts.push('```text')
-        parts.push(formatPaintArray(n.known?.fills))
-        parts.push('```')
+const DIFF_CATEGORIES = {
+    meta: ['name', 'type', 'componentId', 'styles'],
+    layout: [
+        'layoutMode',
+        'layoutWrap',
+        'primaryAxisSizingMode',
+        'counterAxisSizingMode',
+        'primaryAxisAlignItems',
+        'counterAxisAlignItems',
+        'itemSpacing',
+        'counterAxisSpacing',
+        'paddingTop',
+        'paddingRight',
+        'paddingBottom',
+        'paddingLeft',
+        'layoutPositioning',
+        'layoutSizingHorizontal',
+        'layoutSizingVertical',
+        'layoutGrow',
+        'layoutAlign',
+        'constraints',
+        'absoluteBoundingBox',
+        'rotation',
+        'clipsContent',
+    ],
+    paint: [
+        'fills',
+        'strokes',
+        'strokeWeight',
+        'individualStrokeWeights',
+        'strokeAlign',
+        'strokeDashes',
+        'opacity',
+        'blendMode',
+        'cornerRadius',
+        'rectangleCornerRadii',
+    ],
+    text: ['characters', 'style', 'characterStyleOverrides', 'styleOverrideTable', 'lineTypes', 'lineIndentations'],
+    effects: ['effects'],
+}
 
-        parts.push('- Strokes:')
-        parts.push('```text')
-        parts.push(formatPaintArray(n.known?.strokes))
-        parts.push('```')
+function parseDiffArgs(argv) {
+    const args = {
+        before: null,
+        after: null,
+        url: null,
+        outDir: 'figma-report',
+        batchSize: 50,
+        concurrency: 3,
+        depth: 'auto',
+        verbose: false,
+    }
 
-        if (Number.isFinite(n.known?.strokeWeight)) parts.push(`- Stroke weight: ${n.known.strokeWeight}`)
-        if (n.known?.strokeAlign) parts.push(`- Stroke align: ${n.known.strokeAlign}`)
+    const positionals = []
+    for (let i = 3; i < argv.length; i++) {
+        const a = argv[i]
+        if (a === '--help' || a === '-h') usage(0)
+        if (a === '--verbose') {
+            args.verbose = true
+            continue
+        }
+        if (a.startsWith('--')) {
+            const key = a.slice(2)
+            const v = argv[i + 1]
+            if (!v || v.startsWith('--')) {
+                // eslint-disable-next-line no-console
+                console.error(`Missing value for --${key}`)
+                usage(1)
+            }
+            i++
+            if (key === 'url') args.url = v
+            else if (key === 'out-dir') args.outDir = v
+            else if (key === 'batch-size') args.batchSize = Number(v)
+            else if (key === 'concurrency') args.concurrency = Number(v)
+            else if (key === 'depth') args.depth = v === 'auto' ? v : Number(v)
+            else {
+                // eslint-disable-next-line no-console
+                console.error(`Unknown flag for diff: --${key}`)
+                usage(1)
+            }
+            continue
+        }
+        positionals.push(a)
+    }
 
-        parts.push('- Effects:')
-        parts.push('```text')
-        parts.push(formatEffects(n.known?.effects))
-        parts.push('```')
+    if (positionals.length !== 2) {
+        // eslint-disable-next-line no-console
+        console.error('diff needs exactly two snapshots: <before> <after> (report JSON files or --record directories)')
+        usage(1)
+    }
+    args.before = positionals[0]
+    args.after = positionals[1]
+    return args
+}
 
-        // Corners
-        if (typeof n.known?.cornerRadius === 'number' || Array.isArray(n.known?.rectangleCornerRadii)) {
-            parts.push('')
-            parts.push('**Corners**')
-            parts.push('')
-            parts.push('```json')
-            parts.push(
-                stableStringify({
-                    cornerRadius: n.known?.cornerRadius,
-                    rectangleCornerRadii: n.known?.rectangleCornerRadii,
-                }),
+async function loadDiffSnapshot({ source, url, batchSize, concurrency, depth, verbose }) {
+    const abs = path.resolve(process.cwd(), source)
+    const stat = await fs.stat(abs).catch(() => null)
+    if (!stat) throw new Error(`Snapshot not found: ${abs}`)
+
+    if (stat.isFile()) {
+        const report = JSON.parse(await fs.readFile(abs, 'utf8'))
+        if (!Array.isArray(report?.sections)) throw new Error(`Not a figma-node-report JSON file: ${abs}`)
+        if (report.schemaVersion !== REPORT_SCHEMA_VERSION) {
+            // Older shapes lack fields the diff compares, so they would show up as bogus changes.
+            throw new Error(
+                `${abs} has report schema version ${report.schemaVersion ?? 'unknown'}, this script reads version ${REPORT_SCHEMA_VERSION}\n` +
+                    'Regenerate it with this version, or diff the --record directory it was made from',
             )
-            parts.push('```')
         }
+        return report
+    }
 
-        // Text
-        if (n.type === 'TEXT') {
-            parts.push('')
-            parts.push('**Text**')
-            parts.push('')
+    // A --record directory: rebuild the report offline from the cached responses.
+    if (!url) throw new Error(`Replaying ${abs} needs the node URL (--url or FIGMA_URL)`)
+    const { fileKey, nodeIds } = parseFigmaNodeUrl(url)
+    if (nodeIds.length > 1) throw new Error(`Replaying ${abs} needs a URL with a single node-id (got ${nodeIds.join(', ')})`)
+    const cache = createApiCache({ replay: abs })
+    const { rootNorm, ...collected } = await collectReport({
+        token: null,
+        fileKey,
+        nodeId: nodeIds[0],
+        batchSize,
+        concurrency,
+        depth,
+        verbose,
+        cache,
+        // Replays never reach the network, so they need no request scheduler.
+        scheduler: null,
+        twScale: null,
+    })
+    return buildJsonReport({ generatedAt: null, fileKey, targets: [{ rootNorm, dir: null }], ...collected })
+}
 
-            const chars = n.known?.characters ?? ''
-            const fence = fenceForText(chars)
-            parts.push(`${fence}text`)
-            parts.push(String(chars))
-            parts.push(fence)
+function indexSnapshotSubtree({ byId, out, id, parentId, siblings, pathParts }) {
+    const n = byId.get(id)
+    if (!n) return
+    const currentPathParts = [...pathParts, `${n.name ?? 'Unnamed'} (${n.type})`]
+    out.set(id, { node: n, path: currentPathParts.join(' > '), parentId, siblings })
+    for (const childId of n.childIds) indexSnapshotSubtree({ byId, out, id: childId, parentId: id, siblings: n.childIds, pathParts: currentPathParts })
+}
 
-            parts.push('')
-            parts.push('```json')
-            parts.push(
-                stableStringify({
-                    style: n.known?.style,
-                    characterStyleOverrides: n.known?.characterStyleOverrides,
-                    styleOverrideTable: n.known?.styleOverrideTable,
-                }),
-            )
-            parts.push('```')
-        }
+function indexSnapshotNodes(report) {
+    // id -> { node, path, parentId, siblings } across all sections, using the tree (childIds) shape.
+    const out = new Map()
+    const roots = new Map((report.targets || []).map((t) => [t.root.id, t.root]))
+    for (const section of report.sections || []) {
+        const byId = new Map(section.nodes.map((n) => [n.id, n]))
+        const root = roots.get(section.target) || report.root
+        const rootChildIds = root?.childIds || report.sections.map((s) => s.id)
+        indexSnapshotSubtree({ byId, out, id: section.id, parentId: root?.id, siblings: rootChildIds, pathParts: [] })
+    }
+    return out
+}
 
-        // Vector placeholder
-        if (isVectorLikeType(n.type)) {
-            parts.push('')
-            parts.push('**Vector Geometry**')
-            parts.push('')
-            parts.push('- Vector geometry omitted (no path/network data emitted).')
+function survivingSiblingIndex(entry, id, other) {
+    // Position among siblings that exist under the same parent in both snapshots, so inserting
+    // or removing a sibling does not make every later sibling look reordered.
+    const kept = entry.siblings.filter((sid) => other.get(sid)?.parentId === entry.parentId)
+    return kept.indexOf(id)
+}
+
+function diffNodeProperties(a, b) {
+    const changes = []
+    for (const [category, fields] of Object.entries(DIFF_CATEGORIES)) {
+        for (const field of fields) {
+            const before = field === 'name' || field === 'type' ? a[field] : a.known?.[field]
+            const after = field === 'name' || field === 'type' ? b[field] : b.known?.[field]
+            if (stableStringify(before ?? null) === stableStringify(after ?? null)) continue
+            changes.push({ category, field, before: before ?? null, after: after ?? null })
         }
+    }
+    return changes
+}
 
-        // Children list
-        parts.push('')
-        parts.push('**Children**')
-        parts.push('')
-        parts.push('```json')
-        parts.push(stableStringify({ childIds: n.childIds }))
-        parts.push('```')
+function diffSnapshots(beforeReport, afterReport) {
+    const before = indexSnapshotNodes(beforeReport)
+    const after = indexSnapshotNodes(afterReport)
 
-        // Implementation hints
-        parts.push('')
-        parts.push('**Implementation Hints (React + TS + twin.macro)**')
-        parts.push('')
-        const el = inferElement(n)
-        parts.push(`- Suggested element: \`${el}\``)
-        if (n.tw.length) {
-            parts.push('- Suggested tw:')
-            parts.push('```ts')
-            parts.push(`tw\`${n.tw.join(' ')}\``)
-            parts.push('```')
-        } else {
-            parts.push('- Suggested tw: (no strong guess)')
+    const added = []
+    const removed = []
+    const moved = []
+    const changed = []
+
+    for (const [id, b] of after) {
+        if (!before.has(id)) added.push({ id, type: b.node.type, name: b.node.name, path: b.path })
+    }
+    for (const [id, a] of before) {
+        const b = after.get(id)
+        if (!b) {
+            removed.push({ id, type: a.node.type, name: a.node.name, path: a.path })
+            continue
         }
 
-        // Other fields
-        const otherKeys = Object.keys(n.other || {})
-        if (otherKeys.length) {
-            parts.push('')
-            parts.push('**Other Figma Fields (Unclassified)**')
-            parts.push('')
-            parts.push('```json')
-            parts.push(stableStringify(n.other))
-            parts.push('```')
+        if (a.parentId !== b.parentId) {
+            moved.push({ id, kind: 'reparented', fromPath: a.path, toPath: b.path, fromParentId: a.parentId, toParentId: b.parentId })
+        } else {
+            const fromIndex = survivingSiblingIndex(a, id, after)
+            const toIndex = survivingSiblingIndex(b, id, before)
+            if (fromIndex !== toIndex) moved.push({ id, kind: 'reordered', fromPath: a.path, toPath: b.path, fromIndex, toIndex })
         }
 
-        parts.push('')
+        const changes = diffNodeProperties(a.node, b.node)
+        if (changes.length) changed.push({ id, path: b.path, changes })
+    }
 
-        for (const childId of n.childIds) walk(childId, currentPathParts)
+    return {
+        kind: 'figma-node-diff',
+        before: { fileKey: beforeReport.fileKey, rootId: beforeReport.root?.id, generatedAt: beforeReport.generatedAt ?? null },
+        after: { fileKey: afterReport.fileKey, rootId: afterReport.root?.id, generatedAt: afterReport.generatedAt ?? null },
+        summary: { added: added.length, removed: removed.length, moved: moved.length, changed: changed.length },
+        added,
+        removed,
+        moved,
+        changed,
     }
+}
 
-    walk(rootId, [])
-    return parts.join('\n')
+function diffValueCell(v) {
+    const text = v == null ? '—' : typeof v === 'string' ? v : JSON.stringify(v)
+    const short = text.length > 160 ? `${text.slice(0, 157)}...` : text
+    return `\`${short.replace(/`/g, "'").replace(/\|/g, '\\|').replace(/\n/g, ' ')}\``
 }
 
-function inventoryMarkdown(inventories) {
+function diffMarkdown(diff) {
     const out = []
-
-    out.push('## Typography Inventory (Subtree)')
+    out.push('# Figma Node Diff')
     out.push('')
-    if (inventories.typography.size === 0) {
-        out.push('- none')
-    } else {
-        const entries = [...inventories.typography.entries()].sort((a, b) => b[1] - a[1])
-        out.push(`- Unique styles: ${entries.length}`)
+    out.push(`- Before: ${diff.before.fileKey} ${diff.before.rootId}${diff.before.generatedAt ? ` (${diff.before.generatedAt})` : ''}`)
+    out.push(`- After: ${diff.after.fileKey} ${diff.after.rootId}${diff.after.generatedAt ? ` (${diff.after.generatedAt})` : ''}`)
+    out.push(`- Added: ${diff.summary.added}, removed: ${diff.summary.removed}, moved: ${diff.summary.moved}, changed: ${diff.summary.changed}`)
+    out.push('')
+
+    const nodeList = (title, items) => {
+        out.push(`## ${title}`)
+        out.push('')
+        if (!items.length) out.push('- none')
+        for (const n of items) out.push(`- ${n.path} (id: ${n.id})`)
         out.push('')
-        out.push('```json')
-        out.push(
-            stableStringify(
-                entries.map(([k, count]) => ({ count, style: JSON.parse(k) })),
-            ),
-        )
-        out.push('```')
     }
-    out.push('')
+    nodeList('Added Nodes', diff.added)
+    nodeList('Removed Nodes', diff.removed)
 
-    out.push('## Color Inventory (Subtree, Solid Paints Only)')
+    out.push('## Moved Nodes')
     out.push('')
-    if (inventories.colors.size === 0) {
-        out.push('- none')
-    } else {
-        const entries = [...inventories.colors.entries()].sort((a, b) => b[1] - a[1])
-        out.push(`- Unique colors: ${entries.length}`)
-        out.push('')
-        out.push('```json')
-        out.push(stableStringify(entries.map(([hex, count]) => ({ hex, count }))))
-        out.push('```')
+    if (!diff.moved.length) out.push('- none')
+    for (const m of diff.moved) {
+        if (m.kind === 'reparented') out.push(`- ${m.id}: ${m.fromPath} -> ${m.toPath}`)
+        else out.push(`- ${m.id}: ${m.toPath} (sibling position ${m.fromIndex} -> ${m.toIndex})`)
     }
     out.push('')
 
-    out.push('## Effects Inventory (Subtree)')
+    out.push('## Changed Nodes')
     out.push('')
-    if (inventories.effects.size === 0) {
-        out.push('- none')
-    } else {
-        const entries = [...inventories.effects.entries()].sort((a, b) => b[1] - a[1])
-        out.push(`- Unique effects: ${entries.length}`)
+    if (!diff.changed.length) out.push('- none')
+    for (const c of diff.changed) {
+        out.push(`### ${c.path} (id: ${c.id})`)
+        out.push('')
+        out.push('| Category | Field | Before | After |')
+        out.push('| --- | --- | --- | --- |')
+        for (const ch of c.changes) out.push(`| ${ch.category} | ${ch.field} | ${diffValueCell(ch.before)} | ${diffValueCell(ch.after)} |`)
         out.push('')
-        out.push('```json')
-        out.push(stableStringify(entries.map(([k, count]) => ({ count, effect: JSON.parse(k) }))))
-        out.push('```')
     }
-    out.push('')
 
     return out.join('\n')
 }
 
+async function runDiff(argv) {
+    const args = parseDiffArgs(argv)
+    await loadDotEnv({ cwd: process.cwd(), verbose: args.verbose, optional: true })
+    const url = args.url || process.env.FIGMA_URL || process.env.FIGMA_NODE_URL
+
+    const opts = { url, batchSize: args.batchSize, concurrency: args.concurrency, depth: args.depth, verbose: args.verbose }
+    const beforeReport = await loadDiffSnapshot({ source: args.before, ...opts })
+    const afterReport = await loadDiffSnapshot({ source: args.after, ...opts })
+
+    if (beforeReport.root?.id !== afterReport.root?.id) {
+        // eslint-disable-next-line no-console
+        console.warn(`Warning: snapshots have different root nodes (${beforeReport.root?.id} vs ${afterReport.root?.id})`)
+    }
+
+    const diff = diffSnapshots(beforeReport, afterReport)
+
+    const outDirAbs = path.resolve(process.cwd(), args.outDir)
+    await fs.mkdir(outDirAbs, { recursive: true })
+    await fs.writeFile(path.join(outDirAbs, 'figma-diff.json'), `${JSON.stringify(diff, null, 2)}\n`, 'utf8')
+    await fs.writeFile(path.join(outDirAbs, 'figma-diff.md'), diffMarkdown(diff), 'utf8')
+
+    // eslint-disable-next-line no-console
+    console.log(`Diff: +${diff.summary.added} -${diff.summary.removed} moved ${diff.summary.moved} changed ${diff.summary.changed}`)
+    // eslint-disable-next-line no-console
+    console.log(`Wrote diff: ${path.join(args.outDir, 'figma-diff.md')}, ${path.join(args.outDir, 'figma-diff.json')}`)
+}
+
+function reportTimestamp() {
+    // Honor SOURCE_DATE_EPOCH (reproducible-builds convention) so replayed reports are byte-identical.
+    const epoch = process.env.SOURCE_DATE_EPOCH
+    if (epoch != null && epoch !== '' && Number.isFinite(Number(epoch))) return new Date(Number(epoch) * 1000).toISOString()
+    return new Date().toISOString()
+}
+
 async function main() {
+  if (process.argv[2] === 'diff') return await runDiff(process.argv)
+
   const args = parseArgs(process.argv)
 
-  await loadDotEnv({ cwd: process.cwd(), verbose: args.verbose })
+  // Replays need no token, so CI can run them with just --url and no .env at all.
+  await loadDotEnv({ cwd: process.cwd(), verbose: args.verbose, optional: Boolean(args.replay) })
+
+  if (args.apiBase) process.env.FIGMA_API_BASE = args.apiBase
+  if (!URL.canParse(figmaApiBase())) {
+    // eslint-disable-next-line no-console
+    console.error(`Invalid API base URL: ${figmaApiBase()}`)
+    process.exit(1)
+  }
 
+  const cache = createApiCache({ record: args.record, replay: args.replay })
+  const scheduler = createRequestScheduler({ rpm: args.rpm, timeoutMs: args.timeout * 1000 })
   const token = process.env.FIGMA_TOKEN
-  if (!token) {
+  if (!token && cache?.mode !== 'replay') {
     // eslint-disable-next-line no-console
     console.error('Missing FIGMA_TOKEN in .env (or environment)')
     process.exit(1)
   }
 
-  const url = args.url || process.env.FIGMA_URL || process.env.FIGMA_NODE_URL
-  if (!url) {
+  const envUrl = process.env.FIGMA_URL || process.env.FIGMA_NODE_URL
+  const urls = args.urls.length ? args.urls : envUrl ? [envUrl] : []
+  if (!urls.length) {
     // eslint-disable-next-line no-console
     console.error('Missing FIGMA_URL in .env (or pass --url)')
     process.exit(1)
   }
 
-  const { fileKey, nodeId } = parseFigmaNodeUrl(url)
+  const { fileKey, nodeIds, urlKind } = await resolveReportTargets({
+    token,
+    urls,
+    // FIGMA_URL from .env only supplies the file key once --node/--page name the targets.
+    urlTargets: args.urls.length > 0 || (!args.nodes.length && !args.pages.length),
+    nodes: args.nodes,
+    pages: args.pages,
+    verbose: args.verbose,
+    cache,
+    scheduler,
+  })
+  if (!nodeIds.length) {
+    // eslint-disable-next-line no-console
+    console.error('No target nodes: add ?node-id= to the URL or pass --node / --page')
+    process.exit(1)
+  }
+  const twScale = args.twTheme ? createTwScale(await loadTwTheme(args.twTheme), args.twTolerance) : null
+  const lint = args.lint ? await loadLintRules(args.lintConfig) : null
+  const hints = await loadHintGenerator(args.hints)
+  const semantics = await loadSemanticsConfig(args.semanticsConfig)
+  const nodeLink = (id) => figmaNodeLink(fileKey, id, urlKind)
 
     const outDirAbs = path.resolve(process.cwd(), args.outDir)
-    const sectionDirAbs = path.join(outDirAbs, args.sectionDir)
+    const writeMarkdown = args.format === 'md' || args.format === 'both'
+    const writeJson = args.format === 'json' || args.format === 'both'
 
-    await fs.mkdir(sectionDirAbs, { recursive: true })
+    await fs.mkdir(outDirAbs, { recursive: true })
 
     log(args.verbose, `Output dir: ${outDirAbs}`)
-    log(args.verbose, `File key: ${fileKey}`)
-    log(args.verbose, `Root node: ${nodeId}`)
-
-    // Fetch root (depth=1) so we can determine top-level children (split points)
-    const rootData = await fetchNodes({ token, fileKey, ids: [nodeId], depth: 1, verbose: args.verbose })
-    const rootEntry = rootData?.nodes?.[nodeId]
-    if (!rootEntry?.document) throw new Error(`Root node not found: ${nodeId}`)
-
-    const rootDoc = rootEntry.document
-    if (!isVisibleNode(rootDoc)) throw new Error('Root node is not visible; nothing to analyze.')
-
-    const rootNorm = normalizeNode(rootDoc)
 
-    const topLevelChildren = rootNorm.childIds
-    if (topLevelChildren.length === 0) {
-        // Degenerate case: the node has no children, still produce one section.
-        topLevelChildren.push(rootNorm.id)
+    // One request for every target root; it also carries the file version the manifest is keyed on.
+    const manifest = await readManifest(outDirAbs)
+    const optionsHash = await reportOptionsHash({ args, nodeIds, twScale, lint, hints, semantics })
+    const head = await fetchNodes({ token, fileKey, ids: nodeIds, depth: 1, verbose: args.verbose, cache, scheduler })
+    const fileVersion = { version: head?.version ?? null, lastModified: head?.lastModified ?? null }
+    if (!args.force && (await manifestUpToDate({ manifest, outDirAbs, fileKey, fileVersion, optionsHash }))) {
+        // eslint-disable-next-line no-console
+        console.log(`Up to date: ${args.outDir} (file version ${fileVersion.version}); pass --force to regenerate`)
+        // Nothing was re-audited; the manifest remembers what the last run found.
+        const counts = findingCounts([])
+        for (const e of manifest.sections) for (const sev of SEVERITIES) counts[sev] += e.findings?.[sev] || 0
+        reportFailOn({ counts, failOn: args.failOn })
+        return
     }
 
-    const inventories = {
-        typography: new Map(),
-        colors: new Map(),
-        effects: new Map(),
+    // One target keeps the flat layout; several get one sub-report directory each.
+    const state = createReportState()
+    const targets = []
+    for (let t = 0; t < nodeIds.length; t++) {
+        if (nodeIds.length > 1) log(args.verbose, `Target ${t + 1}/${nodeIds.length}: ${nodeIds[t]}`)
+        const { rootNorm, sections } = await collectReport({
+            token,
+            fileKey,
+            nodeId: nodeIds[t],
+            batchSize: args.batchSize,
+            concurrency: args.concurrency,
+            depth: args.depth,
+            verbose: args.verbose,
+            cache,
+            scheduler,
+            twScale,
+            state,
+            rootEntry: head?.nodes?.[nodeIds[t]],
+            catalogue: args.catalogue,
+        })
+        const dir =
+            nodeIds.length > 1
+                ? `${String(t + 1).padStart(2, '0')}-${sanitizeFileName(rootNorm.name)}-${sanitizeFileName(rootNorm.id.replace(':', '-'))}`
+                : null
+        targets.push({ idx: t + 1, rootNorm, sections, dir })
+        if (args.catalogue && !sections.length) {
+            // eslint-disable-next-line no-console
+            console.warn(`Warning: no visible components or component sets under ${rootNorm.name} (${rootNorm.id}); point --catalogue at a component library, e.g. --page "Components"`)
+        }
+    }
+    const { inventories, styleMeta } = state
+    for (const line of crawlStatsLines(state.crawlStats)) {
+        // eslint-disable-next-line no-console
+        console.log(`Crawl: ${line}`)
+    }
+    const sectionLinks = targets.flatMap((t) => t.sections)
+    if (lint) lintSections({ sections: sectionLinks, rules: lint.rules })
+    classifySections({ targets, componentMeta: state.componentMeta, semantics })
+    await resolvePrototypeDestinations({
+        token,
+        fileKey,
+        sections: sectionLinks,
+        prototype: state.prototype,
+        batchSize: args.batchSize,
+        verbose: args.verbose,
+        cache,
+        scheduler,
+    })
+
+    const assets = args.assets
+        ? await exportAssets({
+              token,
+              fileKey,
+              sections: sectionLinks,
+              outDirAbs,
+              batchSize: args.batchSize,
+              concurrency: args.concurrency,
+              verbose: args.verbose,
+              cache,
+              scheduler,
+          })
+        : null
+    if (assets) resolveImageFillTw({ sections: sectionLinks, assets, twScale })
+    if (assets?.missing.length) {
+        // eslint-disable-next-line no-console
+        console.warn(`Skipped ${assets.missing.length} asset(s):\n  ${assets.missing.join('\n  ')}`)
     }
 
-    const sectionLinks = []
+    // Every API call is done at this point.
+    if (scheduler.stats.requests) {
+        // eslint-disable-next-line no-console
+        console.log(requestSummary(scheduler))
+    }
 
-    // Crawl each top-level child as its own section
-    for (let i = 0; i < topLevelChildren.length; i++) {
-        const childId = topLevelChildren[i]
+    // Unchanged sections (same hash as in the manifest) keep their file untouched, for clean diffs.
+    const sameOptions = !args.force && manifest?.optionsHash === optionsHash
+    const previousByFile = new Map((sameOptions ? manifest.sections : []).map((e) => [e.file, e]))
+    const sectionCounts = { written: 0, unchanged: 0 }
+    for (const t of targets) {
+        const sectionDir = path.join(t.dir ?? '', args.sectionDir)
+        const sectionDirAbs = path.join(outDirAbs, sectionDir)
+        if (writeMarkdown) await fs.mkdir(sectionDirAbs, { recursive: true })
+        for (const s of t.sections) {
+            s.a11y = auditAccessibility({ nodeMap: s.nodeMap, rootId: s.id, root: t.rootNorm, minFontSize: args.minFontSize })
+            locateFindings({ findings: [...s.a11y, ...(s.lint || [])], nodeMap: s.nodeMap, nodeLink, root: t.rootNorm })
+            s.file = writeMarkdown ? path.join(sectionDir, s.fileName).replace(/\\/g, '/') : null
+            s.hash = sectionHash({ section: s, fileKey, styleMeta, variables: state.variables, componentMeta: state.componentMeta, prototype: state.prototype, assets })
+            if (!writeMarkdown) continue
+
+            const previous = previousByFile.get(s.file)
+            if (previous?.hash === s.hash && (await fileExists(path.join(outDirAbs, s.file)))) {
+                sectionCounts.unchanged++
+                continue
+            }
+            await writeSectionMarkdown({
+                sectionDirAbs,
+                outDirAbs,
+                section: s,
+                fileKey,
+                nodeLink,
+                styleMeta,
+                variables: state.variables,
+                componentMeta: state.componentMeta,
+                prototype: state.prototype,
+                collapseInstances: args.collapseInstances,
+                hints: hints.generator,
+                assets,
+            })
+            sectionCounts.written++
+        }
+    }
 
-        // Need the child name/type for filename; fetch it if it wasn't included.
-        let childDoc = null
-        const shallow = rootDoc.children?.find((c) => c?.id === childId)
-        if (shallow && isVisibleNode(shallow)) childDoc = shallow
+    // The index, JSON, components and tokens derive from the same content; rewrite them only when it changed.
+    const contentHash = sha1(
+        stableStringify({
+            sections: sectionLinks.map((s) => [s.file, s.hash]),
+            roots: targets.map((t) => rootSnapshot(t.rootNorm)),
+            flowStarts: targets.map((t) => prototypeStartPoints(t.rootNorm)),
+            inventories: inventoryEntries(inventories, styleMeta),
+            variables: variableEntries(state.variables),
+            assets: assetEntries(assets),
+        }),
+    )
+    let outputs = []
+    const contentUnchanged =
+        sameOptions &&
+        manifest.contentHash === contentHash &&
+        (await Promise.all((manifest.outputs || []).map((f) => fileExists(path.join(outDirAbs, f))))).every(Boolean)
+
+    if (contentUnchanged) {
+        outputs = manifest.outputs
+        // eslint-disable-next-line no-console
+        console.log(`Report content unchanged (file version ${fileVersion.version}); kept existing index and outputs`)
+    } else {
+        const generatedAt = reportTimestamp()
+
+        if (writeJson) {
+            const report = buildJsonReport({
+                generatedAt,
+                fileKey,
+                targets,
+                sections: sectionLinks,
+                inventories,
+                styleMeta,
+                variables: state.variables,
+                assets,
+                componentMeta: state.componentMeta,
+            })
+            const jsonPath = path.join(outDirAbs, 'figma-node-report.json')
+            await fs.writeFile(jsonPath, `${JSON.stringify(report, null, 2)}\n`, 'utf8')
+            outputs.push('figma-node-report.json')
 
-        if (!childDoc) {
-            const d = await fetchNodes({ token, fileKey, ids: [childId], depth: 1, verbose: args.verbose })
-            const e = d?.nodes?.[childId]
-            if (!e?.document) continue
-            if (!isVisibleNode(e.document)) continue
-            childDoc = e.document
+            // eslint-disable-next-line no-console
+            console.log(`Wrote JSON report: ${path.join(args.outDir, 'figma-node-report.json')}`)
         }
 
-        const sectionName = childDoc?.name || `section-${i + 1}`
-        const safe = sanitizeFileName(sectionName)
-        const safeId = sanitizeFileName(childId.replace(':', '-'))
-        const sectionFileName = `${String(i + 1).padStart(2, '0')}-${safe}-${safeId}.md`
-        const sectionPath = path.join(sectionDirAbs, sectionFileName)
-
-        log(args.verbose, `Crawling section ${i + 1}/${topLevelChildren.length}: ${sectionName} (${childId})`)
+        if (args.emit === 'react') {
+            const written = await writeReactComponents({ outDirAbs, sections: sectionLinks, fileKey })
+            outputs.push(...written.map((f) => `components/${f}`))
 
-        const { nodeMap } = await crawlSubtree({
-            token,
-            fileKey,
-            rootId: childId,
-            batchSize: args.batchSize,
-            concurrency: args.concurrency,
-            verbose: args.verbose,
-        })
+            // eslint-disable-next-line no-console
+            console.log(`Wrote components: ${path.join(args.outDir, 'components')}`)
+        }
 
-        // Collect inventories
-        for (const node of nodeMap.values()) collectInventories(node, inventories)
-
-        const treeLines = buildTreeLines({ nodeMap, rootId: childId })
-        const sectionHeader = [
-            `# Section: ${sectionName}`,
-            '',
-            `- File key: ${fileKey}`,
-            `- Root node id: ${childId}`,
-            '',
-            '## Layer Tree (Visible Only)',
-            '',
-            '```text',
-            ...treeLines,
-            '```',
-            '',
-            '## Detailed Spec (Visible Only)',
-            '',
-        ].join('\n')
-
-        const detailMd = buildNodeDetailMarkdown({ nodeMap, rootId: childId, fileKey })
-        await fs.writeFile(sectionPath, sectionHeader + detailMd, 'utf8')
-
-        sectionLinks.push({
-            idx: i + 1,
-            name: sectionName,
-            id: childId,
-            file: path.join(args.sectionDir, sectionFileName).replace(/\\/g, '/'),
-            nodeCount: nodeMap.size,
-        })
-    }
+        if (args.tokens) {
+            const written = await writeDesignTokens({ outDirAbs, formats: args.tokens, inventories, styles: styleMeta, variables: state.variables })
+            outputs.push(...written.map((f) => `tokens/${f}`))
 
-    // Index markdown
-    const indexParts = []
-    indexParts.push(`# Figma Node Report`)
-    indexParts.push('')
-    indexParts.push(`- Generated: ${new Date().toISOString()}`)
-    indexParts.push(`- File key: ${fileKey}`)
-    indexParts.push(`- Root node id: ${rootNorm.id}`)
-    indexParts.push(`- Root node name: ${rootNorm.name ?? 'Unnamed'}`)
-    indexParts.push(`- Root node type: ${rootNorm.type}`)
-    if (rootNorm.known?.absoluteBoundingBox) indexParts.push(`- Root bounds: ${bboxSummary(rootNorm.known.absoluteBoundingBox) || ''}`)
-    indexParts.push('')
+            // eslint-disable-next-line no-console
+            console.log(`Wrote tokens: ${written.map((f) => path.join(args.outDir, 'tokens', f)).join(', ')}`)
+        }
 
-    indexParts.push('## What This Report Contains')
-    indexParts.push('')
-    indexParts.push('- Visible nodes only (`visible=false` skipped entirely)')
-    indexParts.push('- No vector path/network geometry (placeholder only)')
-    indexParts.push('- Instances described as-resolved (subtree content as returned by API)')
-    indexParts.push('- One section file per top-level child of the target node')
-    indexParts.push('')
+        if (writeMarkdown) {
+            const indexMd = buildIndexMarkdown({
+                generatedAt,
+                fileKey,
+                targets,
+                inventories,
+                styleMeta,
+                variables: state.variables,
+                assets,
+                twScale,
+                catalogue: args.catalogue,
+                componentMeta: state.componentMeta,
+                prototype: state.prototype,
+                hints: hints.generator,
+                nodeLink,
+            })
+            const indexPath = path.join(outDirAbs, 'figma-node-report.md')
+            await fs.writeFile(indexPath, indexMd, 'utf8')
+            outputs.push('figma-node-report.md')
 
-    indexParts.push('## Root Split (Top-Level Children)')
-    indexParts.push('')
-    if (sectionLinks.length === 0) {
-        indexParts.push('- No visible sections produced (unexpected).')
-    } else {
-        for (const s of sectionLinks) {
-            indexParts.push(`- ${String(s.idx).padStart(2, '0')}. ${s.name} (id: ${s.id}, nodes: ${s.nodeCount}) -> ${s.file}`)
+            // eslint-disable-next-line no-console
+            console.log(`Wrote report: ${path.join(args.outDir, 'figma-node-report.md')}`)
         }
     }
-    indexParts.push('')
-
-    indexParts.push('## Root Node (Depth=1 Snapshot)')
-    indexParts.push('')
-    indexParts.push('```json')
-    indexParts.push(stableStringify({
-        id: rootNorm.id,
-        name: rootNorm.name,
-        type: rootNorm.type,
-        bounds: rootNorm.known?.absoluteBoundingBox,
-        layoutMode: rootNorm.known?.layoutMode,
-        itemSpacing: rootNorm.known?.itemSpacing,
-        padding: {
-            top: rootNorm.known?.paddingTop,
-            right: rootNorm.known?.paddingRight,
-            bottom: rootNorm.known?.paddingBottom,
-            left: rootNorm.known?.paddingLeft,
-        },
-        childIds: rootNorm.childIds,
-    }))
-    indexParts.push('```')
-    indexParts.push('')
 
-    indexParts.push('## Implementation Guidance (React + TS + twin.macro)')
-    indexParts.push('')
-    indexParts.push('- Treat each section file as a candidate top-level React component or sub-tree to compose into a page component.')
-    indexParts.push('- Prefer reproducing auto-layout nodes as `flex` containers; use arbitrary values when spacing/sizing do not match Tailwind scale (`gap-[12px]`, `p-[20px]`).')
-    indexParts.push('- For absolute positioning / constraints, translate to `relative` parent + `absolute` children and preserve numeric offsets using arbitrary values.')
-    indexParts.push('- Keep typography numeric and explicit (`text-[14px] leading-[20px] tracking-[0.01em]`) unless you already have a token system.')
-    indexParts.push('- Vectors: geometry omitted in report; implement as placeholder `svg` or use exported SVGs in a later phase.')
-    indexParts.push('')
+    // Anything the previous run generated that this one did not: sections of removed top-level
+    // children (or targets), renamed section files, and components/tokens no longer emitted.
+    const removed = await removeStaleFiles({
+        outDirAbs,
+        previousFiles: [...(manifest?.sections || []).map((e) => e.file).filter(Boolean), ...(manifest?.outputs || [])],
+        currentFiles: [...sectionLinks.map((s) => s.file).filter(Boolean), ...outputs],
+        verbose: args.verbose,
+    })
+
+    if (writeMarkdown) {
+        const removedNote = removed.length ? `, ${removed.length} removed` : ''
+        // eslint-disable-next-line no-console
+        console.log(
+            `Wrote sections: ${targets.map((t) => path.join(args.outDir, t.dir ?? '', args.sectionDir)).join(', ')} ` +
+                `(${sectionCounts.written} written, ${sectionCounts.unchanged} unchanged${removedNote})`,
+        )
+    }
 
-    indexParts.push(inventoryMarkdown(inventories))
+    // No timestamps in here, so an unchanged Figma file leaves the manifest byte-identical too.
+    const sectionFiles = sectionLinks.map((s) => s.file).filter(Boolean)
+    const manifestOut = {
+        manifestVersion: MANIFEST_VERSION,
+        fileKey,
+        version: fileVersion.version,
+        lastModified: fileVersion.lastModified,
+        optionsHash,
+        contentHash,
+        sections: sectionLinks.map((s) => ({ target: s.target, id: s.id, name: s.name, file: s.file, hash: s.hash, findings: findingCounts([...s.a11y, ...(s.lint || [])]) })),
+        outputs,
+        files: [...sectionFiles, ...outputs, ...assetEntries(assets).map((a) => a.file)],
+    }
+    await fs.writeFile(path.join(outDirAbs, MANIFEST_FILE), `${JSON.stringify(manifestOut, null, 2)}\n`, 'utf8')
 
-    const indexPath = path.join(outDirAbs, 'figma-node-report.md')
-    await fs.writeFile(indexPath, indexParts.join('\n'), 'utf8')
+    reportFailOn({ counts: findingCounts(sectionLinks.flatMap((s) => [...s.a11y, ...(s.lint || [])])), failOn: args.failOn })
+}
 
-    // eslint-disable-next-line no-console
-    console.log(`Wrote report: ${path.join(args.outDir, 'figma-node-report.md')}`)
-    // eslint-disable-next-line no-console
-    console.log(`Wrote sections: ${path.join(args.outDir, args.sectionDir)}`)
+// Only run as a CLI; the tests import the helpers below without starting a report.
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error(err?.stack || String(err))
+        process.exit(1)
+    })
 }
 
-main().catch((err) => {
-    // eslint-disable-next-line no-console
-    console.error(err?.stack || String(err))
-    process.exit(1)
-})
+export {
+    acquireRequestSlot,
+    auditAccessibility,
+    backgroundBehind,
+    buildDesignTokens,
+    buildVariableTokenSets,
+    classifySections,
+    contrastRatio,
+    createRequestScheduler,
+    createTwScale,
+    cssBackgroundLayers,
+    cssDeclarations,
+    cssGradient,
+    exportAssets,
+    figmaFetchJsonNetwork,
+    imageFillUrl,
+    imageFit,
+    inferTwDetailed,
+    isOversizeError,
+    lintSections,
+    loadLintRules,
+    loadSemanticsConfig,
+    loadTwTheme,
+    tokensToCss,
+    tokensToDtcg,
+    tokensToTailwindTheme,
+}
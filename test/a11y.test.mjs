@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { after, before, test } from 'node:test'
+
+import { auditAccessibility, backgroundBehind, contrastRatio } from '../figma-node-report.mjs'
+import { runReport, startMockServer } from './support.mjs'
+
+const WHITE = { r: 1, g: 1, b: 1 }
+const BLACK = { r: 0, g: 0, b: 0 }
+const solid = (color, opacity) => ({ type: 'SOLID', color: { ...color, a: 1 }, ...(opacity == null ? {} : { opacity }) })
+
+function tree(...nodes) {
+    // nodes: [id, type, known, childIds]; the first one is the root.
+    return new Map(nodes.map(([id, type, known = {}, childIds = []]) => [id, { id, name: id, type, known, childIds }]))
+}
+
+const audit = (nodeMap, minFontSize = 12) => auditAccessibility({ nodeMap, rootId: nodeMap.keys().next().value, minFontSize })
+
+test('contrastRatio follows WCAG relative luminance', () => {
+    assert.equal(contrastRatio(WHITE, BLACK), 21)
+    assert.equal(contrastRatio(BLACK, WHITE), 21)
+    assert.equal(contrastRatio(WHITE, WHITE), 1)
+    // #767676 on white is the classic 4.5:1 boundary.
+    const grey = { r: 0x76 / 255, g: 0x76 / 255, b: 0x76 / 255 }
+    assert.equal(contrastRatio(grey, WHITE).toFixed(2), '4.54')
+})
+
+test('backgroundBehind composites translucent fills down to the first opaque one', () => {
+    const nodeMap = tree(
+        ['root', 'FRAME', { fills: [solid(BLACK)] }, ['card']],
+        ['card', 'FRAME', { fills: [solid(WHITE, 0.5)] }, ['text']],
+        ['text', 'TEXT'],
+    )
+    const parents = new Map([['card', 'root'], ['text', 'card']])
+    assert.deepEqual(backgroundBehind({ nodeMap, parents, id: 'text' }), { color: { r: 0.5, g: 0.5, b: 0.5 } })
+
+    // Above the section root it continues on the backdrop (the target root).
+    const section = tree(['card', 'FRAME', { fills: [solid(WHITE, 0.5)] }, ['text']], ['text', 'TEXT'])
+    const backdrop = [{ id: 'page', name: 'Page', known: { fills: [solid(BLACK)] } }]
+    assert.deepEqual(backgroundBehind({ nodeMap: section, parents: new Map([['text', 'card']]), id: 'text', backdrop }), { color: { r: 0.5, g: 0.5, b: 0.5 } })
+    assert.deepEqual(backgroundBehind({ nodeMap: section, parents: new Map([['text', 'card']]), id: 'text' }), { reason: 'no opaque fill behind it' })
+})
+
+test('backgroundBehind gives up on gradient and image fills', () => {
+    const nodeMap = tree(['hero', 'FRAME', { fills: [{ type: 'GRADIENT_LINEAR' }] }, ['text']], ['text', 'TEXT'])
+    assert.deepEqual(backgroundBehind({ nodeMap, parents: new Map([['text', 'hero']]), id: 'text' }), { reason: 'GRADIENT_LINEAR fill on "hero" behind it' })
+})
+
+test('text below the minimum font size is a warning', () => {
+    const nodeMap = tree(
+        ['root', 'FRAME', { fills: [solid(WHITE)] }, ['small', 'ok']],
+        ['small', 'TEXT', { style: { fontSize: 11 }, fills: [solid(BLACK)] }],
+        ['ok', 'TEXT', { style: { fontSize: 12 }, fills: [solid(BLACK)] }],
+    )
+    assert.deepEqual(
+        audit(nodeMap).map((f) => [f.nodeId, f.rule, f.severity, f.message]),
+        [['small', 'min-font-size', 'warning', 'Font size 11px is below the 12px minimum']],
+    )
+    assert.deepEqual(audit(nodeMap, 10), [])
+})
+
+test('interactive targets below 24x24 are errors, below 44x44 warnings', () => {
+    const onClick = { reactions: [{ trigger: { type: 'ON_CLICK' }, actions: [{ type: 'BACK' }] }] }
+    const button = (id, width, height) => [id, 'FRAME', { ...onClick, absoluteBoundingBox: { x: 0, y: 0, width, height } }]
+    const nodeMap = tree(
+        ['root', 'FRAME', {}, ['tiny', 'small', 'wide', 'large']],
+        button('tiny', 20, 20),
+        button('small', 40, 30),
+        button('wide', 120, 43.5),
+        button('large', 44, 44),
+    )
+    assert.deepEqual(
+        audit(nodeMap).map((f) => [f.nodeId, f.severity, f.message]),
+        [
+            ['tiny', 'error', 'Interactive target 20x20 is below 24x24 (WCAG 2.5.8)'],
+            ['small', 'warning', 'Interactive target 40x30 is below 44x44 (WCAG 2.5.5)'],
+            ['wide', 'warning', 'Interactive target 120x43.5 is below 44x44 (WCAG 2.5.5)'],
+        ],
+    )
+})
+
+test('low contrast text is an error, with the large text threshold for big type', () => {
+    const grey = { r: 0.6, g: 0.6, b: 0.6 }
+    const nodeMap = tree(
+        ['root', 'FRAME', { fills: [solid(WHITE)] }, ['body', 'title']],
+        ['body', 'TEXT', { style: { fontSize: 16 }, fills: [solid(grey)] }],
+        ['title', 'TEXT', { style: { fontSize: 32 }, fills: [solid({ r: 0.45, g: 0.45, b: 0.45 })] }],
+    )
+    assert.deepEqual(
+        audit(nodeMap).map((f) => [f.nodeId, f.rule, f.severity]),
+        [['body', 'contrast', 'error']],
+    )
+})
+
+let server
+
+before(async () => {
+    server = await startMockServer()
+})
+
+after(async () => {
+    await server?.stop()
+})
+
+test('--fail-on exits with 1 on fresh runs and on up-to-date runs alike', async () => {
+    // The landing fixture has 2 errors and 7 warnings.
+    const first = await runReport({ apiBase: server.apiBase, flags: ['--fail-on', 'error'] })
+    try {
+        assert.equal(first.code, 1, first.stderr)
+        assert.match(first.stderr, /Audit\/lint: 2 finding\(s\) at severity error or worse \(--fail-on error\)/)
+        // The report is still written.
+        await fs.access(path.join(first.outDir, 'figma-node-report.md'))
+
+        // Up to date: the counts come from the manifest.
+        const again = await runReport({ apiBase: server.apiBase, flags: ['--out-dir', first.outDir, '--fail-on', 'warning'] })
+        await fs.rm(again.cwd, { recursive: true, force: true })
+        assert.match(again.stdout, /Up to date: /)
+        assert.equal(again.code, 1, again.stderr)
+        assert.match(again.stderr, /Audit\/lint: 9 finding\(s\) at severity warning or worse \(--fail-on warning\)/)
+
+        const quiet = await runReport({ apiBase: server.apiBase, flags: ['--out-dir', first.outDir] })
+        await fs.rm(quiet.cwd, { recursive: true, force: true })
+        assert.match(quiet.stdout, /Up to date: /)
+        assert.equal(quiet.code, 0, quiet.stderr)
+    } finally {
+        await fs.rm(first.cwd, { recursive: true, force: true })
+    }
+})
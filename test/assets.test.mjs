@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import http from 'node:http'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, test } from 'node:test'
+
+import { createRequestScheduler, exportAssets } from '../figma-node-report.mjs'
+
+// A stand-in for Figma plus S3: the fill URL answers 503 once before serving bytes, the other one is
+// gone; /images renders node 2:1 as SVG.
+let server
+let origin
+const hits = new Map()
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, origin)
+        hits.set(pathname, (hits.get(pathname) || 0) + 1)
+        if (pathname === '/v1/files/assets/images') {
+            res.writeHead(200, { 'content-type': 'application/json' })
+            return res.end(JSON.stringify({ meta: { images: { flaky: `${origin}/fill/flaky`, gone: `${origin}/fill/gone` } } }))
+        }
+        if (pathname === '/fill/flaky' && hits.get(pathname) === 1) {
+            res.writeHead(503, { 'retry-after': '0' })
+            return res.end('Slow down')
+        }
+        if (pathname === '/fill/flaky') return res.end('<svg xmlns="http://www.w3.org/2000/svg"/>')
+        if (pathname === '/v1/images/assets') {
+            res.writeHead(200, { 'content-type': 'application/json' })
+            return res.end(JSON.stringify({ images: { '2:1': `${origin}/render/2-1` } }))
+        }
+        if (pathname === '/render/2-1') return res.end('<svg xmlns="http://www.w3.org/2000/svg"/>')
+        res.writeHead(404)
+        res.end('Not found')
+    })
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    origin = `http://127.0.0.1:${server.address().port}`
+    process.env.FIGMA_API_BASE = `${origin}/v1`
+})
+
+after(async () => {
+    delete process.env.FIGMA_API_BASE
+    await new Promise((resolve) => server.close(resolve))
+})
+
+test('asset downloads are retried by the scheduler and failures end up in missing', async () => {
+    const node = (id, imageRef) => ({ id, name: id, type: 'RECTANGLE', childIds: [], known: { fills: [{ type: 'IMAGE', imageRef }] } })
+    const nodeMap = new Map([
+        ['1:1', { id: '1:1', name: 'Root', type: 'FRAME', childIds: ['1:2', '1:3'], known: {} }],
+        ['1:2', node('1:2', 'flaky')],
+        ['1:3', node('1:3', 'gone')],
+    ])
+    const outDirAbs = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-assets-'))
+    const scheduler = createRequestScheduler()
+    try {
+        const assets = await exportAssets({ token: 'test-token', fileKey: 'assets', sections: [{ nodeMap }], outDirAbs, batchSize: 10, concurrency: 2, scheduler })
+
+        assert.deepEqual([...assets.byImageRef], [['flaky', 'assets/image-flaky.svg']])
+        await fs.access(path.join(outDirAbs, 'assets', 'image-flaky.svg'))
+        assert.deepEqual(assets.missing, ['image fill gone (Asset download error 404 Not Found)'])
+        // /images, two attempts for the flaky fill, one for the missing one (404s are not retried).
+        assert.deepEqual({ requests: scheduler.stats.requests, retries: scheduler.stats.retries }, { requests: 4, retries: 1 })
+    } finally {
+        await fs.rm(outDirAbs, { recursive: true, force: true })
+    }
+})
+
+test('a vector with a suffix-less SVG export keeps both its vector render and its export', async () => {
+    const nodeMap = new Map([['2:1', { id: '2:1', name: 'Logo', type: 'VECTOR', childIds: [], known: { exportSettings: [{ format: 'SVG', suffix: '' }] } }]])
+    const outDirAbs = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-assets-'))
+    try {
+        const scheduler = createRequestScheduler()
+        const assets = await exportAssets({ token: 'test-token', fileKey: 'assets', sections: [{ nodeMap }], outDirAbs, batchSize: 10, concurrency: 2, scheduler })
+
+        assert.deepEqual(
+            assets.byNodeId.get('2:1').map((a) => [a.source, a.file]),
+            [
+                ['vector', 'assets/logo-2-1.svg'],
+                ['exportSettings', 'assets/logo-2-1.svg'],
+            ],
+        )
+        assert.deepEqual(assets.missing, [])
+        // Both entries name the same file, so it is downloaded once.
+        assert.equal(hits.get('/render/2-1'), 1)
+    } finally {
+        await fs.rm(outDirAbs, { recursive: true, force: true })
+    }
+})
@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import { cssBackgroundLayers, cssDeclarations, cssGradient, imageFillUrl, imageFit, inferTwDetailed } from '../figma-node-report.mjs'
+
+const STOPS = [
+    { position: 0, color: { r: 1, g: 0, b: 0, a: 1 } },
+    { position: 1, color: { r: 0, g: 0, b: 1, a: 1 } },
+]
+const gradient = (type, handles, size = null) => cssGradient({ type, gradientStops: STOPS, gradientHandlePositions: handles }, size)
+const linear = (from, to, size = null) => gradient('GRADIENT_LINEAR', [from, to], size)
+
+// Handles of a full-length linear gradient turned `deg` clockwise from "to top" around the center.
+function rotatedHandles(deg) {
+    const r = (deg * Math.PI) / 180
+    return [
+        { x: 0.5 - 0.5 * Math.sin(r), y: 0.5 + 0.5 * Math.cos(r) },
+        { x: 0.5 + 0.5 * Math.sin(r), y: 0.5 - 0.5 * Math.cos(r) },
+    ]
+}
+
+test('linear gradients: 0, 45, 90 and 180deg', () => {
+    assert.equal(linear({ x: 0.5, y: 1 }, { x: 0.5, y: 0 }), 'linear-gradient(0deg, #ff0000 0%, #0000ff 100%)')
+    assert.equal(linear({ x: 0, y: 1 }, { x: 1, y: 0 }), 'linear-gradient(45deg, #ff0000 0%, #0000ff 100%)')
+    assert.equal(linear({ x: 0, y: 0.5 }, { x: 1, y: 0.5 }), 'linear-gradient(90deg, #ff0000 0%, #0000ff 100%)')
+    assert.equal(linear({ x: 0.5, y: 0 }, { x: 0.5, y: 1 }), 'linear-gradient(180deg, #ff0000 0%, #0000ff 100%)')
+})
+
+test('linear gradients: short handles move the stops along the CSS gradient line', () => {
+    assert.equal(linear({ x: 0.5, y: 0.25 }, { x: 0.5, y: 0.75 }, { width: 100, height: 100 }), 'linear-gradient(180deg, #ff0000 25%, #0000ff 75%)')
+})
+
+test('linear gradients: rotated handles, on a square and on a stretched node', () => {
+    // The CSS gradient line of a 30deg gradient is longer than the handle, hence the inset stops.
+    assert.equal(linear(...rotatedHandles(30)), 'linear-gradient(30deg, #ff0000 13.397%, #0000ff 86.603%)')
+    // Stretching the node to 300x100 flattens the color bands, and the CSS angle follows them.
+    assert.equal(linear(...rotatedHandles(30), { width: 300, height: 100 }), 'linear-gradient(10.893deg, #ff0000 13.397%, #0000ff 86.603%)')
+    // Corner to corner on 200x100 matches CSS "to bottom right" / "to top right".
+    assert.equal(linear({ x: 0, y: 0 }, { x: 1, y: 1 }, { width: 200, height: 100 }), 'linear-gradient(153.435deg, #ff0000 0%, #0000ff 100%)')
+    assert.equal(linear({ x: 0, y: 1 }, { x: 1, y: 0 }, { width: 200, height: 100 }), 'linear-gradient(26.565deg, #ff0000 0%, #0000ff 100%)')
+})
+
+test('radial and angular gradients', () => {
+    const handles = [{ x: 0.5, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0.5, y: 1 }]
+    assert.equal(gradient('GRADIENT_RADIAL', handles, { width: 200, height: 100 }), 'radial-gradient(ellipse 100px 50px at 50% 50%, #ff0000 0%, #0000ff 100%)')
+    // Without bounds the radii stay relative to the node.
+    assert.equal(
+        gradient('GRADIENT_RADIAL', [{ x: 0.5, y: 0.5 }, { x: 1, y: 0.5 }, { x: 0.5, y: 0.75 }]),
+        'radial-gradient(ellipse 50% 25% at 50% 50%, #ff0000 0%, #0000ff 100%)',
+    )
+    assert.equal(gradient('GRADIENT_ANGULAR', handles, { width: 200, height: 100 }), 'conic-gradient(from 90deg at 50% 50%, #ff0000 0%, #0000ff 100%)')
+})
+
+test('image fits: scale modes and crop transforms', () => {
+    assert.deepEqual(imageFit({ scaleMode: 'FIT' }), { scaleMode: 'FIT', objectFit: 'contain', backgroundSize: 'contain', backgroundRepeat: 'no-repeat', backgroundPosition: 'center' })
+    const crop = imageFit({ scaleMode: 'CROP', imageTransform: [[0.5, 0, 0.25], [0, 0.5, 0.5]] })
+    assert.equal(crop.backgroundSize, '200% 200%')
+    assert.equal(crop.backgroundPosition, '50% 100%')
+    assert.equal(imageFit({ scaleMode: 'TILE', scalingFactor: 0.5 }).tileScale, 0.5)
+})
+
+test('image fills: placeholder url without --assets, the downloaded file with it', () => {
+    const node = { type: 'RECTANGLE', fills: [{ type: 'IMAGE', imageRef: 'abc123', scaleMode: 'FILL' }] }
+    assert.equal(imageFillUrl('abc123'), 'image-fill-placeholder-abc123')
+    assert.equal(cssBackgroundLayers(node).layers[0].image, 'url("image-fill-placeholder-abc123")')
+    assert.deepEqual(inferTwDetailed(node).tw, ['bg-[url(image-fill-placeholder-abc123)]', 'bg-cover', 'bg-center', 'bg-no-repeat'])
+
+    const assets = { byImageRef: new Map([['abc123', 'assets/image-abc123.png']]) }
+    const imageUrl = (ref) => imageFillUrl(ref, assets)
+    assert.deepEqual(cssDeclarations(node, imageUrl)[0], ['background-image', 'url("assets/image-abc123.png")'])
+    assert.deepEqual(inferTwDetailed(node, null, imageUrl).tw, ['bg-[url(assets/image-abc123.png)]', 'bg-cover', 'bg-center', 'bg-no-repeat'])
+})
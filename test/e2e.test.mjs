@@ -0,0 +1,186 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { after, before, test } from 'node:test'
+
+import { FIXTURE, assertMarkdownSnapshot, readMarkdown, runCli, runReport, startMockServer } from './support.mjs'
+
+let server
+
+before(async () => {
+    server = await startMockServer()
+})
+
+after(async () => {
+    await server?.stop()
+})
+
+test('landing page report matches the Markdown snapshot', async () => {
+    const run = await runReport({ apiBase: server.apiBase })
+    try {
+        assert.equal(run.code, 0, run.stderr)
+        await assertMarkdownSnapshot('landing', await readMarkdown(run.outDir))
+    } finally {
+        await fs.rm(run.cwd, { recursive: true, force: true })
+    }
+})
+
+test('--page Components --catalogue matches the catalogue snapshot', async () => {
+    const run = await runReport({ apiBase: server.apiBase, nodeId: null, flags: ['--page', 'Components', '--catalogue'] })
+    try {
+        assert.equal(run.code, 0, run.stderr)
+        assert.doesNotMatch(run.stderr, /Warning/)
+        await assertMarkdownSnapshot('catalogue', await readMarkdown(run.outDir))
+    } finally {
+        await fs.rm(run.cwd, { recursive: true, force: true })
+    }
+})
+
+test('--catalogue warns about targets without components', async () => {
+    const run = await runReport({ apiBase: server.apiBase, flags: ['--catalogue'] })
+    try {
+        assert.equal(run.code, 0, run.stderr)
+        assert.match(run.stderr, /Warning: no visible components or component sets under Landing Page \(1:1\)/)
+        assert.match(run.stdout, /\(0 written, 0 unchanged\)/)
+    } finally {
+        await fs.rm(run.cwd, { recursive: true, force: true })
+    }
+})
+
+test('a second run with an unchanged file version is skipped', async () => {
+    const first = await runReport({ apiBase: server.apiBase })
+    try {
+        assert.equal(first.code, 0, first.stderr)
+        const again = await runReport({ apiBase: server.apiBase, flags: ['--out-dir', first.outDir] })
+        await fs.rm(again.cwd, { recursive: true, force: true })
+        assert.equal(again.code, 0, again.stderr)
+        assert.match(again.stdout, /Up to date: /)
+    } finally {
+        await fs.rm(first.cwd, { recursive: true, force: true })
+    }
+})
+
+async function withLaterVersion(dir, edit, fn) {
+    // Serves the landing fixture as a new file version, after edit(document) changed it in place.
+    const data = JSON.parse(await fs.readFile(FIXTURE, 'utf8'))
+    edit(data.document)
+    const fixture = path.join(dir, 'landing-v2.json')
+    await fs.writeFile(fixture, JSON.stringify({ ...data, version: `${data.version}-2` }), 'utf8')
+    const later = await startMockServer([], { fixture })
+    try {
+        return await fn(later)
+    } finally {
+        await later.stop()
+    }
+}
+
+async function sectionMtimes(outDir) {
+    const dir = path.join(outDir, 'sections')
+    const out = {}
+    for (const file of (await fs.readdir(dir)).sort()) out[file] = (await fs.stat(path.join(dir, file))).mtimeMs
+    return out
+}
+
+test('a new file version with unchanged sections leaves every file untouched', async () => {
+    const first = await runReport({ apiBase: server.apiBase })
+    try {
+        assert.equal(first.code, 0, first.stderr)
+        const before = await sectionMtimes(first.outDir)
+        const indexBefore = (await fs.stat(path.join(first.outDir, 'figma-node-report.md'))).mtimeMs
+
+        const again = await withLaterVersion(first.cwd, () => {}, (later) => runReport({ apiBase: later.apiBase, flags: ['--out-dir', first.outDir] }))
+        await fs.rm(again.cwd, { recursive: true, force: true })
+        assert.equal(again.code, 0, again.stderr)
+        assert.doesNotMatch(again.stdout, /Up to date: /)
+        assert.match(again.stdout, /\(0 written, 3 unchanged\)/)
+        assert.match(again.stdout, /Report content unchanged \(file version 123-2\)/)
+        assert.deepEqual(await sectionMtimes(first.outDir), before)
+        assert.equal((await fs.stat(path.join(first.outDir, 'figma-node-report.md'))).mtimeMs, indexBefore)
+    } finally {
+        await fs.rm(first.cwd, { recursive: true, force: true })
+    }
+})
+
+test('sections of children that disappeared are removed', async () => {
+    const first = await runReport({ apiBase: server.apiBase })
+    try {
+        assert.equal(first.code, 0, first.stderr)
+        const dropFooter = (document) => {
+            const landing = document.children[0].children[0]
+            landing.children = landing.children.filter((child) => child.id !== '1:50')
+        }
+        const again = await withLaterVersion(first.cwd, dropFooter, (later) => runReport({ apiBase: later.apiBase, flags: ['--out-dir', first.outDir] }))
+        await fs.rm(again.cwd, { recursive: true, force: true })
+        assert.equal(again.code, 0, again.stderr)
+        // The header's overlay interaction points at the footer, so its section changes too.
+        assert.match(again.stdout, /\(1 written, 1 unchanged, 1 removed\)/)
+        assert.deepEqual(Object.keys(await sectionMtimes(first.outDir)), ['01-header-1-2.md', '02-hero-section-1-7.md'])
+        assert.doesNotMatch(await fs.readFile(path.join(first.outDir, 'figma-node-report.md'), 'utf8'), /03-footer-1-50\.md/)
+    } finally {
+        await fs.rm(first.cwd, { recursive: true, force: true })
+    }
+})
+
+test('sections of a target that was dropped are removed', async () => {
+    const first = await runReport({ apiBase: server.apiBase, flags: ['--node', '9-1'] })
+    try {
+        assert.equal(first.code, 0, first.stderr)
+        const targetDirs = (await fs.readdir(first.outDir, { withFileTypes: true })).filter((e) => e.isDirectory()).map((e) => e.name)
+        assert.equal(targetDirs.length, 2)
+
+        const again = await runReport({ apiBase: server.apiBase, flags: ['--out-dir', first.outDir] })
+        await fs.rm(again.cwd, { recursive: true, force: true })
+        assert.equal(again.code, 0, again.stderr)
+        assert.deepEqual(Object.keys(await sectionMtimes(first.outDir)), ['01-header-1-2.md', '02-hero-section-1-7.md', '03-footer-1-50.md'])
+        for (const dir of targetDirs) await assert.rejects(fs.access(path.join(first.outDir, dir)))
+    } finally {
+        await fs.rm(first.cwd, { recursive: true, force: true })
+    }
+})
+
+test('--force rewrites every section of an up-to-date report', async () => {
+    const first = await runReport({ apiBase: server.apiBase })
+    try {
+        assert.equal(first.code, 0, first.stderr)
+        const again = await runReport({ apiBase: server.apiBase, flags: ['--out-dir', first.outDir, '--force'] })
+        await fs.rm(again.cwd, { recursive: true, force: true })
+        assert.equal(again.code, 0, again.stderr)
+        assert.doesNotMatch(again.stdout, /Up to date: /)
+        assert.match(again.stdout, /\(3 written, 0 unchanged\)/)
+        await assertMarkdownSnapshot('landing', await readMarkdown(first.outDir))
+    } finally {
+        await fs.rm(first.cwd, { recursive: true, force: true })
+    }
+})
+
+test('--assets points image fill url()s at the downloaded files', async () => {
+    const run = await runReport({ apiBase: server.apiBase, flags: ['--assets'] })
+    try {
+        assert.equal(run.code, 0, run.stderr)
+        const hero = (await readMarkdown(run.outDir)).get('sections/02-hero-section-1-7.md')
+        const urls = [...new Set(hero.match(/url\([^)]*\)/g))]
+        assert.deepEqual(urls.sort(), ['url(assets/image-abcdef0123456789abcdef.png)', 'url(assets/image-fedcba9876543210fedcba.png)'])
+        for (const url of urls) await fs.access(`${run.outDir}/${url.slice(4, -1)}`)
+    } finally {
+        await fs.rm(run.cwd, { recursive: true, force: true })
+    }
+})
+
+test('diff refuses JSON snapshots of another schema version', async () => {
+    const run = await runReport({ apiBase: server.apiBase, flags: ['--format', 'json'] })
+    try {
+        assert.equal(run.code, 0, run.stderr)
+        const report = JSON.parse(await fs.readFile(path.join(run.outDir, 'figma-node-report.json'), 'utf8'))
+        await fs.writeFile(path.join(run.cwd, 'old.json'), JSON.stringify({ ...report, schemaVersion: 1 }), 'utf8')
+
+        const same = await runCli({ cwd: run.cwd, args: ['diff', 'figma-report/figma-node-report.json', 'figma-report/figma-node-report.json'] })
+        assert.equal(same.code, 0, same.stderr)
+        assert.match(same.stdout, /Diff: \+0 -0 moved 0 changed 0/)
+
+        const old = await runCli({ cwd: run.cwd, args: ['diff', 'old.json', 'figma-report/figma-node-report.json'] })
+        assert.equal(old.code, 1)
+        assert.match(old.stderr, /old\.json has report schema version 1, this script reads version \d+/)
+    } finally {
+        await fs.rm(run.cwd, { recursive: true, force: true })
+    }
+})
@@ -0,0 +1,14 @@
+// A custom --hints target for the tests: one data-testid per node, unique within the section.
+export default {
+    id: 'testid',
+    title: 'Suggested test id',
+    language: 'text',
+    guidance: ['Give every node below its data-testid.'],
+    generate({ node, usedNames }) {
+        const base = String(node.name ?? 'node').toLowerCase().replace(/[^a-z0-9]+/g, '-')
+        let name = base
+        for (let n = 2; usedNames.has(name); n++) name = `${base}-${n}`
+        usedNames.add(name)
+        return { code: `data-testid="${name}"`, notes: [`Type: ${node.type}`] }
+    },
+}
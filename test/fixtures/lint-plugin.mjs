@@ -0,0 +1,13 @@
+// A --lint-config plugin for the tests: flags layers that still carry Figma's default names.
+export const rules = [
+    {
+        id: 'default-layer-name',
+        description: 'Layers still named like "Frame 12"',
+        severity: 'error',
+        options: { types: ['Frame', 'Group', 'Rectangle'] },
+        check({ node, options }) {
+            const match = new RegExp(`^(${options.types.join('|')}) \\d+$`).test(node.name ?? '')
+            return match ? `Default layer name "${node.name}"` : null
+        },
+    },
+]
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+import { after, before, test } from 'node:test'
+
+import { readMarkdown, runReport, startMockServer } from './support.mjs'
+
+const GENERATOR = fileURLToPath(new URL('fixtures/hint-generator.mjs', import.meta.url))
+const HERO = 'sections/02-hero-section-1-7.md'
+
+let server
+
+before(async () => {
+    server = await startMockServer()
+})
+
+after(async () => {
+    await server?.stop()
+})
+
+async function heroWithHints(hints) {
+    const run = await runReport({ apiBase: server.apiBase, flags: ['--hints', hints] })
+    try {
+        assert.equal(run.code, 0, run.stderr)
+        const files = await readMarkdown(run.outDir)
+        return { hero: files.get(HERO), index: files.get('figma-node-report.md') }
+    } finally {
+        await fs.rm(run.cwd, { recursive: true, force: true })
+    }
+}
+
+const names = (markdown, pattern) => [...markdown.matchAll(pattern)].map((m) => m[1])
+
+test('--hints css: one CSS Modules rule per node, class names unique in the section', async () => {
+    const { hero, index } = await heroWithHints('css')
+    assert.match(index, /## Implementation Guidance \(React \+ TS \+ CSS Modules\)/)
+    const classes = names(hero, /^\.(\w+) \{$/gm)
+    assert.deepEqual(classes.filter((c) => c.startsWith('abs')), ['abs', 'abs2', 'abs3'])
+    assert.equal(new Set(classes).size, classes.length, `duplicate classes: ${classes}`)
+    assert.match(hero, /- Usage: `className=\{styles\.abs2\}`/)
+    // Only the first card's "Abs" is absolutely positioned; its rule must not merge with the others.
+    const absRule = hero.slice(hero.indexOf('.abs {'), hero.indexOf('}', hero.indexOf('.abs {')))
+    assert.match(absRule, /position: absolute;/)
+})
+
+test('--hints styled: one styled component per node, component names unique in the section', async () => {
+    const { hero } = await heroWithHints('styled')
+    const components = names(hero, /^const (\w+) = styled\./gm)
+    assert.deepEqual(components.filter((c) => c.startsWith('Abs')), ['Abs', 'Abs2', 'Abs3'])
+    assert.equal(new Set(components).size, components.length, `duplicate components: ${components}`)
+})
+
+test('--hints <module> loads a custom generator with its guidance and shared usedNames', async () => {
+    const { hero, index } = await heroWithHints(GENERATOR)
+    assert.match(index, /## Implementation Guidance \(testid\)/)
+    assert.match(index, /Give every node below its data-testid\./)
+    assert.deepEqual(
+        names(hero, /^data-testid="([^"]+)"$/gm).filter((n) => n.startsWith('card-title')),
+        ['card-title', 'card-title-2', 'card-title-3'],
+    )
+    assert.match(hero, /- Suggested test id:\n```text\n/)
+    assert.match(hero, /- Type: RECTANGLE/)
+})
@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { after, before, test } from 'node:test'
+
+import { lintSections, loadLintRules } from '../figma-node-report.mjs'
+
+const PLUGIN = fileURLToPath(new URL('fixtures/lint-plugin.mjs', import.meta.url))
+const BUILT_IN = ['detached-fill', 'detached-text', 'off-grid-spacing', 'near-duplicate-colors', 'mixed-absolute-children']
+
+let dir
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-lint-'))
+})
+
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true })
+})
+
+async function loadConfig(config) {
+    const file = path.join(dir, `config-${Math.random().toString(36).slice(2)}.json`)
+    await fs.writeFile(file, JSON.stringify(config), 'utf8')
+    return await loadLintRules(file)
+}
+
+const summary = ({ rules }) => rules.map((r) => [r.rule.id, r.severity])
+
+function lint(nodes, config) {
+    // nodes: [id, name, type, known, childIds]; the first one is the section root.
+    const nodeMap = new Map(nodes.map(([id, name, type, known = {}, childIds = []]) => [id, { id, name, type, known, childIds }]))
+    const section = { id: nodes[0][0], nodeMap }
+    lintSections({ sections: [section], rules: config.rules })
+    return section.lint.map((f) => [f.nodeId, f.rule, f.message])
+}
+
+test('without a config every built-in rule runs as a warning', async () => {
+    assert.deepEqual(
+        summary(await loadLintRules(null)),
+        BUILT_IN.map((id) => [id, 'warning']),
+    )
+})
+
+test('the config turns rules off and sets severities and options', async () => {
+    const config = await loadConfig({ rules: { 'detached-fill': 'off', 'detached-text': 'error', 'off-grid-spacing': ['error', { grid: 8 }] } })
+    assert.deepEqual(summary(config), [
+        ['detached-text', 'error'],
+        ['off-grid-spacing', 'error'],
+        ['near-duplicate-colors', 'warning'],
+        ['mixed-absolute-children', 'warning'],
+    ])
+    // Options merge over the rule's defaults.
+    const grid = config.rules.find((r) => r.rule.id === 'off-grid-spacing')
+    assert.equal(grid.options.grid, 8)
+    assert.ok(grid.options.properties.includes('itemSpacing'))
+    // Different settings hash differently, so the manifest notices config changes.
+    assert.notEqual(config.hash, (await loadLintRules(null)).hash)
+})
+
+test('unknown rule ids and severities are rejected', async () => {
+    await assert.rejects(loadConfig({ rules: { 'no-such-rule': 'error' } }), /Unknown lint rule in .*: no-such-rule/)
+    await assert.rejects(loadConfig({ rules: { 'detached-fill': 'fatal' } }), /Invalid severity for lint rule detached-fill: fatal/)
+})
+
+test('plugins add rules next to the built-in ones', async () => {
+    const config = await loadConfig({ plugins: [PLUGIN], rules: { 'default-layer-name': ['warning', { types: ['Frame'] }] } })
+    assert.deepEqual(summary(config).at(-1), ['default-layer-name', 'warning'])
+
+    const findings = lint(
+        [
+            ['1', 'Frame 12', 'FRAME', {}, ['2']],
+            ['2', 'Rectangle 3', 'RECTANGLE'],
+        ],
+        { rules: config.rules.filter((r) => r.rule.id === 'default-layer-name') },
+    )
+    assert.deepEqual(findings, [['1', 'default-layer-name', 'Default layer name "Frame 12"']])
+})
+
+test('plugins need an id and check() per rule and may not reuse ids', async () => {
+    const broken = path.join(dir, 'broken-plugin.json')
+    await fs.writeFile(broken, JSON.stringify([{ id: 'no-check' }]), 'utf8')
+    await assert.rejects(loadConfig({ plugins: [broken] }), /every rule needs an id and a check\(\) function/)
+
+    const duplicate = path.join(dir, 'duplicate-plugin.mjs')
+    await fs.writeFile(duplicate, "export default [{ id: 'detached-fill', check: () => null }]\n", 'utf8')
+    await assert.rejects(loadConfig({ plugins: [duplicate] }), /duplicate rule id detached-fill/)
+})
+
+test('the built-in rules flag detached styles, off-grid spacing, near duplicates and mixed positioning', async () => {
+    const { rules } = await loadLintRules(null)
+    const blue = { type: 'SOLID', color: { r: 0, g: 0, b: 1, a: 1 } }
+    const almostBlue = { type: 'SOLID', color: { r: 0, g: 0, b: 0.99, a: 1 } }
+    const findings = lint(
+        [
+            ['1', 'Card', 'FRAME', { layoutMode: 'VERTICAL', itemSpacing: 10, paddingTop: 16, fills: [blue], styles: { fill: 'S:1' } }, ['2', '3', '4', '5']],
+            ['2', 'Badge', 'RECTANGLE', { fills: [blue], styles: { fill: 'S:1' } }],
+            ['3', 'Title', 'TEXT', { style: { fontFamily: 'Inter', fontSize: 16, fontWeight: 700 }, fills: [almostBlue] }],
+            ['4', 'Pin', 'RECTANGLE', { layoutPositioning: 'ABSOLUTE', fills: [blue], boundVariables: { fills: [{ id: 'V:1' }] } }],
+            ['5', 'Icon', 'INSTANCE', {}, ['6']],
+            ['6', 'Glyph', 'VECTOR', { fills: [{ type: 'SOLID', color: { r: 1, g: 0, b: 0, a: 1 } }] }],
+        ],
+        { rules },
+    )
+    assert.deepEqual(findings, [
+        ['1', 'off-grid-spacing', 'Off the 4px grid: itemSpacing=10'],
+        ['1', 'mixed-absolute-children', 'Auto-layout frame mixes 3 flow and 1 absolutely positioned children ("Pin")'],
+        ['3', 'detached-fill', 'Solid fill #0000fc is not bound to a fill style or color variable'],
+        ['3', 'detached-text', 'Text (Inter 16px 700) is not bound to a text style or typography variables'],
+        ['3', 'near-duplicate-colors', 'Color #0000fc is within delta-E 1.08 of #0000ff (used 3x)'],
+    ])
+})
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import { before, test } from 'node:test'
+
+import { apiStats, assertMarkdownSnapshot, readMarkdown, runReport, startMockServer } from './support.mjs'
+
+async function reportAgainstMock({ mockFlags, flags = [] }) {
+    // Runs the landing report against a mock started with mockFlags (plus --verbose for its request log).
+    const server = await startMockServer(['--verbose', ...mockFlags])
+    try {
+        const run = await runReport({ apiBase: server.apiBase, flags })
+        try {
+            assert.equal(run.code, 0, run.stderr)
+            const log = server.output.stdout.split('\n')
+            return { stats: apiStats(run.stdout), stdout: run.stdout, log, files: await readMarkdown(run.outDir) }
+        } finally {
+            await fs.rm(run.cwd, { recursive: true, force: true })
+        }
+    } finally {
+        await server.stop()
+    }
+}
+
+// API requests of a clean run of the landing fixture.
+let landingRequests
+
+before(async () => {
+    landingRequests = (await reportAgainstMock({ mockFlags: [] })).stats.requests
+})
+
+test('429s with Retry-After pause and retry every throttled request, output unchanged', async () => {
+    const { stats, log, files } = await reportAgainstMock({ mockFlags: ['--fail-every', '3', '--fail-status', '429', '--retry-after', '1'] })
+    const injected = log.filter((line) => line.endsWith('(injected)')).length
+    assert.ok(injected > 0, 'the mock injected no failures')
+    assert.deepEqual(stats, { requests: landingRequests + injected, retries: injected, throttled: injected, timeouts: 0, budgetWait: 0 })
+    await assertMarkdownSnapshot('landing', files)
+})
+
+test('5xx without Retry-After are retried with backoff, output unchanged', async () => {
+    const { stats, log, files } = await reportAgainstMock({ mockFlags: ['--fail-every', '4', '--fail-status', '503', '--retry-after', '0'] })
+    const injected = log.filter((line) => line.endsWith('(injected)')).length
+    assert.ok(injected > 0, 'the mock injected no failures')
+    assert.deepEqual(stats, { requests: landingRequests + injected, retries: injected, throttled: 0, timeouts: 0, budgetWait: 0 })
+    await assertMarkdownSnapshot('landing', files)
+})
+
+test('"Request too large" answers make the crawler split requests, output unchanged', async () => {
+    const { stats, stdout, log, files } = await reportAgainstMock({ mockFlags: ['--too-large', '5'] })
+    const tooLarge = log.filter((line) => line.startsWith('400 /v1/files/landing/nodes')).length
+    assert.ok(tooLarge > 0, 'the mock rejected no request as too large')
+    // Oversize answers are handled by the crawler (shallower, smaller requests), not retried by the scheduler.
+    assert.equal(stats.retries, 0)
+    assert.equal(stats.requests, log.filter((line) => line.includes(' /v1/')).length)
+    assert.ok(stats.requests > landingRequests + tooLarge, `expected extra requests for the split crawl, got ${stats.requests}`)
+    // The crawl stats are printed without --verbose, like the API summary.
+    assert.match(stdout, /^Crawl: batches split after oversize\/timeout errors: [1-9]/m)
+    await assertMarkdownSnapshot('landing', files)
+})
+
+test('--rpm spends the burst, then waits for the rate budget', async () => {
+    // A bucket of rpm/10 requests: one short of a clean run, so the last request waits for a refill.
+    const rpm = (landingRequests - 1) * 10
+    const { stats, files } = await reportAgainstMock({ mockFlags: [], flags: ['--rpm', String(rpm)] })
+    assert.equal(stats.requests, landingRequests)
+    assert.ok(stats.budgetWait > 0, `expected a rate budget wait, got ${stats.budgetWait}s`)
+    await assertMarkdownSnapshot('landing', files)
+})
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { after, before, test } from 'node:test'
+
+import ts from 'typescript'
+
+import { runReport, startMockServer } from './support.mjs'
+
+const REACT_TYPES = fileURLToPath(new URL('../node_modules/@types/react', import.meta.url))
+
+let server
+
+before(async () => {
+    server = await startMockServer()
+})
+
+after(async () => {
+    await server?.stop()
+})
+
+function typeCheck(files) {
+    // The components land in a temp dir outside the repo, so react resolves to our @types/react.
+    const program = ts.createProgram(files, {
+        strict: true,
+        noEmit: true,
+        target: ts.ScriptTarget.ES2020,
+        module: ts.ModuleKind.ESNext,
+        moduleResolution: ts.ModuleResolutionKind.Bundler,
+        jsx: ts.JsxEmit.ReactJSX,
+        types: [],
+        paths: { react: [REACT_TYPES], 'react/*': [`${REACT_TYPES}/*`] },
+    })
+    return ts.getPreEmitDiagnostics(program).map((d) => {
+        const where = d.file ? `${path.basename(d.file.fileName)}:${d.file.getLineAndCharacterOfPosition(d.start).line + 1}: ` : ''
+        return `${where}${ts.flattenDiagnosticMessageText(d.messageText, '\n')}`
+    })
+}
+
+for (const [label, nodeId, flags] of [
+    ['landing page', '1-1', []],
+    ['component catalogue', null, ['--page', 'Components', '--catalogue']],
+]) {
+    test(`--emit react components of the ${label} type-check with twin.d.ts`, async () => {
+        const run = await runReport({ apiBase: server.apiBase, nodeId, flags: ['--emit', 'react', ...flags] })
+        try {
+            assert.equal(run.code, 0, run.stderr)
+            const dir = path.join(run.outDir, 'components')
+            const files = (await fs.readdir(dir)).sort()
+            assert.ok(files.includes('twin.d.ts'))
+            assert.ok(files.some((f) => f.endsWith('.tsx')), `no components in ${files.join(', ')}`)
+            assert.deepEqual(typeCheck(files.map((f) => path.join(dir, f))), [])
+        } finally {
+            await fs.rm(run.cwd, { recursive: true, force: true })
+        }
+    })
+}
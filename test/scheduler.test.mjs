@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import { after, before, test } from 'node:test'
+
+import { acquireRequestSlot, createRequestScheduler, figmaFetchJsonNetwork, isOversizeError } from '../figma-node-report.mjs'
+
+// Per path: /throttled answers 429 with Retry-After once, /throttled-twice twice, /flaky 503 without
+// it once, /missing is a plain 404 and /hang never answers.
+let server
+let origin
+const hits = new Map()
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, origin)
+        const n = (hits.get(pathname) || 0) + 1
+        hits.set(pathname, n)
+        if (pathname === '/hang') return
+        if ((pathname === '/throttled' && n === 1) || (pathname === '/throttled-twice' && n <= 2)) {
+            res.writeHead(429, { 'retry-after': '1' })
+            return res.end('{"status":429}')
+        }
+        if (pathname === '/flaky' && n === 1) {
+            res.writeHead(503)
+            return res.end('{"status":503}')
+        }
+        if (pathname === '/missing') {
+            res.writeHead(404)
+            return res.end('{"status":404}')
+        }
+        res.writeHead(200, { 'content-type': 'application/json' })
+        res.end(JSON.stringify({ path: pathname }))
+    })
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    origin = `http://127.0.0.1:${server.address().port}`
+})
+
+after(async () => {
+    server.closeAllConnections()
+    await new Promise((resolve) => server.close(resolve))
+})
+
+const fetchJson = (scheduler, pathname) => figmaFetchJsonNetwork({ token: 'test-token', url: `${origin}${pathname}`, verbose: false, scheduler })
+
+test('the rate budget allows a burst of rpm/10 requests, then waits for refills', async () => {
+    // 600 rpm: a bucket of 60, refilled at ten per second.
+    const scheduler = createRequestScheduler({ rpm: 600 })
+    for (let i = 0; i < 60; i++) await acquireRequestSlot(scheduler)
+    assert.equal(scheduler.stats.budgetWaitMs, 0)
+    await acquireRequestSlot(scheduler)
+    assert.ok(scheduler.stats.budgetWaitMs > 0)
+
+    const unlimited = createRequestScheduler()
+    for (let i = 0; i < 100; i++) await acquireRequestSlot(unlimited)
+    assert.equal(unlimited.stats.budgetWaitMs, 0)
+})
+
+test('a 429 pauses requests for Retry-After, then retries', async () => {
+    const scheduler = createRequestScheduler()
+    assert.deepEqual(await fetchJson(scheduler, '/throttled'), { path: '/throttled' })
+    const { requests, retries, throttled, pauseWaitMs } = scheduler.stats
+    assert.deepEqual({ requests, retries, throttled }, { requests: 2, retries: 1, throttled: 1 })
+    assert.equal(pauseWaitMs, 1000)
+})
+
+test('concurrent requests throttled together count their shared pause once', async () => {
+    const scheduler = createRequestScheduler()
+    const results = await Promise.all([fetchJson(scheduler, '/throttled-twice'), fetchJson(scheduler, '/throttled-twice')])
+    assert.deepEqual(results, [{ path: '/throttled-twice' }, { path: '/throttled-twice' }])
+    const { requests, throttled, pauseWaitMs } = scheduler.stats
+    assert.deepEqual({ requests, throttled }, { requests: 4, throttled: 2 })
+    // Two overlapping one-second windows, not two seconds of waiting.
+    assert.ok(pauseWaitMs >= 1000 && pauseWaitMs < 1500, `paused ${pauseWaitMs}ms`)
+})
+
+test('a 5xx without Retry-After is retried with backoff', async () => {
+    const scheduler = createRequestScheduler()
+    assert.deepEqual(await fetchJson(scheduler, '/flaky'), { path: '/flaky' })
+    const { requests, retries, throttled, backoffWaitMs } = scheduler.stats
+    assert.deepEqual({ requests, retries, throttled }, { requests: 2, retries: 1, throttled: 0 })
+    assert.ok(backoffWaitMs >= 500)
+})
+
+test('client errors are not retried', async () => {
+    const scheduler = createRequestScheduler()
+    await assert.rejects(fetchJson(scheduler, '/missing'), (err) => err.status === 404)
+    assert.equal(scheduler.stats.requests, 1)
+})
+
+test('requests time out after timeoutMs', async () => {
+    const scheduler = createRequestScheduler({ timeoutMs: 100 })
+    await assert.rejects(fetchJson(scheduler, '/hang'), { name: 'TimeoutError' })
+    assert.equal(scheduler.stats.timeouts, 1)
+})
+
+test('only 413, 400 "too large" and timeouts count as oversize answers for the crawler', () => {
+    const httpError = (status, message) => Object.assign(new Error(message), { status })
+    assert.equal(isOversizeError(httpError(413, 'Payload Too Large')), true)
+    assert.equal(isOversizeError(httpError(400, 'Request too large. If applicable, try requesting specific node ids')), true)
+    assert.equal(isOversizeError(Object.assign(new Error('timed out'), { name: 'TimeoutError' })), true)
+    assert.equal(isOversizeError(httpError(400, 'Invalid parameter')), false)
+    assert.equal(isOversizeError(httpError(500, 'Internal Server Error')), false)
+    assert.equal(isOversizeError(httpError(503, 'Service Unavailable')), false)
+})
@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { after, before, test } from 'node:test'
+
+import { classifySections, loadSemanticsConfig } from '../figma-node-report.mjs'
+
+let dir
+
+before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-semantics-'))
+})
+
+after(async () => {
+    await fs.rm(dir, { recursive: true, force: true })
+})
+
+async function loadConfig(config) {
+    const file = path.join(dir, `config-${Math.random().toString(36).slice(2)}.json`)
+    await fs.writeFile(file, JSON.stringify(config), 'utf8')
+    return await loadSemanticsConfig(file)
+}
+
+const box = (y, height) => ({ absoluteBoundingBox: { x: 0, y, width: 1000, height } })
+const text = (id, name, fontSize, characters) => [id, name, 'TEXT', { characters, style: { fontSize, fontWeight: 400 } }]
+
+function section(nodes) {
+    // nodes: [id, name, type, known, childIds]; the first one is the section root.
+    return { id: nodes[0][0], nodeMap: new Map(nodes.map(([id, name, type, known = {}, childIds = []]) => [id, { id, name, type, known, childIds }])) }
+}
+
+// A 1000x2000 page: an intro strip with two headings, body copy and an avatar image at the top, a
+// list of three feature cards and a footer at the bottom.
+function pageSections() {
+    const feature = (n) => [
+        [`f${n}`, `Feature ${n}`, 'FRAME', {}, [`f${n}-label`]],
+        text(`f${n}-label`, 'Label', 16, `Feature ${n}`),
+    ]
+    return [
+        section([
+            ['intro', 'Intro Strip', 'FRAME', box(0, 200), ['title', 'subtitle', 'copy', 'avatar']],
+            text('title', 'Title', 32, 'Welcome'),
+            text('subtitle', 'Subtitle', 24, 'Build faster'),
+            text('copy', 'Copy', 16, 'Body copy that sets the most characters on the page, so its size is the body size.'),
+            ['avatar', 'Avatar', 'RECTANGLE', { fills: [{ type: 'IMAGE', imageRef: 'abc', scaleMode: 'FILL' }] }],
+        ]),
+        section([['features', 'Features', 'FRAME', { ...box(200, 800), layoutMode: 'VERTICAL' }, ['f1', 'f2', 'f3']], ...feature(1), ...feature(2), ...feature(3)]),
+        section([['footer', 'Site Footer', 'FRAME', box(1900, 100), ['legal']], text('legal', 'Legal', 12, 'All rights reserved')]),
+    ]
+}
+
+const NO_COMPONENTS = { components: new Map(), componentSets: new Map(), definitions: new Map() }
+
+function classify(semantics) {
+    const sections = pageSections()
+    const rootNorm = { id: '0:1', name: 'Page', type: 'FRAME', known: { absoluteBoundingBox: { x: 0, y: 0, width: 1000, height: 2000 } }, childIds: sections.map((s) => s.id) }
+    classifySections({ targets: [{ rootNorm, sections }], componentMeta: NO_COMPONENTS, semantics })
+    return new Map(sections.flatMap((s) => [...s.semantics]))
+}
+
+const pick = (result, ids) => Object.fromEntries(ids.map((id) => [id, [result.get(id).element, result.get(id).confidence, result.get(id).rule]]))
+
+test('headings are ranked by size against the body text', async () => {
+    const result = classify(await loadSemanticsConfig(null))
+    assert.deepEqual(pick(result, ['title', 'subtitle', 'copy']), {
+        title: ['h1', 0.9, 'heading-size'],
+        subtitle: ['h2', 0.8, 'heading-size'],
+        copy: ['p', 0.5, 'layer-type'],
+    })
+    assert.match(result.get('subtitle').reason, /^24px vs 16px body text \(heading size 2 of 2\)$/)
+})
+
+test('repeated siblings become a list and its items', async () => {
+    const result = classify(await loadSemanticsConfig(null))
+    assert.deepEqual(pick(result, ['features', 'f1', 'f2', 'f3']), {
+        features: ['ul', 0.75, 'repeated-siblings'],
+        f1: ['li', 0.75, 'repeated-siblings'],
+        f2: ['li', 0.75, 'repeated-siblings'],
+        f3: ['li', 0.75, 'repeated-siblings'],
+    })
+})
+
+test('landmarks come from names first, positions second', async () => {
+    const result = classify(await loadSemanticsConfig(null))
+    assert.deepEqual(pick(result, ['intro', 'footer']), {
+        intro: ['header', 0.6, 'landmark-position'],
+        footer: ['footer', 0.85, 'landmark-name'],
+    })
+
+    const off = classify(await loadConfig({ rules: { 'landmark-name': 'off', 'landmark-position': 'off' } }))
+    assert.deepEqual(pick(off, ['intro', 'footer']), {
+        intro: ['div', 0.3, 'layer-type'],
+        footer: ['div', 0.3, 'layer-type'],
+    })
+})
+
+test('config patterns win over more confident built-in rules', async () => {
+    const defaults = classify(await loadSemanticsConfig(null))
+    assert.deepEqual(pick(defaults, ['avatar']), { avatar: ['img', 0.9, 'image-fill'] })
+
+    const result = classify(await loadConfig({ patterns: [{ name: '^avatar$', element: 'figure', confidence: 0.8 }, { name: 'footer', element: 'aside', type: 'TEXT' }] }))
+    assert.deepEqual(pick(result, ['avatar']), { avatar: ['figure', 0.8, 'semantics-config'] })
+    assert.deepEqual(
+        result.get('avatar').alternatives.map((a) => a.element),
+        ['img'],
+    )
+    // type limits a pattern to one Figma layer type.
+    assert.deepEqual(pick(result, ['footer']), { footer: ['footer', 0.85, 'landmark-name'] })
+})
+
+test('the config loader defaults confidence to 1 and validates rules and patterns', async () => {
+    const config = await loadConfig({ patterns: [{ name: 'hero', element: 'section' }], rules: { 'nav-links': 'off', link: 'on' } })
+    assert.deepEqual(
+        config.patterns.map(({ name, element, type, confidence }) => ({ name, element, type, confidence })),
+        [{ name: 'hero', element: 'section', type: null, confidence: 1 }],
+    )
+    assert.equal(config.rules.some((r) => r.id === 'nav-links'), false)
+    assert.equal(config.rules.some((r) => r.id === 'link'), true)
+    assert.notEqual(config.hash, (await loadSemanticsConfig(null)).hash)
+
+    await assert.rejects(loadConfig({ rules: { 'no-such-rule': 'off' } }), /Unknown semantics rule in .*: no-such-rule/)
+    await assert.rejects(loadConfig({ rules: { link: 'maybe' } }), /Invalid setting for semantics rule link: maybe \(expected off or on\)/)
+    await assert.rejects(loadConfig({ patterns: [{ name: 'hero', element: 'Section' }] }), /Semantics pattern 1 in .* needs a name regex and a lowercase element/)
+    await assert.rejects(loadConfig({ patterns: [{ name: 'hero', element: 'section', confidence: 2 }] }), /Invalid confidence for semantics pattern hero: 2/)
+    await assert.rejects(loadConfig({ patterns: [{ name: '(', element: 'section' }] }), /Invalid name regex in semantics pattern 1/)
+})
@@ -0,0 +1,116 @@
+/**
+ * Shared helpers for the end-to-end tests: a figma-mock-server.mjs child on a free port, report
+ * runs against it in a temp dir, and Markdown snapshots under test/snapshots/.
+ *
+ * UPDATE_SNAPSHOTS=1 npm test rewrites the snapshots instead of comparing against them.
+ */
+
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url))
+const REPORT_SCRIPT = path.join(ROOT, 'figma-node-report.mjs')
+const MOCK_SCRIPT = path.join(ROOT, 'figma-mock-server.mjs')
+const SNAPSHOT_DIR = path.join(ROOT, 'test', 'snapshots')
+
+export const FIXTURE_FILE_KEY = 'landing'
+export const FIXTURE = path.join(ROOT, 'test', 'fixtures', 'landing.json')
+
+function collectOutput(child) {
+    const output = { stdout: '', stderr: '' }
+    child.stdout.on('data', (chunk) => (output.stdout += chunk))
+    child.stderr.on('data', (chunk) => (output.stderr += chunk))
+    return output
+}
+
+export async function startMockServer(flags = [], { fixture = FIXTURE } = {}) {
+    // --port 0 picks a free port; the server prints it on its first line. fixture stands in for the
+    // landing file, e.g. an edited copy for a later version.
+    const child = spawn(process.execPath, [MOCK_SCRIPT, '--port', '0', ...flags, `${FIXTURE_FILE_KEY}=${fixture}`], { stdio: ['ignore', 'pipe', 'pipe'] })
+    const output = collectOutput(child)
+    const apiBase = await new Promise((resolve, reject) => {
+        const onData = () => {
+            const match = output.stdout.match(/listening on (http:\/\/\S+\/v1)/)
+            if (!match) return
+            child.stdout.off('data', onData)
+            resolve(match[1])
+        }
+        child.stdout.on('data', onData)
+        child.once('exit', (code) => reject(new Error(`Mock server exited with ${code}: ${output.stderr}`)))
+    })
+    return {
+        apiBase,
+        output,
+        async stop() {
+            if (child.exitCode !== null) return
+            const exited = new Promise((resolve) => child.once('exit', resolve))
+            child.kill('SIGTERM')
+            await exited
+        },
+    }
+}
+
+export async function runCli({ cwd, args }) {
+    // The caller's own Figma settings must not leak in (.env values never override the environment).
+    const env = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('FIGMA_')))
+    const child = spawn(process.execPath, [REPORT_SCRIPT, ...args], {
+        cwd,
+        env: { ...env, SOURCE_DATE_EPOCH: '0' },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    })
+    const output = collectOutput(child)
+    const code = await new Promise((resolve) => child.once('exit', resolve))
+    return { code, ...output }
+}
+
+export async function runReport({ apiBase, nodeId = '1-1', flags = [] }) {
+    // Runs the CLI the way a user would, from a temp dir holding the .env it requires. A null nodeId
+    // leaves the URL without node-id, for runs whose --node/--page flags pick the targets.
+    const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-node-report-'))
+    await fs.writeFile(path.join(cwd, '.env'), 'FIGMA_TOKEN="test-token"\n', 'utf8')
+    const url = `https://www.figma.com/design/${FIXTURE_FILE_KEY}/Acme${nodeId ? `?node-id=${nodeId}` : ''}`
+    const run = await runCli({ cwd, args: ['--api-base', apiBase, '--url', url, ...flags] })
+    return { cwd, ...run, outDir: path.join(cwd, 'figma-report') }
+}
+
+export async function readMarkdown(dir) {
+    // Relative path -> content for every .md file under dir, sorted for stable comparisons.
+    const files = new Map()
+    async function walk(at) {
+        for (const entry of (await fs.readdir(at, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name))) {
+            const abs = path.join(at, entry.name)
+            if (entry.isDirectory()) await walk(abs)
+            else if (entry.name.endsWith('.md')) files.set(path.relative(dir, abs).replace(/\\/g, '/'), await fs.readFile(abs, 'utf8'))
+        }
+    }
+    await walk(dir)
+    return files
+}
+
+export async function assertMarkdownSnapshot(name, files) {
+    // One snapshot dir per test; the file list has to match as well as every file's content.
+    const dir = path.join(SNAPSHOT_DIR, name)
+    if (process.env.UPDATE_SNAPSHOTS) {
+        await fs.rm(dir, { recursive: true, force: true })
+        for (const [file, content] of files) {
+            await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true })
+            await fs.writeFile(path.join(dir, file), content, 'utf8')
+        }
+        return
+    }
+    const expected = await readMarkdown(dir)
+    assert.deepEqual([...files.keys()], [...expected.keys()], `Markdown files differ from snapshot ${name} (UPDATE_SNAPSHOTS=1 to accept)`)
+    for (const [file, content] of files) assert.equal(content, expected.get(file), `${file} differs from snapshot ${name} (UPDATE_SNAPSHOTS=1 to accept)`)
+}
+
+export function apiStats(stdout) {
+    // Parses the "API: n request(s), r retried (t throttled), ..." line the report prints.
+    const match = stdout.match(/API: (\d+) request\(s\), (\d+) retried \((\d+) throttled\), (\d+) timed out, [\d.]+s waiting \(rate budget ([\d.]+)s/)
+    assert.ok(match, `No API summary in output:\n${stdout}`)
+    const [, requests, retries, throttled, timeouts, budgetWait] = match.map(Number)
+    return { requests, retries, throttled, timeouts, budgetWait }
+}
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { after, before, test } from 'node:test'
+
+import { runReport, startMockServer } from './support.mjs'
+
+let server
+
+before(async () => {
+    server = await startMockServer()
+})
+
+after(async () => {
+    await server?.stop()
+})
+
+async function jsonReport(flags) {
+    const run = await runReport({ apiBase: server.apiBase, flags: ['--format', 'json', ...flags] })
+    try {
+        assert.equal(run.code, 0, run.stderr)
+        return JSON.parse(await fs.readFile(path.join(run.outDir, 'figma-node-report.json'), 'utf8'))
+    } finally {
+        await fs.rm(run.cwd, { recursive: true, force: true })
+    }
+}
+
+test('--page names are matched as typed, not URL-decoded', async () => {
+    const run = await runReport({ apiBase: server.apiBase, flags: ['--page', '100%'] })
+    await fs.rm(run.cwd, { recursive: true, force: true })
+    assert.equal(run.code, 1)
+    assert.match(run.stderr, /Page not found: "100%" \(pages: Marketing \(0:1\), Checkout \(9:0\), Components \(5:00\)\)/)
+    assert.doesNotMatch(run.stderr, /URIError/)
+
+    // Names match case-insensitively; the --url node stays a target too.
+    const byName = await jsonReport(['--page', 'checkout'])
+    assert.deepEqual(
+        byName.targets.map((t) => t.root.id),
+        ['1:1', '9:0'],
+    )
+})
+
+test('overlapping targets count shared nodes once in the inventories', async () => {
+    const single = await jsonReport([])
+    const overlapping = await jsonReport(['--node', '1-2'])
+    assert.deepEqual(
+        overlapping.targets.map((t) => t.root.id),
+        ['1:1', '1:2'],
+    )
+    assert.deepEqual(overlapping.inventories, single.inventories)
+})
@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import { buildDesignTokens, buildVariableTokenSets, tokensToCss, tokensToDtcg, tokensToTailwindTheme } from '../figma-node-report.mjs'
+
+const styles = new Map([
+    ['S:brand', { name: 'Brand' }],
+    ['S:primary', { name: 'Brand/Primary' }],
+    ['S:accent', { name: 'Brand/Accent' }],
+    ['S:header', { name: 'Brand/Header 1.5' }],
+])
+const entry = (...styleIds) => ({ styleCounts: new Map(styleIds.map((id) => [id, 1])) })
+const inventories = (colors = [], typography = []) => ({ colors: new Map(colors), typography: new Map(typography), effects: new Map() })
+
+test('dots inside names stay in one segment', () => {
+    const typography = [
+        [JSON.stringify({ fontFamily: 'Inter', fontSize: 14, fontWeight: 400, lineHeightPx: 19.36 }), entry()],
+        [JSON.stringify({ fontFamily: 'Inter', fontSize: 24, fontWeight: 700 }), entry('S:header')],
+    ]
+    const tokens = buildDesignTokens({ inventories: inventories([], typography), styles })
+    assert.deepEqual(
+        tokens.map((t) => t.path),
+        [
+            ['typography', 'generated', 'inter-14-400-lh19_36'],
+            ['typography', 'brand', 'header-1_5'],
+        ],
+    )
+    assert.deepEqual(Object.keys(tokensToDtcg(tokens).typography.generated), ['inter-14-400-lh19_36'])
+})
+
+test('a token and a group of the same name do not overwrite each other', () => {
+    // "Brand" sorts after the Brand/* colors here, so the group keeps "brand" and the token moves.
+    const colors = [
+        ['#0000ff', entry('S:primary')],
+        ['#00ff00', entry('S:brand')],
+        ['#ff0000', entry('S:accent')],
+    ]
+    const tokens = buildDesignTokens({ inventories: inventories(colors), styles })
+    assert.deepEqual(
+        tokens.map((t) => t.path),
+        [
+            ['color', 'brand', 'primary'],
+            ['color', 'brand-2'],
+            ['color', 'brand', 'accent'],
+        ],
+    )
+    assert.deepEqual(tokensToDtcg(tokens).color, {
+        brand: {
+            primary: { $type: 'color', $value: '#0000ff', $description: 'Figma style: Brand/Primary' },
+            accent: { $type: 'color', $value: '#ff0000', $description: 'Figma style: Brand/Accent' },
+        },
+        'brand-2': { $type: 'color', $value: '#00ff00', $description: 'Figma style: Brand' },
+    })
+
+    // The other way round, the group moves below the existing token.
+    const leafFirst = buildDesignTokens({ inventories: inventories([['#0000ff', entry('S:brand')], ['#00ff00', entry('S:primary')]]), styles })
+    assert.deepEqual(
+        leafFirst.map((t) => t.path),
+        [
+            ['color', 'brand'],
+            ['color', 'brand-2', 'primary'],
+        ],
+    )
+})
+
+test('duplicate names get -2, -3, ... in key order', () => {
+    const same = new Map([['S:a', { name: 'Ink' }], ['S:b', { name: 'Ink' }], ['S:c', { name: 'Ink' }]])
+    const colors = [
+        ['#000000', entry('S:a')],
+        ['#111111', entry('S:b')],
+        ['#222222', entry('S:c')],
+    ]
+    assert.deepEqual(
+        buildDesignTokens({ inventories: inventories(colors), styles: same }).map((t) => t.path.join('.')),
+        ['color.ink', 'color.ink-2', 'color.ink-3'],
+    )
+})
+
+test('paths that flatten to the same CSS variable or Tailwind key are disambiguated', () => {
+    const flat = new Map([['S:nested', { name: 'Color/Brand/Primary' }], ['S:dashed', { name: 'Color/Brand-Primary' }]])
+    const colors = [
+        ['#0000ff', entry('S:nested')],
+        ['#ff0000', entry('S:dashed')],
+    ]
+    const tokens = buildDesignTokens({ inventories: inventories(colors), styles: flat })
+    assert.deepEqual(
+        tokens.map((t) => t.path.join('.')),
+        ['color.color.brand.primary', 'color.color.brand-primary-2'],
+    )
+    assert.match(tokensToCss(tokens), /--color-color-brand-primary: #0000ff;\n {2}--color-color-brand-primary-2: #ff0000;/)
+
+    // A variable named like the flattened style key meets it in theme.extend.colors.
+    const variables = {
+        variables: new Map([['V:1', { id: 'V:1', name: 'color/brand-primary', resolvedType: 'COLOR', variableCollectionId: 'C:1', valuesByMode: { m: { r: 0, g: 1, b: 0, a: 1 } } }]]),
+        collections: new Map([['C:1', { id: 'C:1', name: 'Theme', defaultModeId: 'm', modes: [{ modeId: 'm', name: 'Light' }] }]]),
+        used: new Set(['V:1']),
+    }
+    const sets = buildVariableTokenSets({ variables, tokens })
+    const theme = tokensToTailwindTheme([...tokens, ...sets.flatMap((set) => set.tokens)])
+    const extend = JSON.parse(theme.slice(theme.indexOf('module.exports = ') + 'module.exports = '.length))
+    assert.deepEqual(extend.colors, {
+        'color-brand-primary': '#0000ff',
+        'color-brand-primary-2': '#ff0000',
+        'color-brand-primary-3': 'var(--color-brand-primary)',
+    })
+})
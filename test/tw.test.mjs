@@ -0,0 +1,173 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import { createTwScale, inferTwDetailed, loadTwTheme } from '../figma-node-report.mjs'
+
+const RED = { r: 1, g: 0, b: 0, a: 1 }
+const WHITE = { r: 1, g: 1, b: 1, a: 1 }
+const box = (width, height) => ({ x: 0, y: 0, width, height })
+const tw = (node, scale = null) => inferTwDetailed(node, scale).tw
+
+test('auto-layout: direction, wrap, alignment and gaps', () => {
+    const wrapped = {
+        type: 'FRAME',
+        layoutMode: 'HORIZONTAL',
+        layoutWrap: 'WRAP',
+        primaryAxisAlignItems: 'SPACE_BETWEEN',
+        counterAxisAlignItems: 'CENTER',
+        itemSpacing: 12,
+        counterAxisSpacing: 8,
+    }
+    assert.deepEqual(tw(wrapped), ['flex', 'flex-row', 'flex-wrap', 'justify-between', 'items-center', 'gap-x-[12px]', 'gap-y-[8px]'])
+
+    const column = { type: 'FRAME', layoutMode: 'VERTICAL', primaryAxisAlignItems: 'CENTER', counterAxisAlignItems: 'MIN', itemSpacing: 16 }
+    assert.deepEqual(tw(column), ['flex', 'flex-col', 'justify-center', 'items-start', 'gap-[16px]'])
+
+    assert.deepEqual(tw({ type: 'FRAME', layoutMode: 'NONE', itemSpacing: 16 }), [])
+})
+
+test('padding: uniform, symmetric and per side', () => {
+    const pad = (top, right, bottom, left) => ({ type: 'FRAME', paddingTop: top, paddingRight: right, paddingBottom: bottom, paddingLeft: left })
+    assert.deepEqual(tw(pad(24, 24, 24, 24)), ['p-[24px]'])
+    assert.deepEqual(tw(pad(8, 16, 8, 16)), ['px-[16px]', 'py-[8px]'])
+    assert.deepEqual(tw(pad(4, 0, 12, 6)), ['pt-[4px]', 'pb-[12px]', 'pl-[6px]'])
+    assert.deepEqual(tw(pad(0, 0, 0, 0)), [])
+})
+
+test('sizing: fixed, hug, fill and absolute positioning', () => {
+    const fixedHug = { type: 'FRAME', layoutMode: 'HORIZONTAL', layoutSizingHorizontal: 'FIXED', layoutSizingVertical: 'HUG', absoluteBoundingBox: box(320, 48) }
+    assert.deepEqual(tw(fixedHug), ['flex', 'flex-row', 'w-[320px]', 'h-fit'])
+
+    const fill = {
+        type: 'RECTANGLE',
+        layoutPositioning: 'ABSOLUTE',
+        layoutGrow: 1,
+        layoutAlign: 'STRETCH',
+        layoutSizingHorizontal: 'FILL',
+        layoutSizingVertical: 'FILL',
+        absoluteBoundingBox: box(10, 10),
+    }
+    assert.deepEqual(tw(fill), ['absolute', 'flex-1', 'self-stretch'])
+
+    // Older payloads without layoutSizing*: the frame's own axis sizing modes (AUTO = hug).
+    const legacy = { type: 'FRAME', layoutMode: 'VERTICAL', primaryAxisSizingMode: 'AUTO', counterAxisSizingMode: 'FIXED', absoluteBoundingBox: box(200, 90) }
+    assert.deepEqual(tw(legacy), ['flex', 'flex-col', 'w-[200px]', 'h-fit'])
+})
+
+test('border: weight, color, dashes and per-side weights', () => {
+    assert.deepEqual(tw({ type: 'FRAME', strokes: [{ type: 'SOLID', color: RED }], strokeWeight: 1, strokeDashes: [4, 2] }), ['border', 'border-[#ff0000]', 'border-dashed'])
+
+    const sides = { type: 'FRAME', strokes: [{ type: 'SOLID', color: RED, opacity: 0.5 }], individualStrokeWeights: { top: 2, right: 0, bottom: 1, left: 0 } }
+    assert.deepEqual(tw(sides), ['border-t-[2px]', 'border-b-[1px]', 'border-[#ff000080]'])
+
+    // Text outlines are not CSS borders.
+    assert.deepEqual(tw({ type: 'TEXT', strokes: [{ type: 'SOLID', color: RED }], strokeWeight: 1 }), [])
+})
+
+test('corners: uniform and per-corner radii', () => {
+    assert.deepEqual(tw({ type: 'RECTANGLE', cornerRadius: 8 }), ['rounded-[8px]'])
+    assert.deepEqual(tw({ type: 'RECTANGLE', rectangleCornerRadii: [8, 8, 0, 0] }), ['rounded-tl-[8px]', 'rounded-tr-[8px]'])
+})
+
+test('effects: shadows, layer and background blur', () => {
+    const drop = {
+        type: 'FRAME',
+        effects: [
+            { type: 'DROP_SHADOW', color: { r: 0, g: 0, b: 0, a: 0.25 }, offset: { x: 0, y: 4 }, radius: 8, spread: 0 },
+            { type: 'LAYER_BLUR', radius: 10 },
+            { type: 'BACKGROUND_BLUR', radius: 6, visible: false },
+        ],
+    }
+    assert.deepEqual(tw(drop), ['shadow-[0px_4px_8px_0px_#00000040]', 'blur-[5px]'])
+
+    const inner = {
+        type: 'FRAME',
+        effects: [
+            { type: 'INNER_SHADOW', color: { r: 0, g: 0, b: 0, a: 1 }, offset: { x: 1, y: 2 }, radius: 3, spread: 1 },
+            { type: 'BACKGROUND_BLUR', radius: 6 },
+        ],
+    }
+    assert.deepEqual(tw(inner), ['shadow-[inset_1px_2px_3px_1px_#000000]', 'backdrop-blur-[3px]'])
+})
+
+test('text: font, size, leading, tracking, weight and decoration', () => {
+    const label = {
+        type: 'TEXT',
+        fills: [{ type: 'SOLID', color: { r: 0.1, g: 0.1, b: 0.1, a: 1 } }],
+        style: {
+            fontFamily: 'Inter Tight',
+            fontSize: 14,
+            fontWeight: 600,
+            lineHeightPx: 20,
+            letterSpacing: 0.14,
+            textAlignHorizontal: 'CENTER',
+            textCase: 'UPPER',
+            textDecoration: 'UNDERLINE',
+            italic: true,
+        },
+    }
+    assert.deepEqual(tw(label), [
+        'text-[#1a1a1a]',
+        "font-['Inter_Tight']",
+        'text-[14px]',
+        'leading-[20px]',
+        'tracking-[0.01em]',
+        'font-semibold',
+        'italic',
+        'text-center',
+        'uppercase',
+        'underline',
+    ])
+
+    const body = { type: 'TEXT', style: { fontFamily: 'Inter', fontSize: 16, fontWeight: 400, lineHeightUnit: 'FONT_SIZE_%', lineHeightPercentFontSize: 150 } }
+    assert.deepEqual(tw(body), ["font-['Inter']", 'text-[16px]', 'leading-[1.5]', 'font-normal'])
+})
+
+test('theme scale: values on the scale snap to theme keys', async () => {
+    const scale = createTwScale(await loadTwTheme('default'))
+    const card = {
+        type: 'FRAME',
+        layoutMode: 'VERTICAL',
+        itemSpacing: 16,
+        paddingTop: 24,
+        paddingRight: 24,
+        paddingBottom: 24,
+        paddingLeft: 24,
+        cornerRadius: 8,
+        fills: [{ type: 'SOLID', color: WHITE }],
+        effects: [
+            { type: 'DROP_SHADOW', color: { r: 0, g: 0, b: 0, a: 0.1 }, offset: { x: 0, y: 1 }, radius: 3, spread: 0 },
+            { type: 'DROP_SHADOW', color: { r: 0, g: 0, b: 0, a: 0.1 }, offset: { x: 0, y: 1 }, radius: 2, spread: -1 },
+        ],
+    }
+    assert.deepEqual(inferTwDetailed(card, scale), { tw: ['flex', 'flex-col', 'gap-4', 'p-6', 'bg-white', 'rounded-lg', 'shadow'], offScale: [] })
+
+    const heading = { type: 'TEXT', fills: [{ type: 'SOLID', color: { r: 0, g: 0, b: 0, a: 1 } }], style: { fontSize: 18, fontWeight: 700, lineHeightPx: 28 } }
+    assert.deepEqual(inferTwDetailed(heading, scale), { tw: ['text-black', 'text-lg', 'leading-[28px]', 'font-bold'], offScale: [] })
+})
+
+test('theme scale: values off the scale stay arbitrary and are reported in offScale', async () => {
+    const node = {
+        type: 'FRAME',
+        layoutMode: 'HORIZONTAL',
+        itemSpacing: 13,
+        paddingTop: 15,
+        paddingRight: 15,
+        paddingBottom: 15,
+        paddingLeft: 15,
+        cornerRadius: 5,
+        fills: [{ type: 'SOLID', color: RED }],
+    }
+    const exact = createTwScale(await loadTwTheme('default'))
+    assert.deepEqual(inferTwDetailed(node, exact), {
+        tw: ['flex', 'flex-row', 'gap-[13px]', 'p-[15px]', 'bg-[#ff0000]', 'rounded-[5px]'],
+        offScale: ['gap-[13px]', 'p-[15px]', 'bg-[#ff0000]', 'rounded-[5px]'],
+    })
+
+    // --tw-tolerance 1 snaps the lengths to the nearest key; the color still has no match.
+    const tolerant = createTwScale(await loadTwTheme('default'), 1)
+    assert.deepEqual(inferTwDetailed(node, tolerant), { tw: ['flex', 'flex-row', 'gap-3', 'p-4', 'bg-[#ff0000]', 'rounded'], offScale: ['bg-[#ff0000]'] })
+
+    // Without a theme nothing is off-scale.
+    assert.deepEqual(inferTwDetailed(node).offScale, [])
+})